@@ -0,0 +1,45 @@
+// middlewares/apiAuth.js
+const apiKeyService = require("../services/apiKeyService");
+const { can } = require("./auth");
+const { AppError } = require("../utils/errors");
+
+// The secret from `Authorization: Bearer <secret>` or `X-API-Key: <secret>`
+function readSecret(req) {
+  const header = req.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : req.get("x-api-key") || null;
+}
+
+// Load the API key or token's user, with their branch. Sets req.user,
+// req.restaurant and req.apiKey. Errors go to the API error handler.
+async function requireApiAuth(req, res, next) {
+  try {
+    const found = await apiKeyService.authenticate(readSecret(req));
+    if (!found) {
+      res.set("WWW-Authenticate", 'Bearer realm="api"');
+      return next(new AppError("Send a valid API key or token", 401, "unauthorized"));
+    }
+
+    req.apiKey = found.apiKey;
+    req.user = found.user;
+    req.restaurant = found.user.restaurant;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Use after requireApiAuth. Same roles as the admin screens.
+function requireApiPermission(permission) {
+  return (req, res, next) => {
+    if (can(req.user, permission)) {
+      return next();
+    }
+    next(new AppError("Your role doesn't allow that", 403, "forbidden", { permission }));
+  };
+}
+
+module.exports = {
+  requireApiAuth,
+  requireApiPermission
+};
@@ -0,0 +1,43 @@
+// middlewares/apiErrors.js
+const mongoose = require("mongoose");
+const { AppError } = require("../utils/errors");
+
+// Every API error has the same body:
+//   { "error": { "code": "validation_failed", "message": "...", "details": [...] } }
+function sendError(res, status, code, message, details) {
+  res.status(status).json({ error: { code, message, ...(details !== undefined ? { details } : {}) } });
+}
+
+// Unknown /api/v1 paths
+function apiNotFound(req, res) {
+  sendError(res, 404, "not_found", `No route for ${req.method} ${req.baseUrl}${req.path}`);
+}
+
+// Turn anything thrown by an API route into a JSON error. Express knows
+// error handlers by their four arguments, so `next` stays.
+function apiErrorHandler(error, req, res, next) {
+  if (error instanceof AppError) {
+    return sendError(res, error.status, error.code, error.message, error.details);
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(error.errors).map(e => ({ field: e.path, message: e.message }));
+    return sendError(res, 422, "validation_failed", "Some fields are invalid", details);
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return sendError(res, 400, "bad_request", `Invalid value for ${error.path}`);
+  }
+  if (error.type === "entity.parse.failed") {
+    return sendError(res, 400, "invalid_json", "The request body is not valid JSON");
+  }
+  if (error.code === 11000) {
+    return sendError(res, 409, "duplicate", "That conflicts with an existing record", error.keyValue);
+  }
+
+  console.error(`❌ API ${req.method} ${req.originalUrl}:`, error);
+  sendError(res, 500, "internal_error", "Something went wrong");
+}
+
+module.exports = {
+  apiNotFound,
+  apiErrorHandler
+};
@@ -1,9 +1,73 @@
 // middlewares/auth.js
-function requireAdmin(req, res, next) {
-  if (req.session && req.session.user) {
-    return next(); // user is logged in
+const User = require("../models/User");
+const authService = require("../services/authService");
+
+// Which roles may do what. Owners can do everything.
+const PERMISSIONS = {
+  "orders:view": ["owner", "manager", "waiter", "kitchen", "cashier"],
+  "orders:update": ["owner", "manager", "waiter", "kitchen"], // any status except paid
+  "orders:pay": ["owner", "manager", "cashier"],
+  "payments:report": ["owner", "manager", "cashier"], // cashiers see their own
+  "payments:all": ["owner", "manager"],
+  "analytics:view": ["owner", "manager"],
+  "orders:export": ["owner", "manager"],
+  "menu:edit": ["owner", "manager"],
+  "promotions:manage": ["owner", "manager"],
+  "tables:manage": ["owner", "manager"],
+  "stations:manage": ["owner", "manager"],
+  "devices:manage": ["owner", "manager"],
+  "staff:manage": ["owner"],
+  "restaurant:manage": ["owner"],
+};
+
+function can(user, permission) {
+  return Boolean(user) && (PERMISSIONS[permission] || []).includes(user.role);
+}
+
+// Permission needed to move an order to `status`
+function orderStatusPermission(status) {
+  return status === "paid" ? "orders:pay" : "orders:update";
+}
+
+// Load the signed-in staff member from their server-side session, with
+// their branch. Sets req.user, req.restaurant and req.adminSession, and
+// `user` / `can` / `currency` / `timezone` for the views.
+async function requireAuth(req, res, next) {
+  try {
+    const session = await authService.loadSession(req.session.adminSessionToken);
+    const user = session && await User.findById(session.user).populate("restaurant");
+    if (!user || !user.active || !user.restaurant) {
+      req.session.adminSessionToken = null;
+      return res.redirect("/admin/login");
+    }
+
+    req.adminSession = session;
+    req.user = user;
+    req.restaurant = user.restaurant;
+    res.locals.user = user;
+    res.locals.can = permission => can(user, permission);
+    res.locals.currency = user.restaurant.currency;
+    res.locals.timezone = user.restaurant.timezone;
+    next();
+  } catch (error) {
+    next(error);
   }
-  return res.redirect("/admin/login");
 }
 
-module.exports = requireAdmin;
+// Use after requireAuth
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (can(req.user, permission)) {
+      return next();
+    }
+    res.status(403).send("You don't have permission to do that");
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  can,
+  orderStatusPermission,
+  requireAuth,
+  requirePermission
+};
@@ -0,0 +1,32 @@
+// middlewares/csrf.js
+const crypto = require("crypto");
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+function tokensMatch(expected, sent) {
+  if (typeof sent !== "string" || sent.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(sent));
+}
+
+// Every state-changing request must send back the token from the session,
+// either as a `_csrf` form field, an X-CSRF-Token header (for fetch calls) or
+// a `_csrf` query parameter (for multipart forms, whose body isn't parsed
+// until after this check). Views get it as `csrfToken`.
+function csrfProtection(req, res, next) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(24).toString("base64url");
+  }
+  res.locals.csrfToken = req.session.csrfToken;
+
+  if (SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const sent = (req.body && req.body._csrf) || req.get("x-csrf-token") || req.query._csrf;
+  if (tokensMatch(req.session.csrfToken, sent)) {
+    return next();
+  }
+  res.status(403).send("This form has expired. Go back, reload the page and try again.");
+}
+
+module.exports = csrfProtection;
@@ -0,0 +1,32 @@
+// middlewares/photoUpload.js
+const multer = require("multer");
+const { MAX_UPLOAD_MB } = require("../utils/menuPhotos");
+
+const ACCEPTED_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+
+const upload = multer({
+  storage: multer.memoryStorage(), // photoService resizes it straight away
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, done) => {
+    if (!ACCEPTED_TYPES.includes(file.mimetype)) {
+      return done(new Error("Photos must be JPEG, PNG, WebP or GIF images"));
+    }
+    done(null, true);
+  }
+}).single("photoFile");
+
+// Parse a multipart form with an optional `photoFile`. Sets req.file and
+// req.body; a rejected file is left as req.photoError for the route to
+// report, so the form can show it like any other error.
+function photoUpload(req, res, next) {
+  upload(req, res, error => {
+    if (error) {
+      req.photoError = error.code === "LIMIT_FILE_SIZE"
+        ? `Photos can be at most ${MAX_UPLOAD_MB} MB`
+        : error.message;
+    }
+    next();
+  });
+}
+
+module.exports = photoUpload;
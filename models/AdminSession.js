@@ -0,0 +1,43 @@
+// models/AdminSession.js
+const mongoose = require("mongoose");
+
+// A signed-in staff device. The session cookie holds a random token whose
+// hash is stored here, so a session can be revoked from the server at any
+// time and can't be guessed from anything guests see.
+const adminSessionSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    sparse: true, // sessions from before tokens have none; they no longer sign anyone in
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  ip: String,
+  userAgent: String,
+}, { timestamps: true });
+
+// MongoDB removes sessions once they expire
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+adminSessionSchema.methods.isValid = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("AdminSession", adminSessionSchema);
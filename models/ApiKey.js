@@ -0,0 +1,61 @@
+// models/ApiKey.js
+const mongoose = require("mongoose");
+
+// Credentials for the JSON API (/api/v1). A request made with one acts as
+// its user, with that user's role. Only a hash of the secret is stored.
+//   key:   long-lived, created by staff on their account page
+//   token: short-lived, handed out by POST /api/v1/auth/token
+const apiKeySchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  kind: {
+    type: String,
+    enum: ["key", "token"],
+    default: "key",
+  },
+  name: {
+    type: String, // e.g. "Waiter tablet 2"
+    default: "",
+    trim: true,
+  },
+  prefix: {
+    type: String, // first characters of the secret, to tell keys apart
+    required: true,
+  },
+  secretHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    default: null, // keys don't expire
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  }
+}, { timestamps: true });
+
+// MongoDB removes tokens once they expire
+apiKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+apiKeySchema.methods.isValid = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,64 @@
+// models/Cart.js
+const mongoose = require("mongoose");
+
+// Carts built through the JSON API (guests keep theirs in the session).
+// Lines have the same shape as a session cart line, so both check out
+// through checkoutService.
+const cartLineSchema = new mongoose.Schema({
+  lineId: {
+    type: String, // menu item + options + notes, see buildLineKey
+    required: true,
+  },
+  menuItemId: {
+    type: String,
+    required: true,
+  },
+  name: String,
+  price: {
+    type: Number, // unit price when added, options included
+    required: true,
+  },
+  modifiers: [{
+    _id: false,
+    group: String,
+    option: String,
+    priceDelta: Number,
+  }],
+  notes: {
+    type: String,
+    default: "",
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  }
+}, { _id: false });
+
+const cartSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  tableNumber: {
+    type: Number,
+    default: null, // can be set at checkout instead
+  },
+  items: [cartLineSchema],
+  expiresAt: {
+    type: Date,
+    required: true,
+  }
+}, { timestamps: true });
+
+// Abandoned carts are removed by MongoDB
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Cart", cartSchema);
@@ -0,0 +1,35 @@
+// models/Device.js
+const mongoose = require("mongoose");
+
+// A kitchen display (NodeMCU running resto.ino), registered the first time
+// it sends a heartbeat
+const deviceSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
+  deviceId: {
+    type: String, // e.g. ESP-1A2B3C, also its MQTT client ID
+    required: true,
+    unique: true,
+  },
+  stationCode: {
+    type: String, // null for the default kitchen
+    default: null,
+  },
+  firmwareVersion: String,
+  freeHeap: Number, // bytes
+  queueLength: Number, // orders waiting on the display
+  rssi: Number, // Wi-Fi signal, dBm
+  online: {
+    type: Boolean,
+    default: false,
+  },
+  lastSeenAt: Date,
+  lastOnlineAt: Date,
+  lastOfflineAt: Date,
+}, { timestamps: true });
+
+module.exports = mongoose.model("Device", deviceSchema);
@@ -0,0 +1,27 @@
+// models/Menu.js
+const mongoose = require("mongoose");
+const scheduleWindowSchema = require("./scheduleWindow");
+
+// A menu served at set times, e.g. Breakfast, Mon-Fri 07:00-11:00.
+// Items on one or more menus can only be ordered while one of them is
+// being served; items on none are served all day.
+const menuSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  windows: [scheduleWindowSchema],
+  active: {
+    type: Boolean,
+    default: true, // inactive menus are never served
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model("Menu", menuSchema);
@@ -1,7 +1,49 @@
 // models/MenuItem.js
 const mongoose = require("mongoose");
+const { thumbnailUrl } = require("../utils/menuPhotos");
+
+// A choice within a modifier group, e.g. "Large" (+500)
+const modifierOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  priceDelta: {
+    type: Number,
+    default: 0,
+  }
+}, { _id: false });
+
+// e.g. "Size" (required, pick one) or "Extras" (optional, pick any)
+const modifierGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  selection: {
+    type: String,
+    enum: ["single", "multi"],
+    default: "single",
+  },
+  options: [modifierOptionSchema]
+}, { _id: false });
 
 const menuItemSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
+  sku: {
+    type: String, // stable code for matching on import; optional
+    trim: true,
+    default: undefined,
+  },
   name: {
     type: String,
     required: true,
@@ -12,13 +54,60 @@ const menuItemSchema = new mongoose.Schema({
     min: 0,
   },
   photo: {
-    type: String, // URL to photo
+    type: String, // URL to photo: an upload under /uploads/menu or elsewhere
     required: true,
   },
   category: {
     type: String,
     default: "General", // optional: Drinks, Starters, etc.
+  },
+  taxCategory: {
+    type: String, // name of one of the branch's tax categories; empty = its default
+    default: "",
+    trim: true,
+  },
+  available: {
+    type: Boolean,
+    default: true, // false when the kitchen has "86'd" the item
+  },
+  stock: {
+    type: Number,
+    min: 0,
+    default: null, // null = stock not tracked
+  },
+  modifierGroups: [modifierGroupSchema],
+  menus: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Menu", // only orderable while one is served; none = all day
+  }],
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Station", // overrides the station picked from the category
+    default: null,
   }
-}, { timestamps: true });
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+// SKUs are unique within a branch (items without one don't count)
+menuItemSchema.index(
+  { restaurant: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: "string" } } }
+);
+
+// Whether the item can't be ordered right now
+menuItemSchema.virtual("isSoldOut").get(function () {
+  return !this.available || (this.stock !== null && this.stock !== undefined && this.stock <= 0);
+});
+
+// Smaller version of the photo for cards and carts (the photo itself when
+// it's hosted elsewhere)
+menuItemSchema.virtual("thumbnail").get(function () {
+  return thumbnailUrl(this.photo);
+});
+
+// Whether `quantity` more can be ordered
+menuItemSchema.methods.canFulfil = function (quantity) {
+  if (this.isSoldOut) return false;
+  return this.stock === null || this.stock === undefined || this.stock >= quantity;
+};
 
 module.exports = mongoose.model("MenuItem", menuItemSchema);
@@ -1,35 +1,313 @@
 // models/Order.js
 const mongoose = require("mongoose");
+const { InvalidTransitionError } = require("../utils/errors");
+
+// Order lifecycle, in the order an order normally moves through it
+const ORDER_STATUSES = ["received", "accepted", "preparing", "ready", "served", "paid", "cancelled"];
+
+// Allowed next statuses. The kitchen may skip ahead (e.g. the device marks
+// a "received" order served), but nothing moves backwards.
+const STATUS_TRANSITIONS = {
+  received: ["accepted", "preparing", "ready", "served", "cancelled"],
+  accepted: ["preparing", "ready", "served", "cancelled"],
+  preparing: ["ready", "served", "cancelled"],
+  ready: ["served", "cancelled"],
+  served: ["paid"],
+  paid: [],
+  cancelled: [],
+};
+
+// Orders the kitchen and floor still have to deal with
+const ACTIVE_STATUSES = ["received", "accepted", "preparing", "ready"];
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String, // null for the initial status
+    default: null,
+  },
+  to: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  actorType: {
+    type: String,
+    enum: ["user", "guest", "device", "system"],
+    required: true,
+  },
+  actor: {
+    type: String, // username, table label or MQTT device ID
+    default: "",
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  source: {
+    type: String, // checkout, admin, mqtt, ...
+    required: true,
+  }
+}, { _id: false });
+
+// Option chosen for an order line, e.g. { group: "Size", option: "Large", priceDelta: 500 }
+const orderModifierSchema = new mongoose.Schema({
+  group: String,
+  option: String,
+  priceDelta: {
+    type: Number,
+    default: 0,
+  }
+}, { _id: false });
+
+// Name and price are snapshots taken at checkout, so editing the menu
+// never changes what an order cost
+const orderItemSchema = new mongoose.Schema({
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "MenuItem",
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  unitPrice: {
+    type: Number, // base price plus option deltas
+    required: true,
+    min: 0,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  modifiers: [orderModifierSchema],
+  notes: {
+    type: String, // special instructions, e.g. "no onions"
+    default: "",
+    maxlength: 140,
+  },
+  paidQuantity: {
+    type: Number, // how many of this line have been paid for by item
+    default: 0,
+  }
+});
+
+// One station's share of an order. The order is served once every
+// ticket is done. A null stationCode is the default (unrouted) kitchen.
+const ticketSchema = new mongoose.Schema({
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Station",
+    default: null,
+  },
+  stationCode: {
+    type: String,
+    default: null,
+  },
+  stationName: {
+    type: String,
+    default: "Kitchen",
+  },
+  items: [Number], // indexes into order.items
+  status: {
+    type: String,
+    enum: ["pending", "done"],
+    default: "pending",
+  },
+  completedAt: Date,
+  completedBy: String, // device ID
+  deliveredAt: Date, // when a station device acknowledged the ticket
+  deliveredTo: String, // device ID
+}, { _id: false });
+
+// A promotion applied at checkout, snapshotted like the lines
+const orderDiscountSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Promotion",
+  },
+  name: String,
+  code: {
+    type: String, // empty for promotions that apply by themselves
+    default: "",
+  },
+  type: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  }
+}, { _id: false });
+
+// One tax rate's share of an order, e.g. { name: "VAT", rate: 18, base: 11800, amount: 1800 }
+const orderTaxSchema = new mongoose.Schema({
+  name: String,
+  rate: Number, // percent
+  base: Number, // what the rate applied to, after discounts
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  }
+}, { _id: false });
+
+orderItemSchema.virtual("lineTotal").get(function () {
+  return this.unitPrice * this.quantity;
+});
 
 const orderSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
   tableNumber: {
     type: Number,
     required: true,
   },
-  items: [
-    {
-      menuItem: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "MenuItem",
-        required: true,
-      },
-      quantity: {
-        type: Number,
-        required: true,
-        min: 1,
-      }
-    }
-  ],
-  total: {
+  tab: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Tab",
+    default: null, // orders from before tabs existed have none
+    index: true,
+  },
+  items: [orderItemSchema],
+  subtotal: {
+    type: Number, // line totals, before discounts and charges
+    min: 0,
+  },
+  discounts: [orderDiscountSchema],
+  discountTotal: {
+    type: Number, // sum of discounts
+    default: 0,
+  },
+  serviceChargeRate: {
+    type: Number, // percent, at the time of the order
+    default: 0,
+  },
+  serviceCharge: {
     type: Number,
+    default: 0,
+  },
+  taxes: [orderTaxSchema],
+  taxTotal: {
+    type: Number,
+    default: 0,
+  },
+  pricesIncludeTax: {
+    type: Boolean, // true: the taxes are part of the line prices, not added on top
+    default: true,
+  },
+  total: {
+    type: Number, // what the guest pays: subtotal less discounts plus the charges
     required: true,
     min: 0,
   },
+  amountPaid: {
+    type: Number, // sum of this order's payments, tips not included
+    default: 0,
+  },
   status: {
     type: String,
-    enum: ["pending", "served", "paid"],
-    default: "pending",
+    enum: ORDER_STATUSES,
+    default: "received",
+  },
+  statusHistory: [statusChangeSchema],
+  tickets: [ticketSchema]
+}, { timestamps: true, optimisticConcurrency: true });
+
+// The admin order list filters by branch and status, newest first
+orderSchema.index({ restaurant: 1, createdAt: -1 });
+orderSchema.index({ restaurant: 1, status: 1, createdAt: -1 });
+
+orderSchema.statics.STATUSES = ORDER_STATUSES;
+orderSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+// Statuses an order in `status` may move to
+orderSchema.statics.allowedTransitions = function (status) {
+  return STATUS_TRANSITIONS[status] || [];
+};
+
+orderSchema.statics.canTransition = function (from, to) {
+  return this.allowedTransitions(from).includes(to);
+};
+
+// Orders placed before the lifecycle existed were "pending"
+orderSchema.statics.migrateLegacyStatuses = function () {
+  return this.updateMany({ status: "pending" }, { $set: { status: "received" } });
+};
+
+// Orders marked paid before payments were recorded were paid in full
+orderSchema.statics.backfillAmountPaid = function () {
+  return this.updateMany(
+    { status: "paid", amountPaid: { $in: [0, null] } },
+    [{ $set: { amountPaid: "$total" } }]
+  );
+};
+
+// Orders placed before subtotals were stored had no charges, so the
+// subtotal is the total plus any discount
+orderSchema.statics.backfillSubtotals = function () {
+  return this.updateMany(
+    { subtotal: { $exists: false } },
+    [{ $set: { subtotal: { $add: ["$total", { $ifNull: ["$discountTotal", 0] }] } } }]
+  );
+};
+
+// Orders placed before line snapshots existed only referenced the menu item.
+// Fill in name and price from the current menu (the best we can do).
+orderSchema.statics.backfillLineSnapshots = async function () {
+  const orders = await this.find({ "items.unitPrice": { $exists: false } }).populate("items.menuItem");
+
+  for (const order of orders) {
+    order.items.forEach(item => {
+      if (item.unitPrice !== undefined) return;
+      const menuItem = item.menuItem;
+      const deltas = (item.modifiers || []).reduce((sum, m) => sum + (m.priceDelta || 0), 0);
+      item.name = menuItem ? menuItem.name : "Deleted item";
+      item.unitPrice = menuItem ? menuItem.price + deltas : 0;
+    });
+    await order.save({ validateBeforeSave: false });
   }
-}, { timestamps: true });
+
+  return orders.length;
+};
+
+// Open tickets on an active order that no kitchen device has acknowledged
+orderSchema.methods.undeliveredTickets = function () {
+  if (!ACTIVE_STATUSES.includes(this.status)) return [];
+  return this.tickets.filter(t => t.status === "pending" && !t.deliveredAt);
+};
+
+// What is still owed
+orderSchema.methods.balance = function () {
+  return Math.max(0, this.total - (this.amountPaid || 0));
+};
+
+orderSchema.methods.isFullyPaid = function () {
+  return this.balance() === 0;
+};
+
+// Record the initial status of a new order
+orderSchema.methods.recordCreated = function (actor) {
+  this.statusHistory.push({ ...actor, from: null, to: this.status });
+};
+
+// Move the order to `status` and record who did it.
+// `actor` is { actorType, actor, user, source }.
+orderSchema.methods.transitionTo = function (status, actor) {
+  if (!this.constructor.canTransition(this.status, status)) {
+    throw new InvalidTransitionError(this.status, status);
+  }
+
+  this.statusHistory.push({ ...actor, from: this.status, to: status });
+  this.status = status;
+};
 
 module.exports = mongoose.model("Order", orderSchema);
@@ -0,0 +1,62 @@
+// models/OutboxMessage.js
+const mongoose = require("mongoose");
+
+// A station ticket waiting to reach a kitchen device. Messages stay here
+// until the device acknowledges them, so nothing is lost while the broker
+// or the device is offline.
+const outboxMessageSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+  },
+  stationCode: {
+    type: String, // null for the default kitchen
+    default: null,
+  },
+  transport: {
+    type: String,
+    // mqtt: a station display, printer: a network thermal printer
+    enum: ["mqtt", "printer"],
+    default: "mqtt",
+  },
+  topic: {
+    type: String,
+    required: function () { return this.transport !== "printer"; },
+  },
+  printerHost: String,
+  printerPort: Number,
+  payload: {
+    type: String, // the exact JSON sent to the device, or the ticket to print
+    required: true,
+  },
+  status: {
+    type: String,
+    // pending: not yet published, sent: published but not acknowledged,
+    // acked: device confirmed receipt, dropped: order finished without an ack
+    enum: ["pending", "sent", "acked", "dropped"],
+    default: "pending",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lastAttemptAt: Date,
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  ackedAt: Date,
+  ackedBy: String, // device ID, or printer:<host> once printed
+}, { timestamps: true });
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ order: 1, stationCode: 1 });
+
+module.exports = mongoose.model("OutboxMessage", outboxMessageSchema);
@@ -0,0 +1,75 @@
+// models/Payment.js
+const mongoose = require("mongoose");
+
+const PAYMENT_METHODS = ["cash", "card", "mobile_money"];
+
+// Order lines a payment covers when a bill is split by item
+const paidLineSchema = new mongoose.Schema({
+  line: {
+    type: Number, // index into order.items
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  }
+}, { _id: false });
+
+// Money taken for an order. An order can have several (split bills,
+// partial payments) and becomes paid once they cover its total.
+const paymentSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+    index: true,
+  },
+  tab: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Tab",
+    default: null, // set when the payment came from closing a tab
+  },
+  amount: {
+    type: Number, // towards the bill, tip not included
+    required: true,
+    min: 0,
+  },
+  tip: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true,
+  },
+  reference: {
+    type: String, // card slip or mobile money transaction ID
+    default: "",
+    trim: true,
+  },
+  items: [paidLineSchema], // empty unless split by item
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  cashierName: {
+    type: String, // username at the time, kept if the account goes
+    required: true,
+  },
+}, { timestamps: true });
+
+paymentSchema.index({ restaurant: 1, createdAt: -1 });
+
+paymentSchema.statics.METHODS = PAYMENT_METHODS;
+
+module.exports = mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,39 @@
+// models/PriceSchedule.js
+const mongoose = require("mongoose");
+const scheduleWindowSchema = require("./scheduleWindow");
+
+// Prices that apply at set times, e.g. Happy hour, every day 17:00-19:00.
+// When schedules overlap the lowest price wins.
+const priceScheduleSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  windows: [scheduleWindowSchema],
+  overrides: [{
+    _id: false,
+    menuItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MenuItem",
+      required: true,
+    },
+    price: {
+      type: Number, // replaces the item's base price; options still add on
+      required: true,
+      min: 0,
+    }
+  }],
+  active: {
+    type: Boolean,
+    default: true,
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model("PriceSchedule", priceScheduleSchema);
@@ -0,0 +1,109 @@
+// models/Promotion.js
+const mongoose = require("mongoose");
+
+// What a promotion takes off (see services/promotionService.js):
+//   percent      `value`% off the order
+//   amount       `value` off the order
+//   category     `value`% off items in `category`
+//   buy_x_get_y  buy `buyQuantity` of `menuItem`, get `getQuantity` more free
+//   combo        one of each of `comboItems` for `value` in total
+const PROMOTION_TYPES = ["percent", "amount", "category", "buy_x_get_y", "combo"];
+
+const promotionSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true, // shown to guests, e.g. "Happy Monday 10% off"
+    trim: true,
+  },
+  code: {
+    type: String, // entered at checkout; none means it applies by itself
+    uppercase: true,
+    trim: true,
+    default: undefined,
+    match: /^[A-Z0-9_-]{3,20}$/,
+  },
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: true,
+  },
+  value: {
+    type: Number, // percent off, amount off or combo price, by type
+    default: 0,
+    min: 0,
+  },
+  category: {
+    type: String,
+    default: "",
+    trim: true,
+  },
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "MenuItem",
+    default: null,
+  },
+  buyQuantity: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  getQuantity: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  comboItems: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "MenuItem",
+  }],
+  startsAt: {
+    type: Date,
+    default: null, // null = from now on
+  },
+  endsAt: {
+    type: Date,
+    default: null, // null = until switched off
+  },
+  minSpend: {
+    type: Number, // order subtotal needed, before any discount
+    default: 0,
+    min: 0,
+  },
+  maxUses: {
+    type: Number,
+    default: null, // null = unlimited
+    min: 1,
+  },
+  uses: {
+    type: Number, // orders placed with it, less cancelled ones
+    default: 0,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  }
+}, { timestamps: true });
+
+// Codes are unique within a branch
+promotionSchema.index(
+  { restaurant: 1, code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: "string" } } }
+);
+
+// Whether it can be used at `at`, leaving minimum spend aside
+promotionSchema.methods.isAvailable = function (at = new Date()) {
+  return this.active &&
+    (!this.startsAt || this.startsAt <= at) &&
+    (!this.endsAt || this.endsAt > at) &&
+    (this.maxUses === null || this.maxUses === undefined || this.uses < this.maxUses);
+};
+
+promotionSchema.statics.TYPES = PROMOTION_TYPES;
+
+module.exports = mongoose.model("Promotion", promotionSchema);
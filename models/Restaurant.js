@@ -0,0 +1,108 @@
+// models/Restaurant.js
+const mongoose = require("mongoose");
+
+// A tax rate menu items can be put under, e.g. { name: "VAT", rate: 18 }
+const taxCategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 40,
+  },
+  rate: {
+    type: Number, // percent
+    required: true,
+    min: 0,
+    max: 100,
+  }
+}, { _id: false });
+
+// A branch. Menu items, orders, tables, stations, devices and staff all
+// belong to one, and its devices talk on their own MQTT topic prefix.
+const restaurantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  slug: {
+    type: String, // used in table QR links, e.g. /t/downtown/4/...
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9-]+$/,
+  },
+  topicPrefix: {
+    type: String, // e.g. KY/RESTO -> KY/RESTO/ORDER/NEW
+    required: true,
+    unique: true,
+    trim: true,
+    match: /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_-]+)*$/, // no wildcards or empty levels
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  timezone: {
+    type: String, // IANA name, e.g. Africa/Kigali; menu schedules, reports and date filters use it
+    default: () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC",
+    trim: true,
+  },
+  // The first category is the default for items that don't name one;
+  // none means orders carry no tax
+  taxCategories: [taxCategorySchema],
+  pricesIncludeTax: {
+    type: Boolean, // true: menu prices already include tax; false: it's added at checkout
+    default: true,
+  },
+  serviceChargeRate: {
+    type: Number, // percent added to every order, after discounts; 0 = none
+    default: 0,
+    min: 0,
+    max: 100,
+  },
+  currency: {
+    type: String, // shown after every amount; prices are whole units of it
+    default: "RWF",
+    trim: true,
+    uppercase: true,
+    match: /^[A-Z]{3}$/, // ISO 4217 code, e.g. RWF or KES
+  },
+  // Network thermal printer for guest receipts (optional)
+  receiptPrinterHost: {
+    type: String,
+    default: "",
+    trim: true,
+  },
+  receiptPrinterPort: {
+    type: Number,
+    default: 9100,
+  }
+}, { timestamps: true });
+
+// The tax category an item falls under: its own if the branch still has
+// it, otherwise the default. Null when the branch charges no tax.
+restaurantSchema.methods.taxCategoryFor = function (name) {
+  return this.taxCategories.find(category => category.name === name) || this.taxCategories[0] || null;
+};
+
+// The first branch, used for guests without a table link and for data
+// created before branches existed
+restaurantSchema.statics.findDefault = function () {
+  return this.findOne({ active: true }).sort({ createdAt: 1 });
+};
+
+// Create the first branch on a fresh install or an upgrade
+restaurantSchema.statics.ensureDefault = async function () {
+  const existing = await this.findOne().sort({ createdAt: 1 });
+  if (existing) return existing;
+
+  return this.create({
+    name: process.env.RESTAURANT_NAME || "Main",
+    slug: "main",
+    topicPrefix: process.env.MQTT_TOPIC_PREFIX || "KY/RESTO",
+  });
+};
+
+module.exports = mongoose.model("Restaurant", restaurantSchema);
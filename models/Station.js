@@ -0,0 +1,46 @@
+// models/Station.js
+const mongoose = require("mongoose");
+
+const stationSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true, // e.g. Kitchen, Bar, Dessert
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z0-9_]+$/, // used as the last MQTT topic level
+  },
+  categories: {
+    type: [String], // menu categories routed here, e.g. ["Drinks", "Cocktails"]
+    default: [],
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  // A network thermal printer for this station's tickets, instead of an
+  // MQTT display. Empty means tickets go to the display.
+  printerHost: {
+    type: String,
+    default: "",
+    trim: true,
+  },
+  printerPort: {
+    type: Number,
+    default: 9100,
+  }
+}, { timestamps: true });
+
+// Station codes are unique within a branch
+stationSchema.index({ restaurant: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model("Station", stationSchema);
@@ -0,0 +1,38 @@
+// models/Tab.js
+const mongoose = require("mongoose");
+
+// A table's running bill. Every order placed at the table joins its open
+// tab until staff close it, so several rounds end up on one bill.
+const tabSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
+  tableNumber: {
+    type: Number, // where the guests are now; moving the tab changes it
+    required: true,
+  },
+  status: {
+    type: String,
+    // merged: its orders moved to the tab in `mergedInto`
+    enum: ["open", "closed", "merged"],
+    default: "open",
+  },
+  closedAt: Date,
+  closedBy: String, // username
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Tab",
+    default: null,
+  },
+}, { timestamps: true });
+
+// At most one open tab per table
+tabSchema.index(
+  { restaurant: 1, tableNumber: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+
+module.exports = mongoose.model("Tab", tabSchema);
@@ -0,0 +1,34 @@
+// models/Table.js
+const mongoose = require("mongoose");
+
+const tableSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
+  number: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  zone: {
+    type: String,
+    default: "Main", // e.g. Terrace, Bar, Main
+  },
+  seats: {
+    type: Number,
+    default: 4,
+    min: 1,
+  },
+  active: {
+    type: Boolean,
+    default: true, // inactive tables can't take orders
+  }
+}, { timestamps: true });
+
+// Table numbers are unique within a branch
+tableSchema.index({ restaurant: 1, number: 1 }, { unique: true });
+
+module.exports = mongoose.model("Table", tableSchema);
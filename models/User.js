@@ -1,7 +1,16 @@
 // models/User.js
 const mongoose = require("mongoose");
 
+// Staff roles; see middlewares/auth.js for what each may do
+const ROLES = ["owner", "manager", "waiter", "kitchen", "cashier"];
+
 const userSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
   username: {
     type: String,
     required: true,
@@ -13,9 +22,46 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ["admin"],
-    default: "admin",
+    enum: ROLES,
+    default: "waiter",
+  },
+  active: {
+    type: Boolean,
+    default: true, // inactive staff can't sign in
+  },
+  // Consecutive failed sign-ins; the account locks for longer each time
+  failedLogins: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  // Optional second factor (see utils/totp.js)
+  totpSecret: {
+    type: String,
+    default: null,
+  },
+  totpEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  totpLastStep: {
+    type: Number, // last code used, so a code can't be replayed
+    default: 0,
   },
 }, { timestamps: true });
 
+userSchema.statics.ROLES = ROLES;
+
+// Accounts created before roles existed were all "admin"
+userSchema.statics.migrateLegacyRoles = function () {
+  return this.updateMany({ role: "admin" }, { $set: { role: "owner" } });
+};
+
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockedUntil) && this.lockedUntil > new Date();
+};
+
 module.exports = mongoose.model("User", userSchema);
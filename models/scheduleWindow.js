@@ -0,0 +1,25 @@
+// models/scheduleWindow.js
+const mongoose = require("mongoose");
+const { TIME_PATTERN } = require("../utils/schedule");
+
+// A weekly time window, shared by menus and price schedules (see
+// utils/schedule.js). e.g. { days: [1, 2, 3, 4, 5], start: "07:00", end: "11:00" }
+const scheduleWindowSchema = new mongoose.Schema({
+  days: [{
+    type: Number, // 0 = Sunday
+    min: 0,
+    max: 6,
+  }],
+  start: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN,
+  },
+  end: {
+    type: String, // before start means it runs past midnight
+    required: true,
+    match: TIME_PATTERN,
+  }
+}, { _id: false });
+
+module.exports = scheduleWindowSchema;
@@ -1,10 +1,18 @@
 // NodeMCU (ESP8266) - Restaurant order queue with LittleFS + MQTT + 20x4 I2C LCD
 // Features:
 //  - WiFiManager for Wi-Fi provisioning and persistent reconnect
-//  - Subscribes: KY/RESTO/ORDER/NEW
-//  - Publishes: KY/RESTO/ORDER/DONE { "orderId": "..." }
+//  - Topics below use the default KY/RESTO prefix; each branch has its own (TOPIC_PREFIX)
+//  - Subscribes: KY/RESTO/ORDER/NEW[/STATION]
+//  - Publishes: KY/RESTO/ORDER/DONE[/STATION] { "orderId": "...", "deviceId": "ESP-XXXXXX" }
+//  - Publishes: KY/RESTO/ORDER/ACK[/STATION] (same payload) on receipt. The server
+//    re-sends a ticket until it is acknowledged, so repeats are ignored.
+//  - Publishes: KY/RESTO/DEVICE/HEARTBEAT/<device> every 30s (station, firmware,
+//    free heap, queue length, RSSI) and retained online/offline on
+//    KY/RESTO/DEVICE/STATUS/<device>, with "offline" as the MQTT last will.
+//    STATION is empty for the default kitchen, or a station code such as BAR.
 //  - Queue stored as single JSON array in LittleFS (/orders.json). Cleared on startup.
 //  - LCD shows only table number on line 1. D7 scrolls items on lines 2-4.
+//    Items with options/notes ("mods") get an extra indented line.
 //  - D5 marks current order done. D6 buzzer beeps twice on new order.
 
 // Libraries
@@ -23,8 +31,15 @@ const uint16_t MQTT_PORT = 1883;
 const char* MQTT_USER = "";   // set to "" if no auth
 const char* MQTT_PASS = "";
 
-const char* TOPIC_NEW  = "KY/RESTO/ORDER/NEW";
-const char* TOPIC_DONE = "KY/RESTO/ORDER/DONE";
+const char* TOPIC_PREFIX = "KY/RESTO"; // this branch's prefix, see the admin Branch page
+const char* TOPIC_BASE_NEW  = "ORDER/NEW";
+const char* TOPIC_BASE_DONE = "ORDER/DONE";
+const char* TOPIC_BASE_ACK  = "ORDER/ACK";
+const char* TOPIC_BASE_HEARTBEAT = "DEVICE/HEARTBEAT";
+const char* TOPIC_BASE_STATUS    = "DEVICE/STATUS";
+const char* FIRMWARE_VERSION = "1.4.0";
+const unsigned long HEARTBEAT_INTERVAL = 30000; // 30 seconds
+const char* STATION = "";     // station code from the admin Stations page, "" = default kitchen
 
 const uint8_t BUTTON_DONE_PIN   = D5; // mark done, active low (INPUT_PULLUP)
 const uint8_t BUTTON_SCROLL_PIN = D7; // scroll items, active low (INPUT_PULLUP)
@@ -33,6 +48,14 @@ const uint8_t LCD_I2C_ADDR      = 0x27; // change if needed
 const char* QUEUE_FILE = "/orders.json";
 // ---------- end user config ----------
 
+// Topics for this device's station, built in setup()
+char TOPIC_NEW[64];
+char TOPIC_DONE[64];
+char TOPIC_ACK[64];
+char TOPIC_HEARTBEAT[64];
+char TOPIC_STATUS[64];
+char DEVICE_ID[20];
+
 WiFiClient espClient;
 PubSubClient mqtt(espClient);
 LiquidCrystal_I2C lcd(LCD_I2C_ADDR, 20, 4);
@@ -57,6 +80,7 @@ bool scrollPressed = false;
 
 // Track last button action times
 unsigned long lastDoneAction = 0;
+unsigned long lastHeartbeat = 0;
 unsigned long lastScrollAction = 0;
 const unsigned long DONE_COOLDOWN   = 3000; // 3 seconds
 const unsigned long SCROLL_COOLDOWN = 1000; // 1 second
@@ -70,10 +94,17 @@ void mqttCallback(char* topic, byte* payload, unsigned int length);
 void saveQueueToFile();
 void loadQueueFromFile();
 void displayCurrentOrder();
+int countDisplayRows(JsonArray items);
+bool formatDisplayRow(JsonArray items, int row, char* buf, size_t len);
 bool queueEmpty();
 JsonObject getCurrentOrder();
 void removeCurrentOrderFromQueue();
 void publishOrderDone(const char* orderId);
+void publishOrderAck(const char* orderId);
+void publishHeartbeat();
+void publishDeviceMessage(const char* topic, const char* orderId, const char* label);
+bool queueHasOrder(const char* orderId);
+void buildTopics();
 void beepTwice();
 void ensureQueueFileExistsAndClearOnStartup();
 void testButtons(); // Test button hardware
@@ -85,6 +116,8 @@ void setup() {
   // Print initial memory status
   printMemoryStatus("Startup");
 
+  buildTopics();
+
   // LittleFS init
   if (!LittleFS.begin()) {
     Serial.println("LittleFS mount failed, formatting...");
@@ -154,6 +187,11 @@ void loop() {
 
   unsigned long now = millis();
   
+  // Heartbeat for the server's device registry
+  if (mqtt.connected() && now - lastHeartbeat > HEARTBEAT_INTERVAL) {
+    publishHeartbeat();
+  }
+
   // Periodic memory monitoring (every 30 seconds)
   if (now - lastMemCheck > 30000) {
     lastMemCheck = now;
@@ -187,9 +225,9 @@ void loop() {
     if (!queueEmpty()) {
       JsonObject cur = getCurrentOrder();
       JsonArray items = cur["items"].as<JsonArray>();
-      int itemCount = items.size();
-      if (itemCount > 3) {
-        int maxStart = itemCount - 3;
+      int rowCount = countDisplayRows(items);
+      if (rowCount > 3) {
+        int maxStart = rowCount - 3;
         itemScrollIndex++;
         if (itemScrollIndex > maxStart) itemScrollIndex = 0;
       } else {
@@ -211,24 +249,23 @@ void connectMQTT() {
   if (millis() - lastAttempt < ATTEMPT_INTERVAL) return;
   lastAttempt = millis();
 
-  // Use char buffer instead of String
-  char clientId[20];
-  snprintf(clientId, sizeof(clientId), "ESP-%06X", ESP.getChipId());
-  
   printMemoryStatus("Before MQTT connect");
   Serial.print("Connecting to MQTT...");
   
+  // The broker publishes our last will ("offline", retained) if we drop off
   bool connected = false;
   if (strlen(MQTT_USER) > 0) {
-    connected = mqtt.connect(clientId, MQTT_USER, MQTT_PASS);
+    connected = mqtt.connect(DEVICE_ID, MQTT_USER, MQTT_PASS, TOPIC_STATUS, 1, true, "offline");
   } else {
-    connected = mqtt.connect(clientId);
+    connected = mqtt.connect(DEVICE_ID, TOPIC_STATUS, 1, true, "offline");
   }
   
   if (connected) {
     Serial.println("connected");
+    mqtt.publish(TOPIC_STATUS, "online", true);
     mqtt.subscribe(TOPIC_NEW);
     Serial.printf("Subscribed to %s\n", TOPIC_NEW);
+    publishHeartbeat();
     printMemoryStatus("After MQTT connect");
   } else {
     Serial.printf("failed, rc=%d\n", mqtt.state());
@@ -297,6 +334,15 @@ void mqttCallback(char* topic, byte* payload, unsigned int length) {
   JsonArray items = doc["items"];
   Serial.printf("📋 Order: %s, Table: %d, Items: %d\n", orderId, tableNum, items.size());
 
+  // Confirm receipt so the server stops re-sending this ticket
+  publishOrderAck(orderId);
+
+  // A re-send of an order we already have (our ack was lost)
+  if (queueHasOrder(orderId)) {
+    Serial.println("ℹ️ Order already queued; ignoring repeat");
+    return;
+  }
+
   // Check if we have space in queue (reduced limit for memory optimization)
   JsonArray arr = queueDoc.as<JsonArray>();
   if (arr.size() >= 5) { // Reduced from 10 to 5 orders max
@@ -396,6 +442,15 @@ bool queueEmpty() {
   return arr.size() == 0;
 }
 
+bool queueHasOrder(const char* orderId) {
+  JsonArray arr = queueDoc.as<JsonArray>();
+  for (JsonObject order : arr) {
+    const char* oid = order["orderId"] | "";
+    if (strcmp(oid, orderId) == 0) return true;
+  }
+  return false;
+}
+
 JsonObject getCurrentOrder() {
   JsonArray arr = queueDoc.as<JsonArray>();
   if (arr.size() == 0) {
@@ -435,20 +490,13 @@ void displayCurrentOrder() {
   snprintf(line1, sizeof(line1), "Table: %d", tableNum);
   lcd.print(line1);
 
-  // Lines 2-4: items starting at itemScrollIndex
+  // Lines 2-4: item rows starting at itemScrollIndex
   JsonArray items = cur["items"].as<JsonArray>();
-  int itemCount = items.size();
   char itemBuffer[21]; // Reuse buffer for each line
   
   for (int r = 0; r < 3; ++r) {
     lcd.setCursor(0, r + 1);
-    int idx = itemScrollIndex + r;
-    if (idx < itemCount) {
-      const char* name = items[idx]["name"] | "";
-      int qty = items[idx]["quantity"] | 0;
-      
-      // Use snprintf instead of String concatenation
-      snprintf(itemBuffer, sizeof(itemBuffer), "%.15s x%d", name, qty);
+    if (formatDisplayRow(items, itemScrollIndex + r, itemBuffer, sizeof(itemBuffer))) {
       lcd.print(itemBuffer);
     } else {
       // clear line efficiently
@@ -457,25 +505,106 @@ void displayCurrentOrder() {
   }
 }
 
+// Each item takes one row, plus an indented row for its options/notes ("mods")
+int countDisplayRows(JsonArray items) {
+  int rows = 0;
+  for (JsonObject item : items) {
+    rows++;
+    const char* mods = item["mods"] | "";
+    if (strlen(mods) > 0) rows++;
+  }
+  return rows;
+}
+
+// Write display row `row` into buf; returns false past the last row
+bool formatDisplayRow(JsonArray items, int row, char* buf, size_t len) {
+  int current = 0;
+  for (JsonObject item : items) {
+    if (current == row) {
+      const char* name = item["name"] | "";
+      int qty = item["quantity"] | 0;
+      // Use snprintf instead of String concatenation
+      snprintf(buf, len, "%.15s x%d", name, qty);
+      return true;
+    }
+    current++;
+
+    const char* mods = item["mods"] | "";
+    if (strlen(mods) > 0) {
+      if (current == row) {
+        snprintf(buf, len, "  %.18s", mods);
+        return true;
+      }
+      current++;
+    }
+  }
+  return false;
+}
+
 // ---------- publish done ----------
 
+void buildTopics() {
+  snprintf(DEVICE_ID, sizeof(DEVICE_ID), "ESP-%06X", ESP.getChipId());
+  snprintf(TOPIC_HEARTBEAT, sizeof(TOPIC_HEARTBEAT), "%s/%s/%s", TOPIC_PREFIX, TOPIC_BASE_HEARTBEAT, DEVICE_ID);
+  snprintf(TOPIC_STATUS, sizeof(TOPIC_STATUS), "%s/%s/%s", TOPIC_PREFIX, TOPIC_BASE_STATUS, DEVICE_ID);
+
+  if (strlen(STATION) > 0) {
+    snprintf(TOPIC_NEW, sizeof(TOPIC_NEW), "%s/%s/%s", TOPIC_PREFIX, TOPIC_BASE_NEW, STATION);
+    snprintf(TOPIC_DONE, sizeof(TOPIC_DONE), "%s/%s/%s", TOPIC_PREFIX, TOPIC_BASE_DONE, STATION);
+    snprintf(TOPIC_ACK, sizeof(TOPIC_ACK), "%s/%s/%s", TOPIC_PREFIX, TOPIC_BASE_ACK, STATION);
+  } else {
+    snprintf(TOPIC_NEW, sizeof(TOPIC_NEW), "%s/%s", TOPIC_PREFIX, TOPIC_BASE_NEW);
+    snprintf(TOPIC_DONE, sizeof(TOPIC_DONE), "%s/%s", TOPIC_PREFIX, TOPIC_BASE_DONE);
+    snprintf(TOPIC_ACK, sizeof(TOPIC_ACK), "%s/%s", TOPIC_PREFIX, TOPIC_BASE_ACK);
+  }
+  Serial.printf("Device %s, station topics: %s / %s\n", DEVICE_ID, TOPIC_NEW, TOPIC_DONE);
+}
+
 void publishOrderDone(const char* orderId) {
-  StaticJsonDocument<64> doc; // Reduced from 128 to 64
+  publishDeviceMessage(TOPIC_DONE, orderId, "done");
+}
+
+void publishOrderAck(const char* orderId) {
+  publishDeviceMessage(TOPIC_ACK, orderId, "ack");
+}
+
+void publishDeviceMessage(const char* topic, const char* orderId, const char* label) {
+  StaticJsonDocument<96> doc; // orderId + deviceId
   doc["orderId"] = orderId;
+  doc["deviceId"] = DEVICE_ID; // recorded in the order's status history
   
-  char jsonBuffer[80]; // Fixed-size buffer instead of String
+  char jsonBuffer[96]; // Fixed-size buffer instead of String
   size_t len = serializeJson(doc, jsonBuffer, sizeof(jsonBuffer));
   
   if (len > 0 && mqtt.connected()) {
-    if (mqtt.publish(TOPIC_DONE, jsonBuffer)) {
-      Serial.printf("Published done: %s\n", jsonBuffer);
+    if (mqtt.publish(topic, jsonBuffer)) {
+      Serial.printf("Published %s: %s\n", label, jsonBuffer);
     } else {
-      Serial.println("Failed to publish done");
+      Serial.printf("Failed to publish %s\n", label);
     }
   } else if (!mqtt.connected()) {
-    Serial.println("MQTT not connected; cannot publish done");
+    Serial.printf("MQTT not connected; cannot publish %s\n", label);
+  } else {
+    Serial.printf("Failed to serialize %s message\n", label);
+  }
+}
+
+void publishHeartbeat() {
+  lastHeartbeat = millis();
+
+  StaticJsonDocument<160> doc;
+  doc["station"] = STATION;
+  doc["firmware"] = FIRMWARE_VERSION;
+  doc["freeHeap"] = ESP.getFreeHeap();
+  doc["queue"] = queueDoc.as<JsonArray>().size();
+  doc["rssi"] = WiFi.RSSI();
+
+  char jsonBuffer[160];
+  size_t len = serializeJson(doc, jsonBuffer, sizeof(jsonBuffer));
+  if (len > 0 && mqtt.publish(TOPIC_HEARTBEAT, jsonBuffer)) {
+    Serial.printf("Heartbeat: %s\n", jsonBuffer);
   } else {
-    Serial.println("Failed to serialize done message");
+    Serial.println("Failed to publish heartbeat");
   }
 }
 
@@ -1,135 +1,1320 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
-const bcrypt = require("bcrypt");
 const User = require("../models/User");
 const MenuItem = require("../models/MenuItem");
 const Order = require("../models/Order");
+const Table = require("../models/Table");
+const Station = require("../models/Station");
+const Device = require("../models/Device");
+const Restaurant = require("../models/Restaurant");
+const Payment = require("../models/Payment");
+const QRCode = require("qrcode");
 const MQTTTester = require("../utils/mqttTest");
+const eventStream = require("../services/eventStream");
+const orderService = require("../services/orderService");
+const mqttService = require("../services/mqttService");
+const deliveryService = require("../services/deliveryService");
+const deviceService = require("../services/deviceService");
+const restaurantService = require("../services/restaurantService");
+const { AppError, NotFoundError } = require("../utils/errors");
+const { parseModifierGroups, formatModifierGroups } = require("../utils/modifiers");
+const { MAX_UPLOAD_MB } = require("../utils/menuPhotos");
+const { parseWindows, formatWindows, localDateTime, zonedDate, isDay, addDays } = require("../utils/schedule");
+const { tableUrl, publicBaseUrl } = require("../utils/tableLinks");
+const { SORTS, PAGE_SIZES, parseOrderFilters, isFiltered, filterQuery } = require("../utils/orderFilters");
+const staffService = require("../services/staffService");
+const paymentService = require("../services/paymentService");
+const tabService = require("../services/tabService");
+const receiptService = require("../services/receiptService");
+const analyticsService = require("../services/analyticsService");
+const menuImportService = require("../services/menuImportService");
+const orderExportService = require("../services/orderExportService");
+const printerService = require("../services/printerService");
+const photoService = require("../services/photoService");
+const scheduleService = require("../services/scheduleService");
+const promotionService = require("../services/promotionService");
+const { encodeReceipt } = require("../utils/escpos");
+const authService = require("../services/authService");
+const apiKeyService = require("../services/apiKeyService");
+const { requireAuth, requirePermission, orderStatusPermission, can } = require("../middlewares/auth");
+const csrfProtection = require("../middlewares/csrf");
+const photoUpload = require("../middlewares/photoUpload");
+const totp = require("../utils/totp");
 
-// ---------- Middleware: Require Login ----------
-function requireLogin(req, res, next) {
-  if (!req.cookies || !req.cookies.adminUser) {
-    return res.redirect("/admin/login");
-  }
-  next();
-}
+// Every state-changing admin request needs the form token
+router.use(csrfProtection);
 
 // ---------- AUTH ROUTES ----------
 
-// Show signup page
-router.get("/signup", (req, res) => {
-  res.render("admin/signup", { error: null });
+// Signup needs an invite link from an owner. The one exception is a fresh
+// install, where it creates the owner of the first branch.
+router.get("/signup", async (req, res) => {
+  const firstAccount = !(await User.exists({}));
+  const invite = firstAccount ? null : await staffService.findInvite(req.query.invite);
+  if (!firstAccount && !invite) {
+    return res.render("admin/login", {
+      error: "Signing up needs an invite link. Ask the owner for one.",
+      canSignUp: false
+    });
+  }
+  res.render("admin/signup", { invite, token: req.query.invite || "", error: null });
 });
 
-// Handle signup
 router.post("/signup", async (req, res) => {
-  const { username, password } = req.body;
-  const existing = await User.findOne({ username });
-  if (existing) {
-    return res.render("admin/signup", { error: "User already exists" });
+  const { username, password, invite: token } = req.body;
+  try {
+    if (await User.exists({})) {
+      await staffService.acceptInvite(token, { username, password });
+    } else {
+      const restaurant = await Restaurant.ensureDefault();
+      await staffService.create(restaurant._id, { username, password, role: "owner" });
+    }
+    res.redirect("/admin/login");
+  } catch (error) {
+    if (error instanceof AppError) {
+      const invite = await staffService.findInvite(token);
+      return res.render("admin/signup", { invite, token: token || "", error: error.message });
+    }
+    console.error("Error creating account:", error);
+    res.status(500).send("Error creating account");
   }
-  const hashed = await bcrypt.hash(password, 10);
-  await User.create({ username, password: hashed });
-  res.redirect("/admin/login");
 });
 
 // Show login page
-router.get("/login", (req, res) => {
-  res.render("admin/login", { error: null });
+router.get("/login", async (req, res) => {
+  const canSignUp = !(await User.exists({}));
+  res.render("admin/login", { error: null, canSignUp });
 });
 
+// Swap the pre-login session for a signed-in one
+async function startSession(req, user) {
+  const { token } = await authService.createSession(user, { ip: req.ip, userAgent: req.get("user-agent") });
+  req.session.adminSessionToken = token;
+  req.session.pendingLogin = null;
+  req.session.csrfToken = null; // a fresh one is issued on the next page
+}
+
 // Handle login
 router.post("/login", async (req, res) => {
   const { username, password } = req.body;
-  const user = await User.findOne({ username });
-  if (!user) {
-    return res.render("admin/login", { error: "Invalid credentials" });
+  try {
+    const user = await authService.checkPassword(username, password, req.ip);
+    if (user.totpEnabled) {
+      req.session.pendingLogin = { userId: user._id.toString(), at: Date.now() };
+      return res.redirect("/admin/login/code");
+    }
+    await startSession(req, user);
+    res.redirect("/admin/dashboard");
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).render("admin/login", { error: error.message, canSignUp: false });
+    }
+    console.error("Error signing in:", error);
+    res.status(500).send("Error signing in");
   }
-  const match = await bcrypt.compare(password, user.password);
-  if (!match) {
-    return res.render("admin/login", { error: "Invalid credentials" });
+});
+
+// The password step is good for five minutes
+function pendingLogin(req) {
+  const pending = req.session.pendingLogin;
+  return pending && Date.now() - pending.at < 5 * 60 * 1000 ? pending : null;
+}
+
+// Second step for staff with two-factor sign-in
+router.get("/login/code", (req, res) => {
+  if (!pendingLogin(req)) {
+    return res.redirect("/admin/login");
+  }
+  res.render("admin/loginCode", { error: null });
+});
+
+router.post("/login/code", async (req, res) => {
+  const pending = pendingLogin(req);
+  if (!pending) {
+    return res.redirect("/admin/login");
+  }
+  try {
+    const user = await authService.checkTotp(pending.userId, req.body.code, req.ip);
+    await startSession(req, user);
+    res.redirect("/admin/dashboard");
+  } catch (error) {
+    if (error instanceof AppError) {
+      if (error.code === "account_locked") {
+        req.session.pendingLogin = null;
+        return res.status(error.status).render("admin/login", { error: error.message, canSignUp: false });
+      }
+      return res.status(error.status).render("admin/loginCode", { error: error.message });
+    }
+    console.error("Error checking sign-in code:", error);
+    res.status(500).send("Error signing in");
   }
-  // set cookie
-  res.cookie("adminUser", user._id.toString(), { httpOnly: true });
-  res.redirect("/admin/dashboard");
 });
 
-// Logout
-router.get("/logout", (req, res) => {
-  res.clearCookie("adminUser");
+// Logout (keeps the rest of the session, e.g. a guest cart on the same device)
+router.post("/logout", async (req, res) => {
+  await authService.revokeSession(req.session.adminSessionToken);
+  req.session.adminSessionToken = null;
   res.redirect("/admin/login");
 });
 
+// ---------- ACCOUNT ROUTES ----------
+
+// Your own sign-in settings: two-factor codes, signed-in devices and API keys
+router.get("/account", requireAuth, async (req, res) => {
+  const sessions = await authService.listSessions(req.user._id);
+  const apiKeys = await apiKeyService.listKeys(req.user._id);
+
+  // A new key's secret is shown once, straight after it's created
+  const newApiKey = req.session.newApiKey || null;
+  req.session.newApiKey = null;
+
+  let setup = null;
+  if (!req.user.totpEnabled && req.user.totpSecret) {
+    const url = totp.otpauthUrl(req.user.totpSecret, req.user.username, req.restaurant.name);
+    setup = { secret: req.user.totpSecret, qr: await QRCode.toDataURL(url, { width: 200, margin: 1 }) };
+  }
+  res.render("admin/account", {
+    sessions,
+    currentSessionId: req.adminSession._id.toString(),
+    setup,
+    apiKeys,
+    newApiKey,
+    error: req.query.error || null,
+    message: req.query.message || null
+  });
+});
+
+// Run an account change and go back to the account screen
+function accountAction(action, message) {
+  return async (req, res) => {
+    try {
+      await action(req);
+      res.redirect(`/admin/account?message=${encodeURIComponent(message)}`);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.redirect(`/admin/account?error=${encodeURIComponent(error.message)}`);
+      }
+      console.error("Error updating account:", error);
+      res.status(500).send("Error updating account");
+    }
+  };
+}
+
+router.post("/account/totp/setup", requireAuth, accountAction(
+  req => authService.startTotpSetup(req.user),
+  "Scan the code with your authenticator app, then enter the code it shows"
+));
+
+router.post("/account/totp/confirm", requireAuth, accountAction(
+  req => authService.confirmTotp(req.user, req.body.code),
+  "Two-factor sign-in is on"
+));
+
+router.post("/account/totp/disable", requireAuth, accountAction(
+  req => authService.disableTotp(req.user, req.body.code),
+  "Two-factor sign-in is off"
+));
+
+router.post("/account/sessions/revoke", requireAuth, accountAction(
+  req => authService.revokeUserSessions(req.user._id, req.adminSession._id),
+  "Signed out on all other devices"
+));
+
+// Keys for the JSON API act as you, with your role
+router.post("/account/api-keys", requireAuth, accountAction(
+  async req => {
+    const { secret } = await apiKeyService.create(req.user, { name: req.body.name });
+    req.session.newApiKey = secret;
+  },
+  "API key created. Copy it now, it won't be shown again"
+));
+
+router.post("/account/api-keys/:id/revoke", requireAuth, accountAction(
+  req => apiKeyService.revoke(req.user._id, req.params.id),
+  "API key revoked"
+));
+
 // ---------- DASHBOARD ----------
-router.get("/dashboard", requireLogin, async (req, res) => {
-  const menuItems = await MenuItem.find().limit(6); // preview only
-  const menuCount = await MenuItem.countDocuments();
-  const orderCount = await Order.countDocuments();
-  const pendingOrders = await Order.countDocuments({ status: "pending" });
-  
-  // Get user info from cookie
-  const userId = req.cookies.adminUser;
-  const user = await User.findById(userId);
+router.get("/dashboard", requireAuth, async (req, res) => {
+  const scope = { restaurant: req.restaurant._id };
+  const menuItems = await MenuItem.find(scope).limit(6); // preview only
+  const menuCount = await MenuItem.countDocuments(scope);
+  const orderCount = await Order.countDocuments(scope);
+  const pendingOrders = await Order.countDocuments({ ...scope, status: { $in: Order.ACTIVE_STATUSES } });
 
   res.render("admin/dashboard", {
-    user: user || { username: 'Admin' },
+    user: req.user,
+    restaurant: req.restaurant,
     menuItems,
     totalItems: menuCount,
     totalOrders: orderCount,
     pendingOrders,
+    range: analyticsRange(req.query, req.restaurant.timezone),
   });
 });
 
+// A whole-day range from date inputs (YYYY-MM-DD, both ends included), the
+// days starting at midnight in the branch's `timezone`. Defaults to the last
+// 30 days.
+function analyticsRange(query, timezone) {
+  const lastDay = isDay(query.to) ? query.to : localDateTime(new Date(), timezone).day;
+  const firstDay = isDay(query.from) ? query.from : addDays(lastDay, -29);
+
+  return {
+    from: zonedDate(firstDay, "00:00", timezone),
+    to: zonedDate(addDays(lastDay, 1), "00:00", timezone),
+    fromInput: firstDay,
+    toInput: lastDay
+  };
+}
+
+// The numbers behind the dashboard charts
+router.get("/analytics", requireAuth, requirePermission("analytics:view"), async (req, res) => {
+  try {
+    const { timezone } = req.restaurant;
+    const { from, to } = analyticsRange(req.query, timezone);
+    if (from >= to) {
+      return res.status(400).json({ error: "The start date must be on or before the end date" });
+    }
+    res.json(await analyticsService.summary(req.restaurant._id, { from, to, timezone }));
+  } catch (error) {
+    console.error("Error building analytics:", error);
+    res.status(500).json({ error: "Error building analytics" });
+  }
+});
+
 // ---------- MENU ROUTES ----------
-router.get("/menu", requireLogin, async (req, res) => {
-  const menuItems = await MenuItem.find();
-  res.render("admin/menuList", { items: menuItems });
+router.get("/menu", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  const menuItems = await MenuItem.find({ restaurant: req.restaurant._id });
+  const stations = await Station.find({ restaurant: req.restaurant._id }).sort({ name: 1 });
+  const menus = await scheduleService.listMenus(req.restaurant._id);
+  res.render("admin/menuList", {
+    items: menuItems,
+    stations,
+    menus,
+    taxCategories: req.restaurant.taxCategories,
+    formatModifierGroups,
+    photoMaxMb: MAX_UPLOAD_MB,
+    error: req.query.error || null
+  });
 });
 
-router.post("/menu/add", requireLogin, async (req, res) => {
-  const { name, price, photo, category } = req.body;
-  await MenuItem.create({ name, price, photo, category });
-  res.redirect("/admin/menu");
+// Empty stock field means "don't track stock"
+function parseStock(value) {
+  if (value === undefined || value === null || value === "") return null;
+  return Math.max(0, parseInt(value) || 0);
+}
+
+// Empty SKU means the item has none
+function parseSku(value) {
+  return (value || "").trim() || undefined;
+}
+
+const DUPLICATE_SKU = "Another item already has that SKU";
+
+// The item's photo: an uploaded file (stored and resized), otherwise the
+// URL field. Empty when neither was given.
+async function photoFromForm(req) {
+  if (req.photoError) {
+    throw new AppError(req.photoError);
+  }
+  if (req.file) {
+    return photoService.save(req.file.buffer);
+  }
+  return (req.body.photo || "").trim();
+}
+
+// Menu forms with a photo are multipart: the upload is only read once the
+// user may edit the menu, so their form token travels in the action URL
+router.post("/menu/add", requireAuth, requirePermission("menu:edit"), photoUpload, async (req, res) => {
+  const { sku, name, price, category, stock, modifiers, station, taxCategory } = req.body;
+  let photo = null;
+  try {
+    photo = await photoFromForm(req);
+    if (!photo) {
+      throw new AppError("Upload a photo or enter a photo URL");
+    }
+    await MenuItem.create({
+      restaurant: req.restaurant._id,
+      sku: parseSku(sku),
+      name, price, photo, category,
+      stock: parseStock(stock),
+      modifierGroups: parseModifierGroups(modifiers),
+      menus: await scheduleService.validMenuIds(req.restaurant._id, req.body.menus || []),
+      station: station || null,
+      taxCategory: taxCategory || ""
+    });
+    res.redirect("/admin/menu");
+  } catch (error) {
+    await photoService.remove(photo); // an upload for an item that wasn't saved
+    if (error instanceof AppError || error.code === 11000) {
+      const message = error.code === 11000 ? DUPLICATE_SKU : error.message;
+      return res.redirect(`/admin/menu?error=${encodeURIComponent(message)}`);
+    }
+    console.error("Error adding menu item:", error);
+    res.status(500).send("Error adding menu item");
+  }
 });
 
-router.post("/menu/edit/:id", requireLogin, async (req, res) => {
-  const { name, price, photo, category } = req.body;
-  await MenuItem.findByIdAndUpdate(req.params.id, { name, price, photo, category });
+router.post("/menu/edit/:id", requireAuth, requirePermission("menu:edit"), photoUpload, async (req, res) => {
+  const { sku, name, price, category, stock, modifiers, station, taxCategory } = req.body;
+  let photo = null;
+  try {
+    const item = mongoose.isValidObjectId(req.params.id)
+      ? await MenuItem.findOne({ _id: req.params.id, restaurant: req.restaurant._id })
+      : null;
+    if (!item) {
+      throw new NotFoundError("Menu item not found");
+    }
+
+    photo = await photoFromForm(req) || item.photo;
+    const fields = {
+      name, price, photo, category,
+      stock: parseStock(stock),
+      modifierGroups: parseModifierGroups(modifiers),
+      menus: await scheduleService.validMenuIds(req.restaurant._id, req.body.menus || []),
+      station: station || null,
+      taxCategory: taxCategory || ""
+    };
+    const skuValue = parseSku(sku);
+    await MenuItem.findOneAndUpdate(
+      { _id: item._id, restaurant: req.restaurant._id },
+      skuValue ? { ...fields, sku: skuValue } : { ...fields, $unset: { sku: 1 } }
+    );
+
+    // The old photo's files go once nothing shows them
+    if (photo !== item.photo) {
+      await photoService.remove(item.photo);
+    }
+    res.redirect("/admin/menu");
+  } catch (error) {
+    await photoService.remove(photo); // only deletes an upload nothing uses
+    if (error instanceof AppError || error.code === 11000) {
+      const message = error.code === 11000 ? DUPLICATE_SKU : error.message;
+      return res.redirect(`/admin/menu?error=${encodeURIComponent(message)}`);
+    }
+    console.error("Error updating menu item:", error);
+    res.status(500).send("Error updating menu item");
+  }
+});
+
+// "86" an item (mark it unavailable) or bring it back
+router.post("/menu/toggle/:id", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.redirect(`/admin/menu?error=${encodeURIComponent("Menu item not found")}`);
+  }
+  const item = await MenuItem.findOne({ _id: req.params.id, restaurant: req.restaurant._id });
+  if (item) {
+    item.available = !item.available;
+    await item.save();
+    console.log(`🍽️  ${item.name} is now ${item.available ? "available" : "86'd"}`);
+  }
   res.redirect("/admin/menu");
 });
 
-router.post("/menu/delete/:id", requireLogin, async (req, res) => {
-  await MenuItem.findByIdAndDelete(req.params.id);
+router.post("/menu/delete/:id", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.redirect(`/admin/menu?error=${encodeURIComponent("Menu item not found")}`);
+  }
+  const item = await MenuItem.findOneAndDelete({ _id: req.params.id, restaurant: req.restaurant._id });
+  if (item) {
+    await photoService.remove(item.photo);
+  }
   res.redirect("/admin/menu");
 });
 
+// ---------- MENU SCHEDULES ----------
+
+// Menus served at set times (breakfast) and scheduled prices (happy hour)
+router.get("/menus", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  const menus = await scheduleService.listMenus(req.restaurant._id);
+  const schedules = await scheduleService.listSchedules(req.restaurant._id);
+  const items = await MenuItem.find({ restaurant: req.restaurant._id }).sort({ category: 1, name: 1 });
+  const now = await scheduleService.current(req.restaurant);
+
+  // Which items each menu holds, for the menu cards
+  const itemsByMenu = {};
+  items.forEach(item => (item.menus || []).forEach(menuId => {
+    (itemsByMenu[menuId] = itemsByMenu[menuId] || []).push(item.name);
+  }));
+
+  res.render("admin/menus", {
+    menus,
+    schedules,
+    items,
+    itemsByMenu,
+    now,
+    timezone: req.restaurant.timezone,
+    formatWindows,
+    error: req.query.error || null
+  });
+});
+
+// Run a schedule change and go back to the schedules screen, showing any error there
+function scheduleAction(action) {
+  return async (req, res) => {
+    try {
+      await action(req);
+      res.redirect("/admin/menus");
+    } catch (error) {
+      if (error instanceof AppError || error.name === "ValidationError") {
+        return res.redirect(`/admin/menus?error=${encodeURIComponent(error.message)}`);
+      }
+      console.error("Error updating menu schedules:", error);
+      res.status(500).send("Error updating menu schedules");
+    }
+  };
+}
+
+// Name and windows from a menu or price schedule form
+function parseScheduleForm(body) {
+  const name = (body.name || "").trim();
+  if (!name) {
+    throw new AppError("Give it a name, e.g. Breakfast or Happy hour");
+  }
+  const windows = parseWindows(body.windows);
+  if (windows.length === 0) {
+    throw new AppError("Add at least one time, e.g. Mon-Fri 07:00-11:00");
+  }
+  return { name, windows, active: body.active === "on" };
+}
+
+// prices[<item ID>] fields; empty ones mean no override
+function parseOverrides(prices) {
+  return Object.entries(prices || {})
+    .filter(([, value]) => String(value).trim() !== "")
+    .map(([menuItem, value]) => {
+      const price = Number(value);
+      if (!Number.isFinite(price) || price < 0) {
+        throw new AppError(`"${value}" isn't a price`);
+      }
+      return { menuItem, price };
+    });
+}
+
+router.post("/menus/add", requireAuth, requirePermission("menu:edit"), scheduleAction(req =>
+  scheduleService.createMenu(req.restaurant._id, parseScheduleForm(req.body))
+));
+
+router.post("/menus/edit/:id", requireAuth, requirePermission("menu:edit"), scheduleAction(req =>
+  scheduleService.updateMenu(req.params.id, req.restaurant._id, parseScheduleForm(req.body))
+));
+
+router.post("/menus/delete/:id", requireAuth, requirePermission("menu:edit"), scheduleAction(req =>
+  scheduleService.deleteMenu(req.params.id, req.restaurant._id)
+));
+
+router.post("/menus/prices/add", requireAuth, requirePermission("menu:edit"), scheduleAction(req =>
+  scheduleService.createSchedule(req.restaurant._id, {
+    ...parseScheduleForm(req.body),
+    overrides: parseOverrides(req.body.prices)
+  })
+));
+
+router.post("/menus/prices/edit/:id", requireAuth, requirePermission("menu:edit"), scheduleAction(req =>
+  scheduleService.updateSchedule(req.params.id, req.restaurant._id, {
+    ...parseScheduleForm(req.body),
+    overrides: parseOverrides(req.body.prices)
+  })
+));
+
+router.post("/menus/prices/delete/:id", requireAuth, requirePermission("menu:edit"), scheduleAction(req =>
+  scheduleService.deleteSchedule(req.params.id, req.restaurant._id)
+));
+
+// ---------- PROMOTIONS ----------
+
+router.get("/promotions", requireAuth, requirePermission("promotions:manage"), async (req, res) => {
+  const promotions = await promotionService.list(req.restaurant._id);
+  const items = await MenuItem.find({ restaurant: req.restaurant._id }).sort({ category: 1, name: 1 });
+  const categories = [...new Set(items.map(item => item.category).filter(Boolean))].sort();
+
+  res.render("admin/promotions", {
+    promotions,
+    items,
+    categories,
+    error: req.query.error || null
+  });
+});
+
+// Run a promotion change and go back to the list, showing any error there
+function promotionAction(action) {
+  return async (req, res) => {
+    try {
+      await action(req);
+      res.redirect("/admin/promotions");
+    } catch (error) {
+      if (error instanceof AppError || error.name === "ValidationError") {
+        return res.redirect(`/admin/promotions?error=${encodeURIComponent(error.message)}`);
+      }
+      console.error("Error updating promotions:", error);
+      res.status(500).send("Error updating promotions");
+    }
+  };
+}
+
+// Settings from the promotion form. Only the fields for the chosen type
+// are kept; dates are whole days in the branch's `timezone`, the end date
+// included.
+function parsePromotionForm(body, timezone) {
+  const name = (body.name || "").trim();
+  if (!name) {
+    throw new AppError("Give the promotion a name");
+  }
+  const amount = value => Number(value) || 0;
+  const { type } = body;
+
+  return {
+    name,
+    code: (body.code || "").trim().toUpperCase() || undefined,
+    type,
+    value: type === "buy_x_get_y" ? 0 : amount(body.value),
+    category: type === "category" ? (body.category || "").trim() : "",
+    menuItem: type === "buy_x_get_y" ? body.menuItem || null : null,
+    buyQuantity: type === "buy_x_get_y" ? parseInt(body.buyQuantity) || 1 : 1,
+    getQuantity: type === "buy_x_get_y" ? parseInt(body.getQuantity) || 1 : 1,
+    comboItems: type === "combo" ? [].concat(body.comboItems || []).filter(Boolean) : [],
+    startsAt: isDay(body.startsOn) ? zonedDate(body.startsOn, "00:00", timezone) : null,
+    endsAt: isDay(body.endsOn) ? zonedDate(addDays(body.endsOn, 1), "00:00", timezone) : null,
+    minSpend: amount(body.minSpend),
+    maxUses: parseInt(body.maxUses) || null,
+    active: body.active === "on"
+  };
+}
+
+router.post("/promotions/add", requireAuth, requirePermission("promotions:manage"), promotionAction(req =>
+  promotionService.create(req.restaurant._id, parsePromotionForm(req.body, req.restaurant.timezone))
+));
+
+router.post("/promotions/edit/:id", requireAuth, requirePermission("promotions:manage"), promotionAction(req =>
+  promotionService.update(req.params.id, req.restaurant._id, parsePromotionForm(req.body, req.restaurant.timezone))
+));
+
+router.post("/promotions/delete/:id", requireAuth, requirePermission("promotions:manage"), promotionAction(req =>
+  promotionService.delete(req.params.id, req.restaurant._id)
+));
+
+// ---------- MENU IMPORT / EXPORT ----------
+router.get("/menu/export", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  const rows = await menuImportService.exportRows(req.restaurant._id);
+  const format = req.query.format === "json" ? "json" : "csv";
+  const filename = `menu-${req.restaurant.slug}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  if (format === "json") {
+    res.type("application/json").send(menuImportService.toJson(rows));
+  } else {
+    res.type("text/csv").send(menuImportService.toCsv(rows));
+  }
+});
+
+router.get("/menu/import", requireAuth, requirePermission("menu:edit"), (req, res) => {
+  res.render("admin/menuImport", {
+    content: "",
+    format: "csv",
+    deleteMissing: false,
+    updateStock: false,
+    plan: null,
+    error: req.query.error || null
+  });
+});
+
+// The pasted or uploaded file, and whether it's JSON (guessed if not said)
+function importInput(body) {
+  const content = body.content || "";
+  const guessed = /^\s*[[{]/.test(content) ? "json" : "csv";
+  return {
+    content,
+    format: ["csv", "json"].includes(body.format) ? body.format : guessed,
+    deleteMissing: body.deleteMissing === "on",
+    updateStock: body.updateStock === "on"
+  };
+}
+
+// Dry run: show what would be created, updated and deleted
+router.post("/menu/import/preview", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  const input = importInput(req.body);
+  try {
+    const rows = menuImportService.parse(input.format, input.content);
+    const plan = await menuImportService.plan(req.restaurant._id, rows, input);
+    const atomic = await menuImportService.supportsTransactions();
+    res.render("admin/menuImport", { ...input, plan, atomic, error: null });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.render("admin/menuImport", { ...input, plan: null, error: error.message });
+    }
+    console.error("Error previewing menu import:", error);
+    res.status(500).send("Error previewing menu import");
+  }
+});
+
+// Apply the import. The plan is worked out again so it reflects the menu
+// as it is now, not as it was at preview time.
+router.post("/menu/import", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  const input = importInput(req.body);
+  try {
+    const rows = menuImportService.parse(input.format, input.content);
+    const plan = await menuImportService.plan(req.restaurant._id, rows, input);
+    if (plan.errors.length > 0) {
+      return res.render("admin/menuImport", { ...input, plan, atomic: false, error: "Nothing was imported. Fix the errors below and preview again." });
+    }
+    await menuImportService.apply(req.restaurant._id, plan);
+    res.redirect("/admin/menu");
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.render("admin/menuImport", { ...input, plan: null, error: error.message });
+    }
+    console.error("Error importing menu:", error);
+    res.status(500).send("Error importing menu");
+  }
+});
+
 // ---------- ORDER ROUTES ----------
-router.get("/orders", requireLogin, async (req, res) => {
-  const orders = await Order.find()
-    .populate("items.menuItem") // populate menu item details
-    .sort({ createdAt: -1 });
+// One page of orders, filtered and sorted by the query string
+router.get("/orders", requireAuth, requirePermission("orders:view"), async (req, res) => {
+  const filters = parseOrderFilters(req.query);
+  const { orders, total, page, pages } = await orderService.listOrders(req.restaurant._id, filters, req.restaurant.timezone);
+  const deviceAlerts = await deviceService.currentAlerts(req.restaurant._id);
+  const tables = await Table.find({ restaurant: req.restaurant._id }).sort({ number: 1 });
+  const menuItems = await MenuItem.find({ restaurant: req.restaurant._id }).select("name").sort({ name: 1 });
+
+  res.render("admin/orders", {
+    orders,
+    filters: { ...filters, page },
+    total,
+    pages,
+    filtered: isFiltered(filters),
+    filterQuery,
+    sorts: SORTS,
+    pageSizes: PAGE_SIZES,
+    statuses: Order.STATUSES,
+    tables,
+    zones: [...new Set(tables.map(table => table.zone).filter(Boolean))].sort(),
+    menuItems,
+    deviceAlerts,
+    deliveryAlertSeconds: deliveryService.alertSeconds,
+    exportRange: analyticsRange({}, req.restaurant.timezone),
+    error: req.query.error || null
+  });
+});
+
+// Orders placed between two dates as a CSV download: one row per item,
+// or one per order with ?mode=summary. Streamed, so any range is fine.
+router.get("/orders/export", requireAuth, requirePermission("orders:export"), async (req, res) => {
+  const { timezone } = req.restaurant;
+  const { from, to, fromInput, toInput } = analyticsRange(req.query, timezone);
+  if (from >= to) {
+    return res.redirect(`/admin/orders?error=${encodeURIComponent("The start date must be on or before the end date")}`);
+  }
+  const mode = req.query.mode === "summary" ? "summary" : "lines";
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="orders-${mode}-${fromInput}-to-${toInput}.csv"`);
+
+  try {
+    const count = await orderExportService.writeCsv(req.restaurant._id, { from, to, mode, timezone }, res);
+    console.log(`📤 Exported ${count} orders (${mode}) for ${req.user.username}`);
+  } catch (error) {
+    console.error("Error exporting orders:", error.message);
+    // Headers are already sent, so all we can do is cut the download short
+    res.destroy();
+  }
+});
 
-  res.render("admin/orders", { orders });
+// Live order events for the orders board (Server-Sent Events), this branch only
+router.get("/orders/stream", requireAuth, requirePermission("orders:view"), (req, res) => {
+  const restaurantId = req.restaurant._id.toString();
+  eventStream.subscribe(req, res, event => event.data.restaurantId === restaurantId);
 });
 
-router.post("/orders/update/:id", requireLogin, async (req, res) => {
+// Render a single order card so the board can update it in place
+router.get("/orders/:id/card", requireAuth, requirePermission("orders:view"), async (req, res) => {
+  try {
+    const order = mongoose.isValidObjectId(req.params.id)
+      ? await Order.findOne({ _id: req.params.id, restaurant: req.restaurant._id })
+      : null;
+    if (!order) {
+      return res.status(404).send("Order not found");
+    }
+    res.render("admin/partials/orderCard", { order, deliveryAlertSeconds: deliveryService.alertSeconds });
+  } catch (error) {
+    console.error("Error rendering order card:", error);
+    res.status(500).send("Error rendering order card");
+  }
+});
+
+// Waiters and the kitchen move orders along. Orders become paid through
+// payments (see the payment routes below).
+router.post("/orders/update/:id", requireAuth, async (req, res) => {
   const { status } = req.body;
-  await Order.findByIdAndUpdate(req.params.id, { status });
-  res.redirect("/admin/orders");
+  if (!can(req.user, orderStatusPermission(status))) {
+    return res.status(403).send("You don't have permission to do that");
+  }
+  try {
+    await orderService.changeStatus(req.params.id, status, {
+      actorType: "user",
+      actor: req.user.username,
+      user: req.user._id,
+      source: "admin"
+    }, req.restaurant._id);
+    res.redirect("/admin/orders");
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.redirect(`/admin/orders?error=${encodeURIComponent(error.message)}`);
+    }
+    console.error("Error updating order status:", error);
+    res.status(500).send("Error updating order status");
+  }
+});
+
+// ---------- PAYMENT ROUTES ----------
+
+// Take payment for one order: the whole bill, a share of it, or some items
+router.get("/orders/:id/pay", requireAuth, requirePermission("orders:pay"), async (req, res) => {
+  try {
+    const order = await orderService.findOrder(req.params.id, req.restaurant._id);
+    const payments = await paymentService.listForOrder(order._id);
+    const split = parseInt(req.query.split) || 0;
+
+    res.render("admin/payOrder", {
+      order,
+      payments,
+      unpaid: paymentService.unpaidQuantities(order),
+      split,
+      shares: split > 1 ? paymentService.evenShares(order.balance(), split) : [],
+      methods: Payment.METHODS,
+      error: req.query.error || null
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.redirect(`/admin/orders?error=${encodeURIComponent(error.message)}`);
+    }
+    console.error("Error loading payment screen:", error);
+    res.status(500).send("Error loading payment screen");
+  }
+});
+
+router.post("/orders/:id/payments", requireAuth, requirePermission("orders:pay"), async (req, res) => {
+  const { amount, tip, method, reference, mode } = req.body;
+
+  // By item, quantities come in as qty_<line index>
+  const items = mode === "items"
+    ? Object.keys(req.body)
+      .filter(key => key.startsWith("qty_"))
+      .map(key => ({ line: key.slice(4), quantity: req.body[key] }))
+    : [];
+
+  try {
+    const { order } = await paymentService.recordPayment(req.params.id, {
+      amount, tip, method, reference, items
+    }, req.user, req.restaurant._id);
+
+    res.redirect(order.status === "paid" ? "/admin/orders" : `/admin/orders/${order._id}/pay`);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.redirect(`/admin/orders/${req.params.id}/pay?error=${encodeURIComponent(error.message)}`);
+    }
+    console.error("Error recording payment:", error);
+    res.status(500).send("Error recording payment");
+  }
+});
+
+// A datetime-local input value (YYYY-MM-DDTHH:MM) as a moment in the
+// branch's `timezone`
+function parseDateTime(value, timezone, fallback) {
+  const [day, time] = String(value || "").split("T");
+  if (!isDay(day) || !/^([01]\d|2[0-3]):[0-5]\d$/.test(time || "")) return fallback;
+  return zonedDate(day, time, timezone);
+}
+
+// End-of-shift reconciliation. Cashiers only see what they took.
+router.get("/payments/report", requireAuth, requirePermission("payments:report"), async (req, res) => {
+  try {
+    const { timezone } = req.restaurant;
+    const startOfToday = zonedDate(localDateTime(new Date(), timezone).day, "00:00", timezone);
+    const from = parseDateTime(req.query.from, timezone, startOfToday);
+    const to = parseDateTime(req.query.to, timezone, new Date());
+    const seeAll = can(req.user, "payments:all");
+    const cashier = seeAll
+      ? (mongoose.isValidObjectId(req.query.cashier) ? req.query.cashier : null)
+      : req.user._id;
+
+    const report = await paymentService.report(req.restaurant._id, { from, to, cashier });
+    const staff = seeAll ? await User.find({ restaurant: req.restaurant._id }).sort({ username: 1 }) : [];
+
+    res.render("admin/paymentReport", {
+      report,
+      staff,
+      seeAll,
+      cashier: cashier ? cashier.toString() : ""
+    });
+  } catch (error) {
+    console.error("Error building payment report:", error);
+    res.status(500).send("Error building payment report");
+  }
+});
+
+// ---------- TAB ROUTES ----------
+router.get("/tabs", requireAuth, requirePermission("orders:view"), async (req, res) => {
+  const tabs = await tabService.listOpen(req.restaurant._id);
+  res.render("admin/tabs", { tabs, error: req.query.error || null });
+});
+
+// One tab as a single bill
+router.get("/tabs/:id", requireAuth, requirePermission("orders:view"), async (req, res) => {
+  try {
+    const tab = await tabService.findTab(req.params.id, req.restaurant._id);
+    if (tab.status === "merged") {
+      return res.redirect(`/admin/tabs/${tab.mergedInto}`);
+    }
+    const bill = await tabService.getBill(tab);
+    const otherTabs = tab.status === "open"
+      ? (await tabService.listOpen(req.restaurant._id)).filter(other => !other.tab._id.equals(tab._id))
+      : [];
+    const tables = await Table.find({ restaurant: req.restaurant._id, active: true }).sort({ number: 1 });
+
+    res.render("admin/tab", {
+      tab,
+      bill,
+      otherTabs,
+      tables,
+      methods: Payment.METHODS,
+      error: req.query.error || null
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.redirect(`/admin/tabs?error=${encodeURIComponent(error.message)}`);
+    }
+    console.error("Error loading tab:", error);
+    res.status(500).send("Error loading tab");
+  }
+});
+
+// Run a tab change, then show the resulting tab (or the error on this one)
+function tabAction(action) {
+  return async (req, res) => {
+    try {
+      const tab = await action(req);
+      res.redirect(tab.status === "closed" ? "/admin/tabs" : `/admin/tabs/${tab._id}`);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.redirect(`/admin/tabs/${req.params.id}?error=${encodeURIComponent(error.message)}`);
+      }
+      console.error("Error updating tab:", error);
+      res.status(500).send("Error updating tab");
+    }
+  };
+}
+
+router.post("/tabs/:id/move", requireAuth, requirePermission("orders:update"), tabAction(req =>
+  tabService.moveTab(req.params.id, req.body.tableNumber, req.restaurant._id)
+));
+
+router.post("/tabs/:id/merge", requireAuth, requirePermission("orders:update"), tabAction(req =>
+  tabService.mergeTabs(req.params.id, req.body.targetTab, req.restaurant._id)
+));
+
+router.post("/tabs/:id/close", requireAuth, requirePermission("orders:pay"), tabAction(req => {
+  const { method, tip, reference } = req.body;
+  return tabService.closeTab(req.params.id, { method, tip, reference }, req.user, req.restaurant._id);
+}));
+
+// ---------- RECEIPT ROUTES ----------
+
+// A receipt as a printable page, a PDF (?format=pdf) or the raw ESC/POS
+// bytes a thermal printer would get (?format=escpos)
+function showReceipt(req, res, receipt, url, back) {
+  const filename = `receipt-${receipt.number}`;
+
+  if (req.query.format === "pdf") {
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+    return receiptService.writePdf(receipt, res);
+  }
+  if (req.query.format === "escpos") {
+    res.setHeader("Content-Type", "application/octet-stream");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.bin"`);
+    return res.send(encodeReceipt(receipt));
+  }
+  res.render("admin/receipt", {
+    receipt,
+    url,
+    back,
+    printer: req.restaurant.receiptPrinterHost,
+    message: req.query.message || null,
+    error: req.query.error || null
+  });
+}
+
+// Send a receipt to the branch's receipt printer
+async function printReceipt(req, res, receipt, backUrl) {
+  try {
+    await printerService.print(req.restaurant.receiptPrinterHost, req.restaurant.receiptPrinterPort, encodeReceipt(receipt));
+    res.redirect(`${backUrl}?message=${encodeURIComponent("Sent to the receipt printer")}`);
+  } catch (error) {
+    console.error("Error printing receipt:", error.message);
+    res.redirect(`${backUrl}?error=${encodeURIComponent(`Couldn't print: ${error.message}`)}`);
+  }
+}
+
+// Load an order or tab receipt along with its page, then show or print it
+function receiptAction(load, handle) {
+  return async (req, res) => {
+    try {
+      const { receipt, url, back } = await load(req);
+      await handle(req, res, receipt, url, back);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.redirect(`/admin/orders?error=${encodeURIComponent(error.message)}`);
+      }
+      console.error("Error building receipt:", error);
+      res.status(500).send("Error building receipt");
+    }
+  };
+}
+
+async function loadOrderReceipt(req) {
+  const order = await orderService.findOrder(req.params.id, req.restaurant._id);
+  return {
+    receipt: await receiptService.forOrder(order, req.restaurant),
+    url: `/admin/orders/${order._id}/receipt`,
+    back: "/admin/orders"
+  };
+}
+
+async function loadTabReceipt(req) {
+  const tab = await tabService.findTab(req.params.id, req.restaurant._id);
+  return {
+    receipt: await receiptService.forTab(tab, req.restaurant),
+    url: `/admin/tabs/${tab._id}/receipt`,
+    back: `/admin/tabs/${tab._id}`
+  };
+}
+
+router.get("/orders/:id/receipt", requireAuth, requirePermission("orders:view"), receiptAction(loadOrderReceipt, showReceipt));
+router.post("/orders/:id/receipt/print", requireAuth, requirePermission("orders:view"), receiptAction(loadOrderReceipt, printReceipt));
+router.get("/tabs/:id/receipt", requireAuth, requirePermission("orders:view"), receiptAction(loadTabReceipt, showReceipt));
+router.post("/tabs/:id/receipt/print", requireAuth, requirePermission("orders:view"), receiptAction(loadTabReceipt, printReceipt));
+
+// ---------- TABLE ROUTES ----------
+router.get("/tables", requireAuth, requirePermission("tables:manage"), async (req, res) => {
+  const tables = await Table.find({ restaurant: req.restaurant._id }).sort({ number: 1 });
+  res.render("admin/tables", { tables, error: req.query.error || null });
+});
+
+// Run a table change and go back to the tables screen, showing any error there
+function tableAction(action) {
+  return async (req, res) => {
+    try {
+      await action(req);
+      res.redirect("/admin/tables");
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.redirect(`/admin/tables?error=${encodeURIComponent(`Table ${req.body.number} already exists`)}`);
+      }
+      if (error.name === "ValidationError") {
+        return res.redirect(`/admin/tables?error=${encodeURIComponent("Table number and seats must be whole numbers of at least 1")}`);
+      }
+      if (error instanceof AppError) {
+        return res.redirect(`/admin/tables?error=${encodeURIComponent(error.message)}`);
+      }
+      console.error("Error updating tables:", error);
+      res.status(500).send("Error updating tables");
+    }
+  };
+}
+
+async function findTable(req) {
+  const table = mongoose.isValidObjectId(req.params.id)
+    ? await Table.findOne({ _id: req.params.id, restaurant: req.restaurant._id })
+    : null;
+  if (!table) {
+    throw new NotFoundError("Table not found");
+  }
+  return table;
+}
+
+router.post("/tables/add", requireAuth, requirePermission("tables:manage"), tableAction(req => {
+  const { number, zone, seats } = req.body;
+  return Table.create({ restaurant: req.restaurant._id, number, zone, seats });
+}));
+
+router.post("/tables/edit/:id", requireAuth, requirePermission("tables:manage"), tableAction(async req => {
+  const table = await findTable(req);
+  table.zone = req.body.zone;
+  table.seats = req.body.seats;
+  return table.save();
+}));
+
+// Take a table out of service (or back in)
+router.post("/tables/toggle/:id", requireAuth, requirePermission("tables:manage"), tableAction(async req => {
+  const table = await findTable(req);
+  table.active = !table.active;
+  return table.save();
+}));
+
+router.post("/tables/delete/:id", requireAuth, requirePermission("tables:manage"), tableAction(async req => {
+  const table = await findTable(req);
+  return table.deleteOne();
+}));
+
+// Printable QR codes: one table, or every active table
+router.get("/tables/qr", requireAuth, requirePermission("tables:manage"), async (req, res) => {
+  try {
+    const filter = req.query.table ? { number: parseInt(req.query.table) } : { active: true };
+    const tables = await Table.find({ ...filter, restaurant: req.restaurant._id }).sort({ number: 1 });
+    const baseUrl = publicBaseUrl(req);
+
+    const codes = await Promise.all(tables.map(async table => {
+      const url = tableUrl(baseUrl, req.restaurant.slug, table.number);
+      return { table, url, image: await QRCode.toDataURL(url, { width: 300, margin: 1 }) };
+    }));
+
+    res.render("admin/tableQr", { codes, restaurant: req.restaurant });
+  } catch (error) {
+    console.error("Error generating table QR codes:", error);
+    res.status(500).send("Error generating table QR codes");
+  }
+});
+
+// ---------- STATION ROUTES ----------
+
+// Printer port from a form, falling back to the standard raw-print port
+function parsePort(value) {
+  const port = parseInt(value);
+  return port > 0 && port < 65536 ? port : printerService.defaultPort;
+}
+
+// "Drinks, Cocktails" -> ["Drinks", "Cocktails"]
+function parseCategories(value) {
+  return (value || "").split(",").map(c => c.trim()).filter(Boolean);
+}
+
+router.get("/stations", requireAuth, requirePermission("stations:manage"), async (req, res) => {
+  const stations = await Station.find({ restaurant: req.restaurant._id }).sort({ name: 1 });
+  res.render("admin/stations", {
+    stations,
+    topics: mqttService.topicsFor(req.restaurant),
+    error: req.query.error || null
+  });
+});
+
+router.post("/stations/add", requireAuth, requirePermission("stations:manage"), async (req, res) => {
+  const { name, code, categories, printerHost, printerPort } = req.body;
+  try {
+    await Station.create({
+      restaurant: req.restaurant._id,
+      name,
+      code,
+      categories: parseCategories(categories),
+      printerHost: (printerHost || "").trim(),
+      printerPort: parsePort(printerPort)
+    });
+    res.redirect("/admin/stations");
+  } catch (error) {
+    if (error.code === 11000 || error.name === "ValidationError") {
+      return res.redirect(`/admin/stations?error=${encodeURIComponent("Station code must be unique and use only A-Z, 0-9 and _")}`);
+    }
+    console.error("Error adding station:", error);
+    res.status(500).send("Error adding station");
+  }
+});
+
+router.post("/stations/edit/:id", requireAuth, requirePermission("stations:manage"), async (req, res) => {
+  const { name, categories, printerHost, printerPort } = req.body;
+  await Station.findOneAndUpdate({ _id: req.params.id, restaurant: req.restaurant._id }, {
+    name,
+    categories: parseCategories(categories),
+    printerHost: (printerHost || "").trim(),
+    printerPort: parsePort(printerPort)
+  });
+  res.redirect("/admin/stations");
+});
+
+router.post("/stations/toggle/:id", requireAuth, requirePermission("stations:manage"), async (req, res) => {
+  const station = await Station.findOne({ _id: req.params.id, restaurant: req.restaurant._id });
+  if (station) {
+    station.active = !station.active;
+    await station.save();
+  }
+  res.redirect("/admin/stations");
+});
+
+router.post("/stations/delete/:id", requireAuth, requirePermission("stations:manage"), async (req, res) => {
+  const station = await Station.findOneAndDelete({ _id: req.params.id, restaurant: req.restaurant._id });
+  if (station) {
+    await MenuItem.updateMany({ station: station._id }, { station: null });
+  }
+  res.redirect("/admin/stations");
+});
+
+// ---------- BRANCH ROUTES ----------
+
+// This branch's settings, and adding another branch
+router.get("/restaurant", requireAuth, requirePermission("restaurant:manage"), (req, res) => {
+  res.render("admin/restaurant", { restaurant: req.restaurant, error: req.query.error || null });
+});
+
+router.post("/restaurant", requireAuth, requirePermission("restaurant:manage"), async (req, res) => {
+  const { name, topicPrefix, timezone, receiptPrinterHost, receiptPrinterPort } = req.body;
+  try {
+    await restaurantService.update(req.restaurant._id, {
+      name,
+      topicPrefix: (topicPrefix || "").trim(),
+      timezone: (timezone || "").trim(),
+      receiptPrinterHost: (receiptPrinterHost || "").trim(),
+      receiptPrinterPort: parsePort(receiptPrinterPort)
+    });
+    await mqttService.refreshSubscriptions();
+    res.redirect("/admin/restaurant");
+  } catch (error) {
+    if (error instanceof AppError || error.name === "ValidationError") {
+      return res.redirect(`/admin/restaurant?error=${encodeURIComponent(error.message)}`);
+    }
+    console.error("Error updating restaurant:", error);
+    res.status(500).send("Error updating restaurant");
+  }
+});
+
+// Rows with no name are left empty on the form; an empty rate counts as 0
+function parseTaxCategories(rows) {
+  return Object.values(rows || {})
+    .map(row => ({ name: (row.name || "").trim(), rate: row.rate === "" || row.rate === undefined ? 0 : Number(row.rate) }))
+    .filter(row => row.name);
+}
+
+router.post("/restaurant/charges", requireAuth, requirePermission("restaurant:manage"), async (req, res) => {
+  try {
+    await restaurantService.updateCharges(req.restaurant._id, {
+      currency: (req.body.currency || "").trim(),
+      taxCategories: parseTaxCategories(req.body.taxCategories),
+      pricesIncludeTax: req.body.pricesIncludeTax !== "false",
+      serviceChargeRate: req.body.serviceChargeRate ? Number(req.body.serviceChargeRate) : 0
+    });
+    res.redirect("/admin/restaurant");
+  } catch (error) {
+    if (error instanceof AppError || error.name === "ValidationError") {
+      return res.redirect(`/admin/restaurant?error=${encodeURIComponent(error.message)}`);
+    }
+    console.error("Error updating taxes:", error);
+    res.status(500).send("Error updating taxes");
+  }
+});
+
+// A new branch gets its own owner, who then adds the branch's staff
+router.post("/restaurants/add", requireAuth, requirePermission("restaurant:manage"), async (req, res) => {
+  const { name, slug, topicPrefix, ownerUsername, ownerPassword } = req.body;
+  try {
+    await restaurantService.create({ name, slug, topicPrefix: (topicPrefix || "").trim() }, { username: ownerUsername, password: ownerPassword });
+    await mqttService.refreshSubscriptions();
+    res.redirect("/admin/restaurant");
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.redirect(`/admin/restaurant?error=${encodeURIComponent(`A branch with the link name "${slug}" already exists`)}`);
+    }
+    if (error instanceof AppError || error.name === "ValidationError") {
+      return res.redirect(`/admin/restaurant?error=${encodeURIComponent(error.message)}`);
+    }
+    console.error("Error adding restaurant:", error);
+    res.status(500).send("Error adding restaurant");
+  }
+});
+
+// ---------- STAFF ROUTES ----------
+router.get("/staff", requireAuth, requirePermission("staff:manage"), async (req, res) => {
+  const staff = await staffService.listStaff(req.restaurant._id);
+  const invites = await staffService.listInvites(req.restaurant._id);
+
+  // A new invite's link can only be shown once, right after it's created
+  let newInvite = null;
+  if (req.session.newInvite) {
+    newInvite = {
+      ...req.session.newInvite,
+      url: `${publicBaseUrl(req)}/admin/signup?invite=${req.session.newInvite.token}`
+    };
+    req.session.newInvite = null;
+  }
+
+  res.render("admin/staff", { staff, invites, newInvite, roles: User.ROLES, error: req.query.error || null });
 });
 
+// Run a staff change and go back to the staff screen, showing any error there
+function staffAction(action) {
+  return async (req, res) => {
+    try {
+      await action(req);
+      res.redirect("/admin/staff");
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.redirect(`/admin/staff?error=${encodeURIComponent(error.message)}`);
+      }
+      console.error("Error updating staff:", error);
+      res.status(500).send("Error updating staff");
+    }
+  };
+}
+
+router.post("/staff/add", requireAuth, requirePermission("staff:manage"), staffAction(req => {
+  const { username, password, role } = req.body;
+  return staffService.create(req.restaurant._id, { username, password, role });
+}));
+
+router.post("/staff/invites", requireAuth, requirePermission("staff:manage"), staffAction(async req => {
+  const { invite, token } = await staffService.createInvite(req.restaurant._id, req.body.role, req.user);
+  req.session.newInvite = { token, role: invite.role };
+}));
+
+router.post("/staff/invites/:id/revoke", requireAuth, requirePermission("staff:manage"), staffAction(req =>
+  staffService.revokeInvite(req.restaurant._id, req.params.id)
+));
+
+router.post("/staff/:id/role", requireAuth, requirePermission("staff:manage"), staffAction(req =>
+  staffService.changeRole(req.restaurant._id, req.params.id, req.body.role, req.user)
+));
+
+router.post("/staff/:id/toggle", requireAuth, requirePermission("staff:manage"), staffAction(async req => {
+  const member = await staffService.findStaff(req.restaurant._id, req.params.id);
+  return staffService.setActive(req.restaurant._id, member._id, !member.active, req.user);
+}));
+
+router.post("/staff/:id/password", requireAuth, requirePermission("staff:manage"), staffAction(req =>
+  staffService.resetPassword(req.restaurant._id, req.params.id, req.body.password)
+));
+
+router.post("/staff/:id/totp/reset", requireAuth, requirePermission("staff:manage"), staffAction(req =>
+  staffService.resetTotp(req.restaurant._id, req.params.id)
+));
+
 // ---------- IoT TESTING ROUTES ----------
 
 // IoT Status and Testing Page
-router.get("/iot", requireLogin, (req, res) => {
-  const mqttStatus = MQTTTester.getStatus();
-  res.render("admin/iot", { mqttStatus });
+router.get("/iot", requireAuth, requirePermission("devices:manage"), async (req, res) => {
+  const mqttStatus = MQTTTester.getStatus(req.restaurant);
+  const stations = await Station.find({ restaurant: req.restaurant._id, active: true }).sort({ name: 1 });
+  const outboxWaiting = await deliveryService.countWaiting(req.restaurant._id);
+  const devices = await deviceService.listDevices(req.restaurant._id);
+  const deviceAlerts = await deviceService.currentAlerts(req.restaurant._id);
+  res.render("admin/iot", {
+    mqttStatus,
+    topicPrefix: req.restaurant.topicPrefix,
+    stations,
+    outboxWaiting,
+    devices,
+    deviceAlerts
+  });
+});
+
+// Forget a device (e.g. a replaced display). It re-registers on its next heartbeat.
+router.post("/iot/devices/:id/delete", requireAuth, requirePermission("devices:manage"), async (req, res) => {
+  await Device.findOneAndDelete({ _id: req.params.id, restaurant: req.restaurant._id });
+  res.redirect("/admin/iot");
 });
 
 // Test MQTT new order publication
-router.post("/iot/test-new-order", requireLogin, async (req, res) => {
+router.post("/iot/test-new-order", requireAuth, requirePermission("devices:manage"), async (req, res) => {
   try {
-    const result = await MQTTTester.testNewOrder();
+    const result = await MQTTTester.testNewOrder(req.restaurant);
     res.json({ 
       success: result, 
       message: result ? 'Test order published successfully' : 'Failed to publish test order' 
@@ -140,15 +1325,15 @@ router.post("/iot/test-new-order", requireLogin, async (req, res) => {
 });
 
 // Test MQTT order completion
-router.post("/iot/test-order-done", requireLogin, async (req, res) => {
+router.post("/iot/test-order-done", requireAuth, requirePermission("devices:manage"), async (req, res) => {
   try {
-    const { orderId, format } = req.body;
+    const { orderId, format, station } = req.body;
     let result;
     
     if (format === 'simple') {
-      result = MQTTTester.testOrderCompletionSimple(orderId);
+      result = MQTTTester.testOrderCompletionSimple(req.restaurant, orderId, station);
     } else {
-      result = MQTTTester.testOrderCompletion(orderId);
+      result = MQTTTester.testOrderCompletion(req.restaurant, orderId, station);
     }
     
     res.json({ 
@@ -0,0 +1,411 @@
+// routes/api.js
+// JSON API for staff apps and integrations, mounted at /api/v1.
+// Requests authenticate with an API key or a sign-in token (see
+// middlewares/apiAuth.js) and get the permissions of that user's role.
+// Express 5 passes errors from async handlers to apiErrorHandler.
+const express = require("express");
+const router = express.Router();
+const MenuItem = require("../models/MenuItem");
+const Station = require("../models/Station");
+const Order = require("../models/Order");
+const authService = require("../services/authService");
+const apiKeyService = require("../services/apiKeyService");
+const cartService = require("../services/cartService");
+const orderService = require("../services/orderService");
+const photoService = require("../services/photoService");
+const scheduleService = require("../services/scheduleService");
+const schemas = require("../utils/apiSchemas");
+const { buildOpenApi } = require("../utils/openapi");
+const { validate } = require("../utils/validation");
+const { SORTS, parseOrderFilters } = require("../utils/orderFilters");
+const { AppError } = require("../utils/errors");
+const { can, orderStatusPermission } = require("../middlewares/auth");
+const { requireApiAuth, requireApiPermission } = require("../middlewares/apiAuth");
+const { apiNotFound, apiErrorHandler } = require("../middlewares/apiErrors");
+
+const DEFAULT_PER_PAGE = 25;
+const MAX_PER_PAGE = 100;
+
+// ---------- HELPERS ----------
+
+// ?page=2&perPage=50
+function pageParams(query) {
+  return {
+    page: Math.max(1, parseInt(query.page) || 1),
+    perPage: Math.min(MAX_PER_PAGE, Math.max(1, parseInt(query.perPage) || DEFAULT_PER_PAGE))
+  };
+}
+
+function paged(data, { page, perPage, total }) {
+  return { data, pagination: { page, perPage, total, pages: Math.max(1, Math.ceil(total / perPage)) } };
+}
+
+// A bad query parameter, reported like a bad body field
+function invalidQuery(field, message) {
+  return new AppError("Some fields are invalid", 422, "validation_failed", [{ field, message }]);
+}
+
+function apiActor(req) {
+  return {
+    actorType: "user",
+    actor: req.user.username,
+    user: req.user._id,
+    source: "api"
+  };
+}
+
+function serializeMenuItem(item) {
+  return {
+    id: item._id,
+    sku: item.sku || null,
+    name: item.name,
+    price: item.price,
+    photo: item.photo,
+    thumbnail: item.thumbnail,
+    category: item.category,
+    available: item.available,
+    soldOut: item.isSoldOut,
+    stock: item.stock === undefined ? null : item.stock,
+    taxCategory: item.taxCategory || "",
+    station: item.station || null,
+    menus: item.menus || [],
+    modifierGroups: (item.modifierGroups || []).map(group => ({
+      name: group.name,
+      required: group.required,
+      selection: group.selection,
+      options: group.options.map(option => ({ name: option.name, priceDelta: option.priceDelta }))
+    })),
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt
+  };
+}
+
+function serializeModifiers(modifiers) {
+  return (modifiers || []).map(m => ({ group: m.group, option: m.option, priceDelta: m.priceDelta }));
+}
+
+function serializeCart(cart) {
+  const items = cart.items.map(line => ({
+    lineId: line.lineId,
+    menuItem: line.menuItemId,
+    name: line.name,
+    unitPrice: line.price,
+    quantity: line.quantity,
+    modifiers: serializeModifiers(line.modifiers),
+    notes: line.notes,
+    lineTotal: line.price * line.quantity
+  }));
+
+  return {
+    id: cart._id,
+    tableNumber: cart.tableNumber,
+    items,
+    total: items.reduce((sum, line) => sum + line.lineTotal, 0),
+    expiresAt: cart.expiresAt
+  };
+}
+
+function serializeOrder(order) {
+  const amountPaid = order.amountPaid || 0;
+  return {
+    id: order._id,
+    tableNumber: order.tableNumber,
+    status: order.status,
+    items: order.items.map(item => ({
+      id: item._id,
+      menuItem: item.menuItem,
+      name: item.name,
+      unitPrice: item.unitPrice,
+      quantity: item.quantity,
+      modifiers: serializeModifiers(item.modifiers),
+      notes: item.notes,
+      lineTotal: item.unitPrice * item.quantity
+    })),
+    subtotal: order.subtotal,
+    discounts: (order.discounts || []).map(discount => ({
+      name: discount.name,
+      code: discount.code || null,
+      type: discount.type,
+      amount: discount.amount
+    })),
+    discountTotal: order.discountTotal || 0,
+    serviceChargeRate: order.serviceChargeRate || 0,
+    serviceCharge: order.serviceCharge || 0,
+    taxes: (order.taxes || []).map(tax => ({
+      name: tax.name,
+      rate: tax.rate,
+      base: tax.base,
+      amount: tax.amount
+    })),
+    taxTotal: order.taxTotal || 0,
+    pricesIncludeTax: order.pricesIncludeTax !== false,
+    total: order.total,
+    amountPaid,
+    balance: Math.max(0, order.total - amountPaid),
+    tab: order.tab || null,
+    tickets: (order.tickets || []).map(ticket => ({
+      stationCode: ticket.stationCode,
+      stationName: ticket.stationName,
+      status: ticket.status,
+      deliveredAt: ticket.deliveredAt || null,
+      completedAt: ticket.completedAt || null
+    })),
+    statusHistory: (order.statusHistory || []).map(change => ({
+      from: change.from,
+      to: change.to,
+      at: change.at,
+      actorType: change.actorType,
+      actor: change.actor,
+      source: change.source
+    })),
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt
+  };
+}
+
+// ---------- DOCUMENTATION ----------
+router.get("/openapi.json", (req, res) => {
+  res.json(buildOpenApi());
+});
+
+// ---------- AUTH ----------
+
+// Swap a username and password (and code, with two-factor sign-in) for a
+// short-lived token. Same lockouts as the admin sign-in form.
+router.post("/auth/token", async (req, res) => {
+  const { username, password, code } = validate(req.body, schemas.tokenRequest);
+
+  let user = await authService.checkPassword(username, password, req.ip);
+  if (user.totpEnabled) {
+    if (!code) {
+      throw new AppError("Enter the code from your authenticator app", 401, "totp_required");
+    }
+    user = await authService.checkTotp(user._id, code, req.ip);
+  }
+
+  const { apiKey, secret } = await apiKeyService.create(user, { kind: "token" });
+  res.status(201).json({ data: { token: secret, tokenType: "Bearer", expiresAt: apiKey.expiresAt } });
+});
+
+// Everything below needs a key or token
+router.use(requireApiAuth);
+
+// Sign out: revoke the key or token this request used
+router.delete("/auth/token", async (req, res) => {
+  await apiKeyService.revoke(req.user._id, req.apiKey._id);
+  res.status(204).end();
+});
+
+router.get("/me", (req, res) => {
+  res.json({
+    data: {
+      id: req.user._id,
+      username: req.user.username,
+      role: req.user.role,
+      restaurant: { id: req.restaurant._id, name: req.restaurant.name, slug: req.restaurant.slug }
+    }
+  });
+});
+
+// ---------- MENU ----------
+
+router.get("/categories", requireApiPermission("orders:view"), async (req, res) => {
+  const categories = await MenuItem.aggregate([
+    { $match: { restaurant: req.restaurant._id } },
+    { $group: { _id: "$category", items: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ]);
+  res.json({ data: categories.map(category => ({ name: category._id, items: category.items })) });
+});
+
+// ?category=Drinks&available=true&q=chick
+router.get("/menu-items", requireApiPermission("orders:view"), async (req, res) => {
+  const query = { restaurant: req.restaurant._id };
+  if (req.query.category) query.category = String(req.query.category);
+  if (req.query.available !== undefined) {
+    if (!["true", "false"].includes(req.query.available)) {
+      throw invalidQuery("available", "must be true or false");
+    }
+    query.available = req.query.available === "true";
+  }
+  if (req.query.q) {
+    query.name = new RegExp(String(req.query.q).slice(0, 100).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+  }
+
+  const { page, perPage } = pageParams(req.query);
+  const total = await MenuItem.countDocuments(query);
+  const items = await MenuItem.find(query)
+    .sort({ category: 1, name: 1 })
+    .skip((page - 1) * perPage)
+    .limit(perPage);
+
+  res.json(paged(items.map(serializeMenuItem), { page, perPage, total }));
+});
+
+function findMenuItem(req) {
+  return cartService.findMenuItem(req.params.id, req.restaurant._id);
+}
+
+// Validated menu item fields, with the station checked against the branch
+async function menuItemValues(req, options) {
+  const values = validate(req.body, schemas.menuItem, options);
+  if (values.station && !(await Station.exists({ _id: values.station, restaurant: req.restaurant._id }))) {
+    throw new AppError("Some fields are invalid", 422, "validation_failed", [{ field: "station", message: "is not a station in this branch" }]);
+  }
+  if (values.taxCategory && !req.restaurant.taxCategories.some(category => category.name === values.taxCategory)) {
+    throw new AppError("Some fields are invalid", 422, "validation_failed", [{ field: "taxCategory", message: "is not a tax category in this branch" }]);
+  }
+  if (values.menus) {
+    const menus = await scheduleService.validMenuIds(req.restaurant._id, values.menus);
+    if (menus.length !== new Set(values.menus).size) {
+      throw new AppError("Some fields are invalid", 422, "validation_failed", [{ field: "menus", message: "are not all menus in this branch" }]);
+    }
+    values.menus = menus;
+  }
+  return values;
+}
+
+async function saveMenuItem(item) {
+  try {
+    await item.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError("Another item already has that SKU", 409, "duplicate_sku");
+    }
+    throw error;
+  }
+  return item;
+}
+
+router.get("/menu-items/:id", requireApiPermission("orders:view"), async (req, res) => {
+  res.json({ data: serializeMenuItem(await findMenuItem(req)) });
+});
+
+router.post("/menu-items", requireApiPermission("menu:edit"), async (req, res) => {
+  const { sku, ...values } = await menuItemValues(req);
+  const item = new MenuItem({ ...values, sku: sku || undefined, restaurant: req.restaurant._id });
+  await saveMenuItem(item);
+  res.status(201).location(`${req.baseUrl}/menu-items/${item._id}`).json({ data: serializeMenuItem(item) });
+});
+
+router.patch("/menu-items/:id", requireApiPermission("menu:edit"), async (req, res) => {
+  const { sku, ...values } = await menuItemValues(req, { partial: true });
+  const item = await findMenuItem(req);
+  const previousPhoto = item.photo;
+  item.set(values);
+  if (sku !== undefined) item.sku = sku || undefined; // null or "" removes it
+  await saveMenuItem(item);
+  if (item.photo !== previousPhoto) {
+    await photoService.remove(previousPhoto);
+  }
+  res.json({ data: serializeMenuItem(item) });
+});
+
+router.delete("/menu-items/:id", requireApiPermission("menu:edit"), async (req, res) => {
+  const item = await findMenuItem(req);
+  await MenuItem.deleteOne({ _id: item._id });
+  await photoService.remove(item.photo);
+  res.status(204).end();
+});
+
+// ---------- CARTS ----------
+
+// Build an order up line by line, then check it out
+router.post("/carts", requireApiPermission("orders:update"), async (req, res) => {
+  const { tableNumber = null } = validate(req.body || {}, schemas.cart);
+  const cart = await cartService.createCart(req.user, { tableNumber });
+  res.status(201).location(`${req.baseUrl}/carts/${cart._id}`).json({ data: serializeCart(cart) });
+});
+
+router.get("/carts/:id", requireApiPermission("orders:update"), async (req, res) => {
+  const cart = await cartService.findCart(req.params.id, req.restaurant._id);
+  res.json({ data: serializeCart(cart) });
+});
+
+router.post("/carts/:id/items", requireApiPermission("orders:update"), async (req, res) => {
+  const values = validate(req.body, schemas.cartItem);
+  const cart = await cartService.findCart(req.params.id, req.restaurant._id);
+  await cartService.addItem(cart, values);
+  res.status(201).json({ data: serializeCart(cart) });
+});
+
+router.patch("/carts/:id/items/:lineId", requireApiPermission("orders:update"), async (req, res) => {
+  const values = validate(req.body, schemas.cartLine);
+  const cart = await cartService.findCart(req.params.id, req.restaurant._id);
+  await cartService.updateLine(cart, req.params.lineId, values);
+  res.json({ data: serializeCart(cart) });
+});
+
+router.delete("/carts/:id/items/:lineId", requireApiPermission("orders:update"), async (req, res) => {
+  const cart = await cartService.findCart(req.params.id, req.restaurant._id);
+  await cartService.removeLine(cart, req.params.lineId);
+  res.json({ data: serializeCart(cart) });
+});
+
+// A 409 price_changed means the cart now has the new prices; check out
+// again to accept them
+router.post("/carts/:id/checkout", requireApiPermission("orders:update"), async (req, res) => {
+  const { tableNumber, promoCode } = validate(req.body || {}, schemas.checkout);
+  const cart = await cartService.findCart(req.params.id, req.restaurant._id);
+  const order = await cartService.checkout(cart, {
+    tableNumber,
+    promoCode,
+    restaurant: req.restaurant,
+    actor: apiActor(req)
+  });
+  res.status(201).location(`${req.baseUrl}/orders/${order._id}`).json({ data: serializeOrder(order) });
+});
+
+// ---------- ORDERS ----------
+
+// Same filters as the admin order list: ?status=active&table=4&zone=Terrace
+// &item=<menu item ID>&from=2024-05-01&to=2024-05-31&q=burger&sort=oldest
+router.get("/orders", requireApiPermission("orders:view"), async (req, res) => {
+  const filters = parseOrderFilters(req.query);
+  if (filters.status && filters.status !== "active" && !Order.STATUSES.includes(filters.status)) {
+    throw invalidQuery("status", `must be active or one of: ${Order.STATUSES.join(", ")}`);
+  }
+  if (req.query.sort && !SORTS[req.query.sort]) {
+    throw invalidQuery("sort", `must be one of: ${Object.keys(SORTS).join(", ")}`);
+  }
+
+  const { page, perPage } = pageParams(req.query);
+  const result = await orderService.listOrders(req.restaurant._id, { ...filters, page, perPage }, req.restaurant.timezone);
+  res.json(paged(result.orders.map(serializeOrder), { page: result.page, perPage, total: result.total }));
+});
+
+// Place an order in one request
+router.post("/orders", requireApiPermission("orders:update"), async (req, res) => {
+  const { tableNumber, items, promoCode } = validate(req.body, schemas.order);
+  const order = await cartService.placeOrder({
+    tableNumber,
+    items,
+    promoCode,
+    restaurant: req.restaurant,
+    actor: apiActor(req)
+  });
+  res.status(201).location(`${req.baseUrl}/orders/${order._id}`).json({ data: serializeOrder(order) });
+});
+
+router.get("/orders/:id", requireApiPermission("orders:view"), async (req, res) => {
+  const order = await orderService.findOrder(req.params.id, req.restaurant._id);
+  res.json({ data: serializeOrder(order) });
+});
+
+// Move an order on, e.g. { "status": "ready" }. Marking it paid needs
+// the cashier permission, like the admin screens.
+router.post("/orders/:id/status", requireApiPermission("orders:view"), async (req, res) => {
+  const { status } = validate(req.body, schemas.statusChange);
+  const permission = orderStatusPermission(status);
+  if (!can(req.user, permission)) {
+    throw new AppError("Your role doesn't allow that", 403, "forbidden", { permission });
+  }
+
+  const order = await orderService.changeStatus(req.params.id, status, apiActor(req), req.restaurant._id);
+  res.json({ data: serializeOrder(order) });
+});
+
+router.use(apiNotFound);
+router.use(apiErrorHandler);
+
+module.exports = router;
@@ -1,33 +1,168 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const MenuItem = require("../models/MenuItem");
 const Order = require("../models/Order");
-const mqttService = require("../services/mqttService");
+const Table = require("../models/Table");
+const Restaurant = require("../models/Restaurant");
+const eventStream = require("../services/eventStream");
+const checkoutService = require("../services/checkoutService");
+const cartService = require("../services/cartService");
+const scheduleService = require("../services/scheduleService");
+const promotionService = require("../services/promotionService");
+const taxService = require("../services/taxService");
+const restaurantService = require("../services/restaurantService");
+const { AppError, PriceChangedError } = require("../utils/errors");
+const { buildTrackingStatus } = require("../utils/orderTracking");
+const { buildLineKey } = require("../utils/modifiers");
+const { verifyTableSignature } = require("../utils/tableLinks");
 
 // Home route - redirect to menu
 router.get("/", (req, res) => {
   res.redirect("/menu");
 });
 
+// ---------- BRANCH ----------
+
+// The branch the guest is ordering from: the one their table link pinned,
+// otherwise the default branch
+async function loadRestaurant(req, res, next) {
+  try {
+    const { restaurantId } = req.session;
+    let restaurant = restaurantId && mongoose.isValidObjectId(restaurantId)
+      ? await Restaurant.findOne({ _id: restaurantId, active: true })
+      : null;
+    if (!restaurant && restaurantId) {
+      // The branch closed: its table pin no longer means anything
+      req.session.restaurantId = null;
+      req.session.tableNumber = null;
+    }
+    if (!restaurant) {
+      restaurant = await Restaurant.findDefault();
+    }
+    if (!restaurant) {
+      return res.status(503).send("This restaurant isn't set up yet.");
+    }
+
+    req.restaurant = restaurant;
+    res.locals.currency = restaurant.currency;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ---------- TABLE ROUTES ----------
+
+// Pin this guest's session to a branch and table. A cart from another
+// branch can't be ordered here, so it's cleared.
+async function openTable(req, res, restaurant, tableNumber) {
+  const table = restaurant
+    ? await Table.findOne({ restaurant: restaurant._id, number: tableNumber, active: true })
+    : null;
+  if (!table) {
+    return res.status(404).send("This table is not taking orders right now. Please ask a member of staff for help.");
+  }
+
+  if (req.session.restaurantId !== restaurant._id.toString()) {
+    req.session.cart = [];
+  }
+  req.session.restaurantId = restaurant._id.toString();
+  req.session.tableNumber = table.number;
+  res.redirect("/menu");
+}
+
+// Signed link from a table's QR code
+router.get("/t/:slug/:tableNumber/:signature", async (req, res) => {
+  try {
+    const tableNumber = parseInt(req.params.tableNumber);
+    const slug = String(req.params.slug).toLowerCase();
+    if (!tableNumber || !verifyTableSignature(tableNumber, req.params.signature, slug)) {
+      return res.status(404).send("This table link is not valid. Please ask a member of staff for help.");
+    }
+
+    const restaurant = await Restaurant.findOne({ slug, active: true });
+    await openTable(req, res, restaurant, tableNumber);
+  } catch (error) {
+    console.error("Error opening table link:", error);
+    res.status(500).send("Error opening table link");
+  }
+});
+
+// QR codes printed before branches existed belong to the default branch
+router.get("/t/:tableNumber/:signature", async (req, res) => {
+  try {
+    const tableNumber = parseInt(req.params.tableNumber);
+    if (!tableNumber || !verifyTableSignature(tableNumber, req.params.signature)) {
+      return res.status(404).send("This table link is not valid. Please ask a member of staff for help.");
+    }
+
+    await openTable(req, res, await Restaurant.findDefault(), tableNumber);
+  } catch (error) {
+    console.error("Error opening table link:", error);
+    res.status(500).send("Error opening table link");
+  }
+});
+
 // Initialize cart in session if it doesn't exist
 function initializeCart(req) {
   if (!req.session.cart) {
     req.session.cart = [];
   }
+
+  // Carts saved before lines had options were keyed by menu item only
+  req.session.cart.forEach(item => {
+    if (!item.lineId) {
+      item.lineId = buildLineKey(item.menuItemId);
+      item.modifiers = [];
+      item.notes = "";
+    }
+  });
 }
 
-// Calculate cart total
-function calculateCartTotal(cart) {
-  return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
+// Totals for the session cart: the promotions that apply by themselves
+// plus the guest's code, then the service charge and taxes. A code that no
+// longer applies is dropped, with the reason in `promoError`.
+async function priceSessionCart(req) {
+  const lines = req.session.cart.map(item => ({
+    menuItemId: item.menuItemId,
+    unitPrice: item.price,
+    quantity: item.quantity
+  }));
+
+  let pricing;
+  let promoError = null;
+  try {
+    pricing = await promotionService.evaluate(req.restaurant._id, lines, { code: req.session.promoCode });
+  } catch (error) {
+    if (!(error instanceof AppError)) throw error;
+    req.session.promoCode = null;
+    pricing = await promotionService.evaluate(req.restaurant._id, lines);
+    promoError = error.message;
+  }
+  return { ...(await taxService.addCharges(req.restaurant, lines, pricing)), promoError };
 }
 
 // ---------- MENU ROUTES ----------
 
 // Display menu items for customers
-router.get("/menu", async (req, res) => {
+router.get("/menu", loadRestaurant, async (req, res) => {
   try {
     initializeCart(req);
-    const menuItems = await MenuItem.find().sort({ category: 1, name: 1 });
+    const allItems = await MenuItem.find({ restaurant: req.restaurant._id }).sort({ category: 1, name: 1 });
+
+    // Only what's being served now, at this hour's prices
+    const now = await scheduleService.current(req.restaurant);
+    const menuItems = allItems.filter(item => scheduleService.isOrderable(item, now));
+    const prices = {};
+    menuItems.forEach(item => {
+      const scheduled = now.prices.get(String(item._id));
+      prices[item._id] = {
+        price: scheduleService.priceFor(item, now),
+        regular: item.price,
+        schedule: scheduled && scheduled.price !== item.price ? scheduled.schedule : null
+      };
+    });
     
     // Group items by category
     const groupedItems = {};
@@ -39,8 +174,19 @@ router.get("/menu", async (req, res) => {
       groupedItems[category].push(item);
     });
 
+    // Options and base prices for the options dialog
+    const menuOptions = {};
+    menuItems.forEach(item => {
+      menuOptions[item._id] = { name: item.name, price: prices[item._id].price, groups: item.modifierGroups };
+    });
+
     res.render("guest/menu", { 
+      restaurantName: req.restaurant.name,
       groupedItems,
+      prices,
+      servingMenus: now.menuNames,
+      menuOptions,
+      tableNumber: req.session.tableNumber || null,
       cartCount: req.session.cart ? req.session.cart.reduce((sum, item) => sum + item.quantity, 0) : 0
     });
   } catch (error) {
@@ -52,75 +198,75 @@ router.get("/menu", async (req, res) => {
 // ---------- CART ROUTES ----------
 
 // Add item to cart
-router.post("/cart/add", async (req, res) => {
+router.post("/cart/add", loadRestaurant, async (req, res) => {
   try {
-    const { menuItemId, quantity = 1 } = req.body;
+    const { menuItemId, quantity = 1, modifiers = [], notes = "" } = req.body;
     initializeCart(req);
 
-    const menuItem = await MenuItem.findById(menuItemId);
+    const menuItem = mongoose.isValidObjectId(menuItemId)
+      ? await MenuItem.findOne({ _id: menuItemId, restaurant: req.restaurant._id })
+      : null;
     if (!menuItem) {
       return res.status(404).json({ error: "Menu item not found" });
     }
 
-    // Check if item already exists in cart
-    const existingItem = req.session.cart.find(item => item.menuItemId === menuItemId);
-    
-    if (existingItem) {
-      existingItem.quantity += parseInt(quantity);
-    } else {
-      req.session.cart.push({
-        menuItemId: menuItem._id.toString(),
-        name: menuItem.name,
-        price: menuItem.price,
-        photo: menuItem.photo,
-        quantity: parseInt(quantity)
-      });
-    }
+    const now = await scheduleService.current(req.restaurant);
+    cartService.addLine(req.session.cart, menuItem, { quantity, modifiers, notes }, now);
 
     res.json({ 
       success: true, 
       cartCount: req.session.cart.reduce((sum, item) => sum + item.quantity, 0) 
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Error adding to cart:", error);
     res.status(500).json({ error: "Error adding to cart" });
   }
 });
 
 // View cart
-router.get("/cart", (req, res) => {
-  initializeCart(req);
-  const total = calculateCartTotal(req.session.cart);
-  
-  res.render("guest/cart", { 
-    cart: req.session.cart,
-    total,
-    cartCount: req.session.cart.reduce((sum, item) => sum + item.quantity, 0)
-  });
+router.get("/cart", loadRestaurant, async (req, res) => {
+  try {
+    initializeCart(req);
+    const pricing = await priceSessionCart(req);
+
+    res.render("guest/cart", { 
+      cart: req.session.cart,
+      pricing,
+      cartCount: req.session.cart.reduce((sum, item) => sum + item.quantity, 0)
+    });
+  } catch (error) {
+    console.error("Error loading cart:", error);
+    res.status(500).send("Error loading cart");
+  }
 });
 
 // Update cart item quantity
-router.post("/cart/update", (req, res) => {
+router.post("/cart/update", loadRestaurant, async (req, res) => {
   try {
-    const { menuItemId, quantity } = req.body;
+    const { lineId, quantity } = req.body;
     initializeCart(req);
 
-    const item = req.session.cart.find(item => item.menuItemId === menuItemId);
+    const item = req.session.cart.find(item => item.lineId === lineId);
     if (item) {
       if (parseInt(quantity) <= 0) {
         // Remove item if quantity is 0 or less
-        req.session.cart = req.session.cart.filter(item => item.menuItemId !== menuItemId);
+        req.session.cart = req.session.cart.filter(item => item.lineId !== lineId);
       } else {
         item.quantity = parseInt(quantity);
       }
     }
 
-    const total = calculateCartTotal(req.session.cart);
+    // The same totals the cart page shows, with promotions and charges
+    const pricing = await priceSessionCart(req);
     const cartCount = req.session.cart.reduce((sum, item) => sum + item.quantity, 0);
 
     res.json({ 
       success: true, 
-      total,
+      total: pricing.total,
+      pricing,
       cartCount
     });
   } catch (error) {
@@ -130,19 +276,21 @@ router.post("/cart/update", (req, res) => {
 });
 
 // Remove item from cart
-router.post("/cart/remove", (req, res) => {
+router.post("/cart/remove", loadRestaurant, async (req, res) => {
   try {
-    const { menuItemId } = req.body;
+    const { lineId } = req.body;
     initializeCart(req);
 
-    req.session.cart = req.session.cart.filter(item => item.menuItemId !== menuItemId);
+    req.session.cart = req.session.cart.filter(item => item.lineId !== lineId);
     
-    const total = calculateCartTotal(req.session.cart);
+    // The same totals the cart page shows, with promotions and charges
+    const pricing = await priceSessionCart(req);
     const cartCount = req.session.cart.reduce((sum, item) => sum + item.quantity, 0);
 
     res.json({ 
       success: true, 
-      total,
+      total: pricing.total,
+      pricing,
       cartCount
     });
   } catch (error) {
@@ -154,68 +302,83 @@ router.post("/cart/remove", (req, res) => {
 // ---------- CHECKOUT ROUTES ----------
 
 // Show checkout page
-router.get("/checkout", (req, res) => {
-  initializeCart(req);
-  
-  if (req.session.cart.length === 0) {
-    return res.redirect("/menu");
-  }
-
-  const total = calculateCartTotal(req.session.cart);
-  
-  res.render("guest/checkout", { 
-    cart: req.session.cart,
-    total,
-    cartCount: req.session.cart.reduce((sum, item) => sum + item.quantity, 0)
-  });
+router.get("/checkout", loadRestaurant, async (req, res) => {
+  try {
+    initializeCart(req);
+
+    if (req.session.cart.length === 0) {
+      return res.redirect("/menu");
+    }
+
+    const pricing = await priceSessionCart(req);
+
+    res.render("guest/checkout", { 
+      cart: req.session.cart,
+      pricing,
+      promoCode: req.session.promoCode || "",
+      promoError: pricing.promoError,
+      tableNumber: req.session.tableNumber || null,
+      cartCount: req.session.cart.reduce((sum, item) => sum + item.quantity, 0)
+    });
+  } catch (error) {
+    console.error("Error loading checkout:", error);
+    res.status(500).send("Error loading checkout");
+  }
+});
+
+// Apply a promo code to the cart; an empty code removes it
+router.post("/checkout/promo", loadRestaurant, async (req, res) => {
+  try {
+    initializeCart(req);
+    const code = String(req.body.code || "").trim().toUpperCase();
+
+    if (code) {
+      req.session.promoCode = code;
+      const pricing = await priceSessionCart(req);
+      if (pricing.promoError) {
+        return res.status(422).json({ error: pricing.promoError, code: "invalid_promo_code" });
+      }
+    } else {
+      req.session.promoCode = null;
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error applying promo code:", error);
+    res.status(500).json({ error: "Error applying promo code" });
+  }
 });
 
 // Process checkout
-router.post("/checkout", async (req, res) => {
+router.post("/checkout", loadRestaurant, async (req, res) => {
   try {
-    const { tableNumber } = req.body;
     initializeCart(req);
 
     if (req.session.cart.length === 0) {
       return res.json({ error: "Cart is empty" });
     }
 
-    if (!tableNumber || tableNumber < 1) {
-      return res.json({ error: "Please provide a valid table number" });
+    // The table comes from the signed QR link, never from the form
+    const { tableNumber } = req.session;
+    if (!tableNumber) {
+      return res.status(400).json({ error: "Please scan the QR code on your table to order" });
     }
 
-    // Create order items array
-    const orderItems = req.session.cart.map(item => ({
-      menuItem: item.menuItemId,
-      quantity: item.quantity
-    }));
-
-    const total = calculateCartTotal(req.session.cart);
+    const table = await Table.findOne({ restaurant: req.restaurant._id, number: tableNumber, active: true });
+    if (!table) {
+      req.session.tableNumber = null;
+      return res.status(400).json({ error: "Your table is not taking orders right now. Please ask a member of staff for help." });
+    }
 
-    // Create new order
-    const order = new Order({
-      tableNumber: parseInt(tableNumber),
-      items: orderItems,
-      total,
-      status: "pending"
+    const order = await checkoutService.placeOrder(req.session.cart, {
+      tableNumber: table.number,
+      restaurant: req.restaurant,
+      promoCode: req.session.promoCode || null
     });
 
-    await order.save();
-
-    // Populate the order with menu item details for MQTT publishing
-    const populatedOrder = await Order.findById(order._id).populate('items.menuItem');
-
-    // Publish new order to MQTT for IoT devices
-    try {
-      await mqttService.publishNewOrder(populatedOrder);
-      console.log(`📤 MQTT: New order published for Table ${tableNumber}`);
-    } catch (mqttError) {
-      console.error('❌ MQTT: Failed to publish new order:', mqttError);
-      // Don't fail the order if MQTT fails, just log the error
-    }
-
-    // Clear cart after successful order
+    // Clear cart and code after successful order
     req.session.cart = [];
+    req.session.promoCode = null;
 
     res.json({ 
       success: true, 
@@ -223,6 +386,17 @@ router.post("/checkout", async (req, res) => {
       message: "Order placed successfully!" 
     });
   } catch (error) {
+    if (error instanceof PriceChangedError) {
+      // Show the guest the new prices before they confirm again
+      checkoutService.applyPriceChanges(req.session.cart, error.details);
+    }
+    if (error instanceof AppError && error.code === "invalid_promo_code") {
+      // Let the guest see the total without it before placing the order again
+      req.session.promoCode = null;
+    }
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
     console.error("Error processing checkout:", error);
     res.status(500).json({ error: "Error processing order" });
   }
@@ -236,11 +410,61 @@ router.get("/order-confirmation/:orderId", async (req, res) => {
       return res.status(404).send("Order not found");
     }
 
-    res.render("guest/order-confirmation", { order });
+    res.render("guest/order-confirmation", { order, currency: await restaurantService.currencyFor(order.restaurant) });
   } catch (error) {
     console.error("Error loading order confirmation:", error);
     res.status(500).send("Error loading order confirmation");
   }
 });
 
+// ---------- ORDER TRACKING ROUTES ----------
+
+// Live tracking page for guests
+router.get("/order/:orderId/track", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.orderId)) {
+      return res.status(404).send("Order not found");
+    }
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).send("Order not found");
+    }
+
+    res.render("guest/track", {
+      order,
+      tracking: buildTrackingStatus(order),
+      currency: await restaurantService.currencyFor(order.restaurant)
+    });
+  } catch (error) {
+    console.error("Error loading order tracking:", error);
+    res.status(500).send("Error loading order tracking");
+  }
+});
+
+// Current order status as JSON
+router.get("/order/:orderId/status", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.orderId)) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    res.json(buildTrackingStatus(order));
+  } catch (error) {
+    console.error("Error loading order status:", error);
+    res.status(500).json({ error: "Error loading order status" });
+  }
+});
+
+// Live status changes for a single order (Server-Sent Events)
+router.get("/order/:orderId/events", (req, res) => {
+  const { orderId } = req.params;
+  eventStream.subscribe(req, res, event => event.data.orderId === orderId);
+});
+
 module.exports = router;
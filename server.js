@@ -8,25 +8,45 @@ const cookieParser = require("cookie-parser");
 // Import routes
 const adminRoutes = require("./routes/admin");
 const guestRoutes = require("./routes/guest");
+const apiRoutes = require("./routes/api");
+const { apiErrorHandler } = require("./middlewares/apiErrors");
 //const orderRoutes = require("./routes/order");
 const session = require("cookie-session");
 
+// Import models used at startup
+const Order = require("./models/Order");
+const User = require("./models/User");
+const restaurantService = require("./services/restaurantService");
+
 // Import MQTT service
 const mqttService = require("./services/mqttService");
+const deliveryService = require("./services/deliveryService");
+const deviceService = require("./services/deviceService");
 
 const app = express();
 
 // ---------- Session Setup ----------
+// The cookie is signed with SESSION_SECRET; anyone who knows it can forge
+// sessions, so the fallback is only fit for local development
+if (!process.env.SESSION_SECRET) {
+  if (process.env.NODE_ENV === "production") {
+    console.error("❌ SESSION_SECRET must be set in production");
+    process.exit(1);
+  }
+  console.warn("⚠️  SESSION_SECRET is not set; using an insecure default key");
+}
 app.use(session({
   name: "session",
   keys: [process.env.SESSION_SECRET || "supersecretkey"],
   maxAge: 24 * 60 * 60 * 1000, // 1 day
+  httpOnly: true,
+  sameSite: "lax",
 }));
 
 
 // ---------- Middleware ----------
 app.use(cookieParser());
-app.use(bodyParser.urlencoded({ extended: true }));
+app.use(bodyParser.urlencoded({ extended: true, limit: "2mb" })); // menu imports are posted as a form field
 app.use(bodyParser.json());
 
 // Set EJS as view engine
@@ -38,6 +58,7 @@ app.use(express.static(path.join(__dirname, "public")));
 
 // ---------- Routes ----------
 app.use("/admin", adminRoutes);   // Admin dashboard
+app.use("/api/v1", apiRoutes, apiErrorHandler); // JSON API; the handler also catches bad JSON bodies
 app.use("/", guestRoutes);        // Guest routes (menu, cart, checkout)
 //app.use("/orders", orderRoutes);  // Orders handling
 
@@ -51,8 +72,41 @@ mongoose.connect(MONGO_URI, {
 })
 .then(async () => {
   console.log("✅ Connected to MongoDB");
+
+  // Give data from before branches existed to the first branch
+  const assigned = await restaurantService.assignLegacyData();
+  if (assigned > 0) {
+    console.log(`🔁 Assigned ${assigned} existing records to the default restaurant`);
+  }
+
+  // Admin accounts from before roles existed become owners
+  const promoted = await User.migrateLegacyRoles();
+  if (promoted.modifiedCount > 0) {
+    console.log(`🔁 Made ${promoted.modifiedCount} existing admin accounts owners`);
+  }
+
+  // Move orders from the old pending/served/paid statuses onto the lifecycle
+  const migrated = await Order.migrateLegacyStatuses();
+  if (migrated.modifiedCount > 0) {
+    console.log(`🔁 Migrated ${migrated.modifiedCount} legacy pending orders to "received"`);
+  }
+  const settled = await Order.backfillAmountPaid();
+  if (settled.modifiedCount > 0) {
+    console.log(`🔁 Recorded ${settled.modifiedCount} older paid orders as paid in full`);
+  }
+  const subtotalled = await Order.backfillSubtotals();
+  if (subtotalled.modifiedCount > 0) {
+    console.log(`🔁 Stored subtotals on ${subtotalled.modifiedCount} older orders`);
+  }
+  const backfilled = await Order.backfillLineSnapshots();
+  if (backfilled > 0) {
+    console.log(`🔁 Backfilled item names and prices on ${backfilled} older orders`);
+  }
   
-  // Initialize MQTT service for IoT integration
+  // Initialize MQTT service for IoT integration. The delivery outbox and
+  // device registry start first so they see the first connect.
+  deliveryService.start();
+  deviceService.start();
   try {
     await mqttService.connect();
   } catch (error) {
@@ -72,12 +126,16 @@ mongoose.connect(MONGO_URI, {
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n🛑 Shutting down gracefully...');
+  deliveryService.stop();
+  deviceService.stop();
   mqttService.disconnect();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   console.log('\n🛑 Shutting down gracefully...');
+  deliveryService.stop();
+  deviceService.stop();
   mqttService.disconnect();
   process.exit(0);
 });
@@ -0,0 +1,186 @@
+// services/analyticsService.js
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const MenuItem = require('../models/MenuItem');
+
+const SELLERS_LIMIT = 10;
+const TABLES_LIMIT = 10;
+
+class AnalyticsService {
+  // Orders that count as sales: placed in the range and not cancelled
+  salesMatch(restaurantId, from, to) {
+    return {
+      restaurant: new mongoose.Types.ObjectId(restaurantId),
+      createdAt: { $gte: from, $lt: to },
+      status: { $ne: 'cancelled' }
+    };
+  }
+
+  // Revenue and order count per day, ISO week or hour of day, counted in
+  // the branch's `timezone`
+  revenueBy(match, period, timezone) {
+    const keys = {
+      day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone } },
+      week: { $dateToString: { format: '%G-W%V', date: '$createdAt', timezone } },
+      hour: { $hour: { date: '$createdAt', timezone } }
+    };
+
+    return Order.aggregate([
+      { $match: match },
+      { $group: { _id: keys[period], revenue: { $sum: '$total' }, orders: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, period: '$_id', revenue: 1, orders: 1 } }
+    ]);
+  }
+
+  // Every hour of the day, including the quiet ones
+  fillHours(rows) {
+    return Array.from({ length: 24 }, (_, hour) =>
+      rows.find(row => row.period === hour) || { period: hour, revenue: 0, orders: 0 }
+    );
+  }
+
+  // Quantity and revenue per menu item. Items that didn't sell at all are
+  // included with zeros, so they show up as bottom sellers.
+  async sellers(match, restaurantId) {
+    const sold = await Order.aggregate([
+      { $match: match },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.menuItem',
+          name: { $last: '$items.name' },
+          quantity: { $sum: '$items.quantity' },
+          revenue: { $sum: { $multiply: ['$items.unitPrice', '$items.quantity'] } }
+        }
+      }
+    ]);
+
+    const soldIds = new Set(sold.map(row => String(row._id)));
+    const unsold = await MenuItem.find({ restaurant: restaurantId }).select('name');
+    const rows = [
+      ...sold.map(row => ({ menuItem: row._id, name: row.name, quantity: row.quantity, revenue: row.revenue })),
+      ...unsold.filter(item => !soldIds.has(String(item._id)))
+        .map(item => ({ menuItem: item._id, name: item.name, quantity: 0, revenue: 0 }))
+    ];
+
+    const by = field => [...rows].sort((a, b) => b[field] - a[field] || a.name.localeCompare(b.name));
+    return {
+      topByQuantity: by('quantity').slice(0, SELLERS_LIMIT),
+      topByRevenue: by('revenue').slice(0, SELLERS_LIMIT),
+      bottomByQuantity: by('quantity').reverse().slice(0, SELLERS_LIMIT),
+      bottomByRevenue: by('revenue').reverse().slice(0, SELLERS_LIMIT)
+    };
+  }
+
+  // Minutes from the order being placed to the kitchen device marking it
+  // served over MQTT. Orders served by hand in the admin aren't counted.
+  async prepTimes(restaurantId, from, to) {
+    const match = {
+      restaurant: new mongoose.Types.ObjectId(restaurantId),
+      createdAt: { $gte: from, $lt: to }
+    };
+
+    const [overall] = await Order.aggregate([
+      { $match: match },
+      { $unwind: '$statusHistory' },
+      { $match: { 'statusHistory.to': 'served', 'statusHistory.source': 'mqtt' } },
+      { $project: { minutes: { $divide: [{ $subtract: ['$statusHistory.at', '$createdAt'] }, 60000] } } },
+      {
+        $group: {
+          _id: null,
+          orders: { $sum: 1 },
+          average: { $avg: '$minutes' },
+          fastest: { $min: '$minutes' },
+          slowest: { $max: '$minutes' }
+        }
+      }
+    ]);
+
+    // Per station, from each ticket's completion
+    const byStation = await Order.aggregate([
+      { $match: match },
+      { $unwind: '$tickets' },
+      { $match: { 'tickets.completedAt': { $ne: null } } },
+      { $project: { station: '$tickets.stationName', minutes: { $divide: [{ $subtract: ['$tickets.completedAt', '$createdAt'] }, 60000] } } },
+      { $group: { _id: '$station', tickets: { $sum: 1 }, average: { $avg: '$minutes' } } },
+      { $sort: { average: -1 } },
+      { $project: { _id: 0, station: '$_id', tickets: 1, average: 1 } }
+    ]);
+
+    return {
+      orders: overall ? overall.orders : 0,
+      average: overall ? overall.average : null,
+      fastest: overall ? overall.fastest : null,
+      slowest: overall ? overall.slowest : null,
+      byStation
+    };
+  }
+
+  busiestTables(match) {
+    return Order.aggregate([
+      { $match: match },
+      { $group: { _id: '$tableNumber', orders: { $sum: 1 }, revenue: { $sum: '$total' } } },
+      { $sort: { orders: -1, revenue: -1 } },
+      { $limit: TABLES_LIMIT },
+      { $project: { _id: 0, tableNumber: '$_id', orders: 1, revenue: 1 } }
+    ]);
+  }
+
+  // Orders, discount given and revenue per promotion
+  promotions(match) {
+    return Order.aggregate([
+      { $match: { ...match, 'discounts.0': { $exists: true } } },
+      { $unwind: '$discounts' },
+      {
+        $group: {
+          _id: '$discounts.promotion',
+          name: { $last: '$discounts.name' },
+          code: { $last: '$discounts.code' },
+          orders: { $sum: 1 },
+          discount: { $sum: '$discounts.amount' },
+          revenue: { $sum: '$total' }
+        }
+      },
+      { $sort: { orders: -1, discount: -1 } },
+      { $project: { _id: 0, name: 1, code: 1, orders: 1, discount: 1, revenue: 1 } }
+    ]);
+  }
+
+  // Everything the dashboard charts, for orders placed in [from, to), with
+  // days and hours in the branch's `timezone`
+  async summary(restaurantId, { from, to, timezone }) {
+    const match = this.salesMatch(restaurantId, from, to);
+
+    const [totals] = await Order.aggregate([
+      { $match: match },
+      { $group: { _id: null, revenue: { $sum: '$total' }, discounts: { $sum: '$discountTotal' }, orders: { $sum: 1 } } }
+    ]);
+    const revenue = totals ? totals.revenue : 0;
+    const orders = totals ? totals.orders : 0;
+
+    return {
+      from,
+      to,
+      timezone,
+      totals: {
+        revenue,
+        orders,
+        averageOrderValue: orders > 0 ? Math.round(revenue / orders) : 0,
+        discounts: totals ? totals.discounts : 0
+      },
+      revenueByDay: await this.revenueBy(match, 'day', timezone),
+      revenueByWeek: await this.revenueBy(match, 'week', timezone),
+      revenueByHour: this.fillHours(await this.revenueBy(match, 'hour', timezone)),
+      sellers: await this.sellers(match, restaurantId),
+      prepTimes: await this.prepTimes(restaurantId, from, to),
+      busiestTables: await this.busiestTables(match),
+      promotions: await this.promotions(match)
+    };
+  }
+}
+
+// Create singleton instance
+const analyticsService = new AnalyticsService();
+
+module.exports = analyticsService;
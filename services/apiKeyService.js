@@ -0,0 +1,81 @@
+// services/apiKeyService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+const TOKEN_HOURS = parseInt(process.env.API_TOKEN_HOURS) || 12;
+const SECRET_PREFIX = 'rk_';
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+class ApiKeyService {
+  // Create a key or token for `user`. The secret is returned only here.
+  async create(user, { kind = 'key', name = '' } = {}) {
+    if (kind === 'key' && !String(name).trim()) {
+      throw new AppError('Give the key a name, e.g. the device it is for');
+    }
+
+    const secret = SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const apiKey = await ApiKey.create({
+      restaurant: user.restaurant._id || user.restaurant,
+      user: user._id,
+      kind,
+      name: String(name).trim().slice(0, 60),
+      prefix: secret.slice(0, SECRET_PREFIX.length + 6),
+      secretHash: hashSecret(secret),
+      expiresAt: kind === 'token' ? new Date(Date.now() + TOKEN_HOURS * 60 * 60 * 1000) : null
+    });
+
+    console.log(`🔑 API ${kind} ${apiKey.prefix}… created for ${user.username}`);
+    return { apiKey, secret };
+  }
+
+  // The key and its (active) user, with their branch, or null
+  async authenticate(secret) {
+    if (!secret || !secret.startsWith(SECRET_PREFIX)) return null;
+
+    const apiKey = await ApiKey.findOne({ secretHash: hashSecret(secret) });
+    if (!apiKey || !apiKey.isValid()) return null;
+
+    const user = await User.findById(apiKey.user).populate('restaurant');
+    if (!user || !user.active || !user.restaurant || !user.restaurant.active) return null;
+
+    // Don't write on every request
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > 60 * 1000) {
+      await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } });
+    }
+    return { apiKey, user };
+  }
+
+  listKeys(userId) {
+    return ApiKey.find({ user: userId, kind: 'key', revokedAt: null }).sort({ createdAt: -1 });
+  }
+
+  async revoke(userId, keyId) {
+    const apiKey = mongoose.isValidObjectId(keyId)
+      ? await ApiKey.findOneAndUpdate({ _id: keyId, user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } })
+      : null;
+    if (!apiKey) {
+      throw new NotFoundError('API key not found');
+    }
+    return apiKey;
+  }
+
+  // Sign-in tokens are sessions, so signing out everywhere ends them too
+  async revokeTokens(userId) {
+    const result = await ApiKey.updateMany(
+      { user: userId, kind: 'token', revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+// Create singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
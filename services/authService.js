@@ -0,0 +1,215 @@
+// services/authService.js
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const User = require('../models/User');
+const AdminSession = require('../models/AdminSession');
+const apiKeyService = require('./apiKeyService');
+const totp = require('../utils/totp');
+const { AppError } = require('../utils/errors');
+
+const SESSION_HOURS = parseInt(process.env.ADMIN_SESSION_HOURS) || 12;
+
+// After MAX_FAILED_LOGINS in a row the account locks for LOCK_BASE_MINUTES,
+// doubling with every further failure up to LOCK_MAX_MINUTES
+const MAX_FAILED_LOGINS = 5;
+const LOCK_BASE_MINUTES = 1;
+const LOCK_MAX_MINUTES = 60;
+
+// Failures per address, whichever usernames they try
+const IP_MAX_FAILURES = 20;
+const IP_WINDOW_MINUTES = 15;
+
+// Checked when there's no account to check against, so an unknown or
+// disabled username takes as long to refuse as a wrong password
+const DUMMY_HASH = '$2b$10$A6QWM7qUhyA9vzb2bltt4ePPtOcM9tBmiyJGoa0XyUn5811rE5vjC';
+
+class AuthService {
+  constructor() {
+    this.ipFailures = new Map(); // ip -> { count, resetAt }
+  }
+
+  assertIpAllowed(ip) {
+    const entry = this.ipFailures.get(ip);
+    if (entry && entry.resetAt <= Date.now()) {
+      this.ipFailures.delete(ip);
+    } else if (entry && entry.count >= IP_MAX_FAILURES) {
+      throw new AppError('Too many failed sign-ins from this device. Try again later.', 429, 'too_many_attempts');
+    }
+  }
+
+  recordIpFailure(ip) {
+    if (this.ipFailures.size > 1000) {
+      for (const [key, { resetAt }] of this.ipFailures) {
+        if (resetAt <= Date.now()) this.ipFailures.delete(key);
+      }
+    }
+
+    const entry = this.ipFailures.get(ip) || { count: 0, resetAt: Date.now() + IP_WINDOW_MINUTES * 60 * 1000 };
+    entry.count += 1;
+    this.ipFailures.set(ip, entry);
+  }
+
+  lockedError(user) {
+    const minutes = Math.ceil((user.lockedUntil - Date.now()) / 60000);
+    return new AppError(`Too many failed sign-ins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 423, 'account_locked');
+  }
+
+  // Count a failure against the account, locking it once there are too many
+  async recordFailure(user, ip) {
+    this.recordIpFailure(ip);
+
+    const updated = await User.findByIdAndUpdate(user._id, { $inc: { failedLogins: 1 } }, { new: true });
+    if (updated.failedLogins >= MAX_FAILED_LOGINS) {
+      const minutes = Math.min(LOCK_MAX_MINUTES, LOCK_BASE_MINUTES * 2 ** (updated.failedLogins - MAX_FAILED_LOGINS));
+      updated.lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+      await updated.save();
+      console.log(`🔒 Locked ${updated.username} for ${minutes} min after ${updated.failedLogins} failed sign-ins`);
+      throw this.lockedError(updated);
+    }
+  }
+
+  invalidCredentials() {
+    return new AppError('Invalid credentials', 401, 'invalid_credentials');
+  }
+
+  // First step of signing in. Returns the user; if they use a second factor
+  // the caller still has to check a code with checkTotp.
+  async checkPassword(username, password, ip) {
+    this.assertIpAllowed(ip);
+
+    const user = await User.findOne({ username });
+    if (user && user.isLocked()) {
+      throw this.lockedError(user);
+    }
+
+    const usable = user && user.active;
+    const match = await bcrypt.compare(password || '', usable ? user.password : DUMMY_HASH) && usable;
+    if (!match) {
+      if (user) {
+        await this.recordFailure(user, ip);
+      } else {
+        this.recordIpFailure(ip);
+      }
+      throw this.invalidCredentials();
+    }
+    return user;
+  }
+
+  // Second step for users with TOTP. Failed codes count towards the lockout.
+  async checkTotp(userId, code, ip) {
+    this.assertIpAllowed(ip);
+
+    const user = await User.findById(userId);
+    if (!user || !user.active || !user.totpEnabled) {
+      throw this.invalidCredentials();
+    }
+    if (user.isLocked()) {
+      throw this.lockedError(user);
+    }
+
+    const step = totp.verifyCode(user.totpSecret, code);
+    // Claim the step so the same code can't be used twice
+    const claimed = step !== null && (await User.updateOne(
+      { _id: user._id, totpLastStep: { $lt: step } },
+      { $set: { totpLastStep: step } }
+    )).modifiedCount === 1;
+
+    if (!claimed) {
+      await this.recordFailure(user, ip);
+      throw new AppError("That code didn't work", 401, 'invalid_code');
+    }
+    return user;
+  }
+
+  // ---------- Sessions ----------
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Returns the session and the token for the cookie, which is only
+  // available now
+  async createSession(user, { ip, userAgent }) {
+    await User.updateOne({ _id: user._id }, { $set: { failedLogins: 0, lockedUntil: null } });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const session = await AdminSession.create({
+      tokenHash: this.hashToken(token),
+      user: user._id,
+      expiresAt: new Date(Date.now() + SESSION_HOURS * 60 * 60 * 1000),
+      ip,
+      userAgent
+    });
+    return { session, token };
+  }
+
+  // The session for a cookie's token if it is still valid, otherwise null
+  async loadSession(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const session = await AdminSession.findOne({ tokenHash: this.hashToken(token) });
+    if (!session || !session.isValid()) return null;
+
+    // Don't write on every request
+    if (Date.now() - session.lastSeenAt > 60 * 1000) {
+      await AdminSession.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } });
+    }
+    return session;
+  }
+
+  async revokeSession(token) {
+    if (!token || typeof token !== 'string') return;
+    await AdminSession.updateOne({ tokenHash: this.hashToken(token), revokedAt: null }, { $set: { revokedAt: new Date() } });
+  }
+
+  // Sign a user out everywhere (API sign-in tokens included), optionally
+  // keeping the current session
+  async revokeUserSessions(userId, exceptSessionId = null) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    const result = await AdminSession.updateMany(filter, { $set: { revokedAt: new Date() } });
+    const tokens = await apiKeyService.revokeTokens(userId);
+    return result.modifiedCount + tokens;
+  }
+
+  listSessions(userId) {
+    return AdminSession.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastSeenAt: -1 });
+  }
+
+  // ---------- Second factor ----------
+
+  // New secret to scan; TOTP stays off until a code from it is confirmed
+  async startTotpSetup(user) {
+    if (user.totpEnabled) {
+      throw new AppError('Two-factor sign-in is already on', 409, 'totp_enabled');
+    }
+    user.totpSecret = totp.generateSecret();
+    await user.save();
+    return user.totpSecret;
+  }
+
+  async confirmTotp(user, code) {
+    const step = user.totpSecret ? totp.verifyCode(user.totpSecret, code) : null;
+    if (step === null) {
+      throw new AppError("That code didn't match. Check your phone's clock and try again.", 400, 'invalid_code');
+    }
+    user.totpEnabled = true;
+    user.totpLastStep = step;
+    await user.save();
+  }
+
+  async disableTotp(user, code) {
+    if (!user.totpEnabled || totp.verifyCode(user.totpSecret, code) === null) {
+      throw new AppError("That code didn't match", 400, 'invalid_code');
+    }
+    user.totpEnabled = false;
+    user.totpSecret = null;
+    user.totpLastStep = 0;
+    await user.save();
+  }
+}
+
+// Create singleton instance
+const authService = new AuthService();
+
+module.exports = authService;
@@ -0,0 +1,192 @@
+// services/cartService.js
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const MenuItem = require('../models/MenuItem');
+const Table = require('../models/Table');
+const checkoutService = require('./checkoutService');
+const scheduleService = require('./scheduleService');
+const { AppError, NotFoundError, PriceChangedError } = require('../utils/errors');
+const { resolveModifiers, modifiersTotal, buildLineKey } = require('../utils/modifiers');
+
+// How long an untouched API cart is kept
+const CART_HOURS = 24;
+
+function expiry() {
+  return new Date(Date.now() + CART_HOURS * 60 * 60 * 1000);
+}
+
+class CartService {
+  // Add a menu item to cart `lines` (a session cart or an API cart's items)
+  // at its price right now (`now` is from scheduleService.current).
+  // The same dish with the same options and notes goes on the same line.
+  // Throws AppError if it isn't being served or the kitchen can't make that many.
+  addLine(lines, menuItem, { quantity = 1, modifiers = [], notes = '' } = {}, now) {
+    const count = parseInt(quantity);
+    if (!(count >= 1)) {
+      throw new AppError('Quantity must be at least 1', 422, 'invalid_quantity');
+    }
+
+    // Validate the chosen options; the same dish with other options is a separate line
+    const chosenModifiers = resolveModifiers(menuItem, Array.isArray(modifiers) ? modifiers : []);
+    const lineNotes = String(notes).trim().substring(0, 140);
+    const lineId = buildLineKey(menuItem._id, chosenModifiers, lineNotes);
+    const menuItemId = menuItem._id.toString();
+
+    // Refuse items the kitchen can't make
+    const wanted = count + lines
+      .filter(line => line.menuItemId === menuItemId)
+      .reduce((sum, line) => sum + line.quantity, 0);
+    if (!scheduleService.isOrderable(menuItem, now)) {
+      throw new AppError(`Sorry, ${menuItem.name} isn't being served right now`, 409, 'not_served');
+    }
+    if (menuItem.isSoldOut) {
+      throw new AppError(`Sorry, ${menuItem.name} is sold out`, 409, 'sold_out');
+    }
+    if (!menuItem.canFulfil(wanted)) {
+      throw new AppError(`Sorry, only ${menuItem.stock} ${menuItem.name} left`, 409, 'out_of_stock');
+    }
+
+    const existing = lines.find(line => line.lineId === lineId);
+    if (existing) {
+      existing.quantity += count;
+      return existing;
+    }
+
+    lines.push({
+      lineId,
+      menuItemId,
+      name: menuItem.name,
+      price: scheduleService.priceFor(menuItem, now) + modifiersTotal(chosenModifiers),
+      photo: menuItem.thumbnail,
+      modifiers: chosenModifiers,
+      notes: lineNotes,
+      quantity: count
+    });
+    return lines[lines.length - 1];
+  }
+
+  async findMenuItem(menuItemId, restaurantId) {
+    const menuItem = mongoose.isValidObjectId(menuItemId)
+      ? await MenuItem.findOne({ _id: menuItemId, restaurant: restaurantId })
+      : null;
+    if (!menuItem) {
+      throw new NotFoundError('Menu item not found');
+    }
+    return menuItem;
+  }
+
+  // The table an order is for, which must be open in this branch
+  async findTable(restaurantId, tableNumber) {
+    const table = Number.isInteger(tableNumber)
+      ? await Table.findOne({ restaurant: restaurantId, number: tableNumber, active: true })
+      : null;
+    if (!table) {
+      throw new AppError('Some fields are invalid', 422, 'validation_failed', [
+        { field: 'tableNumber', message: tableNumber ? 'is not a table taking orders' : 'is required' }
+      ]);
+    }
+    return table;
+  }
+
+  // ---------- API CARTS ----------
+
+  createCart(user, { tableNumber = null } = {}) {
+    return Cart.create({
+      restaurant: user.restaurant._id || user.restaurant,
+      createdBy: user._id,
+      tableNumber,
+      expiresAt: expiry()
+    });
+  }
+
+  // Carts from other branches count as not found
+  async findCart(cartId, restaurantId) {
+    const cart = mongoose.isValidObjectId(cartId)
+      ? await Cart.findOne({ _id: cartId, restaurant: restaurantId, expiresAt: { $gt: new Date() } })
+      : null;
+    if (!cart) {
+      throw new NotFoundError('Cart not found');
+    }
+    return cart;
+  }
+
+  async addItem(cart, { menuItem: menuItemId, quantity, modifiers, notes }) {
+    const menuItem = await this.findMenuItem(menuItemId, cart.restaurant);
+    const now = await scheduleService.current(cart.restaurant);
+    const line = this.addLine(cart.items, menuItem, { quantity, modifiers, notes }, now);
+    cart.expiresAt = expiry();
+    await cart.save();
+    return line;
+  }
+
+  findLine(cart, lineId) {
+    const line = cart.items.find(item => item.lineId === lineId);
+    if (!line) {
+      throw new NotFoundError('Cart line not found');
+    }
+    return line;
+  }
+
+  async updateLine(cart, lineId, { quantity }) {
+    this.findLine(cart, lineId).quantity = quantity;
+    cart.expiresAt = expiry();
+    await cart.save();
+    return cart;
+  }
+
+  async removeLine(cart, lineId) {
+    this.findLine(cart, lineId);
+    cart.items = cart.items.filter(item => item.lineId !== lineId);
+    cart.expiresAt = expiry();
+    await cart.save();
+    return cart;
+  }
+
+  // Place the cart as an order and delete it. If prices moved, the cart
+  // takes the new prices and the PriceChangedError is passed on, so the
+  // caller can confirm and check out again.
+  async checkout(cart, { tableNumber, restaurant, actor, promoCode = null }) {
+    if (cart.items.length === 0) {
+      throw new AppError('The cart is empty', 409, 'cart_empty');
+    }
+    const table = await this.findTable(restaurant._id, tableNumber || cart.tableNumber);
+
+    let order;
+    try {
+      order = await checkoutService.placeOrder(cart.items.map(line => line.toObject()), {
+        tableNumber: table.number,
+        restaurant,
+        actor,
+        promoCode
+      });
+    } catch (error) {
+      if (error instanceof PriceChangedError) {
+        checkoutService.applyPriceChanges(cart.items, error.details);
+        await cart.save();
+      }
+      throw error;
+    }
+
+    await Cart.deleteOne({ _id: cart._id });
+    return order;
+  }
+
+  // Place an order in one go from [{ menuItem, quantity, modifiers, notes }]
+  async placeOrder({ tableNumber, items, restaurant, actor, promoCode = null }) {
+    const table = await this.findTable(restaurant._id, tableNumber);
+
+    const now = await scheduleService.current(restaurant);
+    const lines = [];
+    for (const item of items) {
+      const menuItem = await this.findMenuItem(item.menuItem, restaurant._id);
+      this.addLine(lines, menuItem, item, now);
+    }
+
+    return checkoutService.placeOrder(lines, { tableNumber: table.number, restaurant, actor, promoCode });
+  }
+}
+
+// Create singleton instance
+const cartService = new CartService();
+
+module.exports = cartService;
@@ -0,0 +1,170 @@
+// services/checkoutService.js
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const Order = require('../models/Order');
+const eventStream = require('./eventStream');
+const inventoryService = require('./inventoryService');
+const stationService = require('./stationService');
+const tabService = require('./tabService');
+const deliveryService = require('./deliveryService');
+const scheduleService = require('./scheduleService');
+const promotionService = require('./promotionService');
+const taxService = require('./taxService');
+const { OutOfStockError, PriceChangedError } = require('../utils/errors');
+const { resolveModifiers, modifiersTotal } = require('../utils/modifiers');
+
+class CheckoutService {
+  // Price every cart line from the database rather than trusting the
+  // price stored in the session when the item was added, at the prices
+  // scheduled for now. Items from another branch, or on no menu being
+  // served now, count as missing.
+  // Returns the priced lines, the lines whose price moved, and the total.
+  async priceCart(cart, restaurant) {
+    const ids = cart.map(line => line.menuItemId).filter(id => mongoose.isValidObjectId(id));
+    const menuItems = await MenuItem.find({ _id: { $in: ids }, restaurant: restaurant._id });
+    const byId = new Map(menuItems.map(item => [item._id.toString(), item]));
+    const now = await scheduleService.current(restaurant);
+
+    const lines = [];
+    const priceChanges = [];
+    const missing = [];
+
+    cart.forEach(line => {
+      const menuItem = byId.get(line.menuItemId);
+      if (!menuItem || !scheduleService.isOrderable(menuItem, now)) {
+        missing.push({ menuItemId: line.menuItemId, name: line.name, requested: line.quantity, remaining: 0 });
+        return;
+      }
+
+      // Options may have been edited too; re-check them against the menu
+      const selections = (line.modifiers || []).map(({ group, option }) => ({ group, option }));
+      const modifiers = resolveModifiers(menuItem, selections);
+      const unitPrice = scheduleService.priceFor(menuItem, now) + modifiersTotal(modifiers);
+
+      if (line.price !== unitPrice) {
+        priceChanges.push({ lineId: line.lineId, name: menuItem.name, oldPrice: line.price, newPrice: unitPrice });
+      }
+
+      lines.push({
+        lineId: line.lineId,
+        menuItemId: line.menuItemId,
+        name: menuItem.name,
+        unitPrice,
+        quantity: line.quantity,
+        modifiers,
+        notes: line.notes || '',
+        category: menuItem.category,
+        taxCategory: menuItem.taxCategory
+      });
+    });
+
+    if (missing.length > 0) {
+      throw new OutOfStockError(missing);
+    }
+
+    const total = lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+
+    return { lines, priceChanges, total };
+  }
+
+  // Update session cart prices after the guest has been told about changes
+  applyPriceChanges(cart, priceChanges) {
+    priceChanges.forEach(change => {
+      const line = cart.find(l => l.lineId === change.lineId);
+      if (line) line.price = change.newPrice;
+    });
+  }
+
+  // Turn a cart into an order: reprice, apply promotions and charges, take stock, save,
+  // notify the board and queue it for the kitchen. Throws AppError subclasses
+  // for guest errors. `promoCode` is the code the guest entered, if any.
+  // `actor` is who placed it (see Order.statusHistory); by default the guest.
+  async placeOrder(cart, { tableNumber, restaurant, actor = null, promoCode = null }) {
+    const { lines, priceChanges } = await this.priceCart(cart, restaurant);
+    if (priceChanges.length > 0) {
+      throw new PriceChangedError(priceChanges);
+    }
+
+    const pricing = await taxService.addCharges(
+      restaurant,
+      lines,
+      await promotionService.evaluate(restaurant._id, lines, { code: promoCode })
+    );
+    const { discounts } = pricing;
+
+    // Every round from the table goes on its open tab. Opened before promo
+    // uses and stock are taken, so failing here leaves nothing to give back.
+    const tab = await tabService.openTabFor(restaurant._id, tableNumber);
+
+    const order = new Order({
+      restaurant: restaurant._id,
+      tableNumber,
+      tab: tab._id,
+      items: lines.map(line => ({
+        menuItem: line.menuItemId,
+        name: line.name,
+        unitPrice: line.unitPrice,
+        quantity: line.quantity,
+        modifiers: line.modifiers,
+        notes: line.notes
+      })),
+      subtotal: pricing.subtotal,
+      discounts,
+      discountTotal: pricing.discountTotal,
+      serviceChargeRate: pricing.serviceChargeRate,
+      serviceCharge: pricing.serviceCharge,
+      taxes: pricing.taxes,
+      taxTotal: pricing.taxTotal,
+      pricesIncludeTax: pricing.pricesIncludeTax,
+      total: pricing.total,
+      status: 'received'
+    });
+
+    // One ticket per kitchen station (kitchen, bar, ...), worked out before
+    // anything is taken too
+    order.tickets = await stationService.buildTickets(order);
+    order.recordCreated(actor || {
+      actorType: 'guest',
+      actor: `Table ${tableNumber}`,
+      source: 'checkout'
+    });
+
+    await promotionService.redeem(discounts);
+
+    // Take stock for every item before the order is saved
+    try {
+      await inventoryService.reserve(lines);
+    } catch (stockError) {
+      await promotionService.release(discounts);
+      throw stockError;
+    }
+
+    try {
+      await order.save();
+    } catch (saveError) {
+      await inventoryService.release(lines);
+      await promotionService.release(discounts);
+      throw saveError;
+    }
+
+    // Notify the live orders board
+    eventStream.publishOrder('order-created', order);
+
+    // Queue the tickets for the kitchen devices. The outbox keeps them until
+    // a device acknowledges, so a broker outage only delays them.
+    try {
+      await deliveryService.enqueueOrder(order, restaurant);
+      console.log(`📤 MQTT: New order queued for Table ${tableNumber}`);
+    } catch (mqttError) {
+      console.error('❌ MQTT: Failed to queue new order:', mqttError);
+      // Don't fail the order, the board flags it as not delivered
+    }
+
+    return order;
+  }
+}
+
+// Create singleton instance
+const checkoutService = new CheckoutService();
+
+module.exports = checkoutService;
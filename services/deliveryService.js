@@ -0,0 +1,239 @@
+// services/deliveryService.js
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const OutboxMessage = require('../models/OutboxMessage');
+const eventStream = require('./eventStream');
+const mqttService = require('./mqttService');
+const printerService = require('./printerService');
+const receiptService = require('./receiptService');
+const Station = require('../models/Station');
+const { encodeKitchenTicket } = require('../utils/escpos');
+
+// How often tickets that no device has acknowledged are sent again
+const RETRY_SECONDS = parseInt(process.env.DELIVERY_RETRY_SECONDS, 10) || 30;
+
+// Orders no device has acknowledged after this long are flagged on the board
+const ALERT_SECONDS = parseInt(process.env.DELIVERY_ALERT_SECONDS, 10) || 60;
+
+class DeliveryService {
+  constructor() {
+    this.timer = null;
+    this.flushing = false;
+    this.alertSeconds = ALERT_SECONDS;
+  }
+
+  // Replay the outbox whenever MQTT (re)connects, retry on a timer, and
+  // record acknowledgements from devices
+  start() {
+    mqttService.on('connected', () => this.flush({ all: true }));
+    mqttService.on('ack', (ack) => {
+      this.acknowledge(ack).catch(error => {
+        console.error('❌ Error recording delivery ack:', error);
+      });
+    });
+
+    this.timer = setInterval(() => this.flush(), RETRY_SECONDS * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Store one outbox message per station ticket, then try to send them.
+  // Stations with a printer get a printed ticket instead of an MQTT message.
+  async enqueueOrder(order, restaurant) {
+    const stations = await Station.find({ restaurant: restaurant._id, printerHost: { $nin: ['', null] } });
+    const printers = new Map(stations.map(station => [station.code, station]));
+
+    // Not due until a retry later, so the timer leaves them to the send below
+    const nextAttemptAt = new Date(Date.now() + RETRY_SECONDS * 1000);
+    const messages = await OutboxMessage.insertMany(mqttService.ticketsFor(order).map(ticket => {
+      const message = { restaurant: restaurant._id, order: order._id, stationCode: ticket.stationCode || null, nextAttemptAt };
+      const printer = printers.get(ticket.stationCode);
+
+      if (printer) {
+        return {
+          ...message,
+          transport: 'printer',
+          printerHost: printer.printerHost,
+          printerPort: printer.printerPort,
+          payload: JSON.stringify(receiptService.kitchenTicket(order, ticket))
+        };
+      }
+      return {
+        ...message,
+        topic: mqttService.topicFor(restaurant, mqttService.topics.NEW_ORDER, ticket.stationCode),
+        payload: JSON.stringify(mqttService.buildTicketMessage(order, ticket))
+      };
+    }));
+
+    // A reconnect flush may already have taken one
+    for (const message of messages) {
+      const claimed = await this.claim(message);
+      if (claimed) await this.deliver(claimed);
+    }
+    return messages;
+  }
+
+  // Printing is its own acknowledgement: once the printer has the bytes the
+  // ticket counts as delivered
+  async deliverToPrinter(message) {
+    try {
+      await printerService.print(message.printerHost, message.printerPort, encodeKitchenTicket(JSON.parse(message.payload)));
+    } catch (error) {
+      console.error(`❌ Printer ${message.printerHost}: ${error.message}, order ${message.order} will be retried`);
+      await this.scheduleRetry(message, false);
+      return false;
+    }
+
+    await this.acknowledge({
+      restaurant: { _id: message.restaurant },
+      orderId: message.order.toString(),
+      stationCode: message.stationCode,
+      deviceId: `printer:${message.printerHost}`
+    });
+    return true;
+  }
+
+  // Record an attempt and when to try again
+  scheduleRetry(message, sent) {
+    const now = new Date();
+
+    // Conditional so a fast ack isn't overwritten by this bookkeeping
+    return OutboxMessage.updateOne(
+      { _id: message._id, status: { $in: ['pending', 'sent'] } },
+      {
+        $set: {
+          ...(sent ? { status: 'sent' } : {}),
+          lastAttemptAt: now,
+          nextAttemptAt: new Date(now.getTime() + RETRY_SECONDS * 1000)
+        },
+        $inc: { attempts: 1 }
+      }
+    );
+  }
+
+  // Take a message for one delivery attempt by pushing its next attempt
+  // back. Conditional on the attempt time we read, so two senders (e.g. two
+  // flushes, or a flush and an inline send) can't both deliver it.
+  // Returns the claimed message, or null if someone else got there first.
+  claim(message) {
+    return OutboxMessage.findOneAndUpdate(
+      { _id: message._id, status: { $in: ['pending', 'sent'] }, nextAttemptAt: message.nextAttemptAt },
+      { $set: { nextAttemptAt: new Date(Date.now() + RETRY_SECONDS * 1000) } },
+      { new: true }
+    );
+  }
+
+  // Publish one outbox message. It stays in the outbox until acknowledged,
+  // so a failed publish is simply retried later.
+  async deliver(message) {
+    if (message.transport === 'printer') {
+      return this.deliverToPrinter(message);
+    }
+
+    if (!mqttService.isClientConnected()) {
+      console.log(`📥 Outbox: broker offline, order ${message.order} queued for ${message.topic}`);
+      return false;
+    }
+
+    const published = await mqttService.publish(message.topic, message.payload);
+    await this.scheduleRetry(message, published);
+    return published;
+  }
+
+  // Send every unacknowledged message that is due. `all` ignores the retry
+  // schedule for MQTT messages, used after a reconnect when devices may have
+  // missed everything; printers don't depend on the broker.
+  async flush({ all = false } = {}) {
+    if (this.flushing) return;
+    this.flushing = true;
+
+    try {
+      const due = { nextAttemptAt: { $lte: new Date() } };
+      const query = { status: { $in: ['pending', 'sent'] }, ...(all ? { $or: [{ transport: 'mqtt' }, due] } : due) };
+      // Printers don't need the broker
+      if (!mqttService.isClientConnected()) query.transport = 'printer';
+
+      const messages = await OutboxMessage.find(query).sort({ createdAt: 1 }).limit(100);
+      if (messages.length === 0) return;
+
+      const orders = await Order.find({ _id: { $in: messages.map(m => m.order) } });
+      const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+
+      let sent = 0;
+      for (const message of messages) {
+        const order = ordersById.get(message.order.toString());
+        if (!this.stillWanted(order, message.stationCode)) {
+          await OutboxMessage.updateOne({ _id: message._id, status: { $ne: 'acked' } }, { status: 'dropped' });
+          continue;
+        }
+        const claimed = await this.claim(message);
+        if (claimed && await this.deliver(claimed)) sent++;
+      }
+
+      console.log(`🔁 Outbox: re-sent ${sent} of ${messages.length} unacknowledged tickets`);
+    } catch (error) {
+      console.error('❌ Outbox flush failed:', error);
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  // No point retrying once the kitchen has moved on
+  stillWanted(order, stationCode) {
+    if (!order || !Order.ACTIVE_STATUSES.includes(order.status)) return false;
+
+    const ticket = order.tickets.find(t => t.stationCode === stationCode);
+    return !ticket || ticket.status === 'pending';
+  }
+
+  // A device confirmed it received a ticket: stop retrying and mark the
+  // ticket delivered on the order
+  async acknowledge({ restaurant, orderId, stationCode, deviceId }) {
+    if (!mongoose.isValidObjectId(orderId)) {
+      console.error(`❌ Ack ignored: invalid order ID ${orderId}`);
+      return null;
+    }
+
+    const code = stationCode || null;
+    const now = new Date();
+    const device = deviceId || 'unknown-device';
+
+    await OutboxMessage.updateMany(
+      { restaurant: restaurant._id, order: orderId, stationCode: code, status: { $in: ['pending', 'sent'] } },
+      { $set: { status: 'acked', ackedAt: now, ackedBy: device } }
+    );
+
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, restaurant: restaurant._id, tickets: { $elemMatch: { stationCode: code, deliveredAt: null } } },
+      { $set: { 'tickets.$.deliveredAt': now, 'tickets.$.deliveredTo': device } },
+      { new: true }
+    );
+
+    // Repeated acks (the device sees a retry) don't change anything
+    if (!order) return null;
+
+    const ticket = order.tickets.find(t => t.stationCode === code);
+    console.log(`📬 ${ticket.stationName} device ${device} received order ${orderId}`);
+    eventStream.publishOrder('ticket-delivered', order, {
+      stationCode: code,
+      stationName: ticket.stationName,
+      deviceId: device
+    });
+
+    return order;
+  }
+
+  // A branch's unacknowledged messages, for the IoT page
+  countWaiting(restaurantId) {
+    return OutboxMessage.countDocuments({ restaurant: restaurantId, status: { $in: ['pending', 'sent'] } });
+  }
+}
+
+// Create singleton instance
+const deliveryService = new DeliveryService();
+
+module.exports = deliveryService;
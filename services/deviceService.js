@@ -0,0 +1,148 @@
+// services/deviceService.js
+const Device = require('../models/Device');
+const Order = require('../models/Order');
+const Station = require('../models/Station');
+const eventStream = require('./eventStream');
+const mqttService = require('./mqttService');
+
+// Devices send a heartbeat every 30 seconds; after this long without one
+// they count as offline even if the broker never sent their last will
+const HEARTBEAT_TIMEOUT_SECONDS = parseInt(process.env.DEVICE_HEARTBEAT_TIMEOUT_SECONDS, 10) || 90;
+
+class DeviceService {
+  constructor() {
+    this.timer = null;
+  }
+
+  // Track heartbeats and online/offline (last will) messages from devices
+  start() {
+    mqttService.on('heartbeat', (heartbeat) => {
+      const { restaurant, deviceId, ...fields } = heartbeat;
+      this.updateDevice(restaurant._id, deviceId, true, fields).catch(error => {
+        console.error('❌ Error recording device heartbeat:', error);
+      });
+    });
+    mqttService.on('device-status', ({ restaurant, deviceId, online }) => {
+      this.updateDevice(restaurant._id, deviceId, online).catch(error => {
+        console.error('❌ Error recording device status:', error);
+      });
+    });
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('❌ Device sweep failed:', error));
+    }, 30000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Record a device as online or offline, and alert staff when a station
+  // loses its last display. The branch comes from the topic the device
+  // used, so a display moved to another branch follows it.
+  async updateDevice(restaurantId, deviceId, online, fields = {}) {
+    const now = new Date();
+    const update = { ...fields, restaurant: restaurantId, online };
+    if (online) update.lastSeenAt = now;
+
+    const previous = await Device.findOneAndUpdate(
+      { deviceId },
+      { $set: update },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    // Heartbeats from a device we already know is online change nothing else
+    if (previous && previous.online === online) return;
+
+    const device = await Device.findOneAndUpdate(
+      { deviceId },
+      { $set: online ? { lastOnlineAt: now } : { lastOfflineAt: now } },
+      { new: true }
+    );
+
+    console.log(`${online ? '🟢' : '🔴'} Device ${deviceId} (${device.stationCode || 'kitchen'}) is ${online ? 'online' : 'offline'}`);
+    eventStream.publish('device-status', {
+      restaurantId: restaurantId.toString(),
+      deviceId,
+      stationCode: device.stationCode,
+      online,
+      lastSeenAt: device.lastSeenAt
+    });
+
+    await this.checkStation(restaurantId, device.stationCode);
+  }
+
+  // Mark devices offline when their heartbeats stop. Skipped while our own
+  // connection is down, since we'd just be missing their messages.
+  async sweep() {
+    if (!mqttService.isClientConnected()) return;
+
+    const cutoff = new Date(Date.now() - HEARTBEAT_TIMEOUT_SECONDS * 1000);
+    const stale = await Device.find({ online: true, lastSeenAt: { $lt: cutoff } });
+    for (const device of stale) {
+      await this.updateDevice(device.restaurant, device.deviceId, false);
+    }
+  }
+
+  // Orders are open, so a missing display means tickets nobody will see
+  inService(restaurantId) {
+    return Order.exists({ restaurant: restaurantId, status: { $in: Order.ACTIVE_STATUSES } });
+  }
+
+  // Display name for a station code; null is the default kitchen
+  async stationName(restaurantId, stationCode) {
+    if (!stationCode) return 'Kitchen';
+    const station = await Station.findOne({ restaurant: restaurantId, code: stationCode });
+    return station ? station.name : stationCode;
+  }
+
+  // Alert shown on the boards for a station with no display online
+  async buildAlert(restaurantId, stationCode, active) {
+    const stationName = await this.stationName(restaurantId, stationCode);
+    return {
+      restaurantId: restaurantId.toString(),
+      stationCode,
+      stationName,
+      active,
+      message: `No ${stationName} display is online. New tickets won't be seen until one reconnects.`
+    };
+  }
+
+  // Raise or clear the alert for one station on the live boards
+  async checkStation(restaurantId, stationCode) {
+    const onlineCount = await Device.countDocuments({ restaurant: restaurantId, stationCode, online: true });
+    const alert = await this.buildAlert(restaurantId, stationCode, onlineCount === 0 && Boolean(await this.inService(restaurantId)));
+
+    if (alert.active) {
+      console.warn(`🚨 No ${alert.stationName} display online while orders are open`);
+    }
+    eventStream.publish('device-alert', alert);
+  }
+
+  // Current alerts, for pages that render before any event arrives
+  async currentAlerts(restaurantId) {
+    if (!(await this.inService(restaurantId))) return [];
+
+    const devices = await Device.find({ restaurant: restaurantId });
+    const stationCodes = [...new Set(devices.map(d => d.stationCode || null))];
+    const alerts = [];
+
+    for (const stationCode of stationCodes) {
+      if (devices.some(d => (d.stationCode || null) === stationCode && d.online)) continue;
+      alerts.push(await this.buildAlert(restaurantId, stationCode, true));
+    }
+    return alerts;
+  }
+
+  // A branch's registry for the IoT page, online devices first
+  listDevices(restaurantId) {
+    return Device.find({ restaurant: restaurantId }).sort({ online: -1, stationCode: 1, deviceId: 1 });
+  }
+}
+
+// Create singleton instance
+const deviceService = new DeviceService();
+
+module.exports = deviceService;
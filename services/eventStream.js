@@ -0,0 +1,65 @@
+// services/eventStream.js
+const EventEmitter = require('events');
+
+// Keep idle connections open through proxies that drop silent sockets
+const HEARTBEAT_INTERVAL = 25000;
+
+class EventStream extends EventEmitter {
+  constructor() {
+    super();
+    // Every open browser tab is a listener, so don't warn past the default 10
+    this.setMaxListeners(0);
+  }
+
+  // Broadcast an event to every connected client
+  publish(type, data) {
+    this.emit('event', { type, data, at: new Date().toISOString() });
+  }
+
+  // Broadcast an order event with a small summary of the order
+  publishOrder(type, order, extra = {}) {
+    if (!order) return;
+
+    this.publish(type, {
+      restaurantId: order.restaurant ? order.restaurant.toString() : null,
+      orderId: order._id.toString(),
+      tableNumber: order.tableNumber,
+      status: order.status,
+      total: order.total,
+      ...extra
+    });
+  }
+
+  // Turn an Express response into a Server-Sent Events stream.
+  // `filter` decides which events this client receives.
+  subscribe(req, res, filter = () => true) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // disable nginx buffering
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const listener = (event) => {
+      if (!filter(event)) return;
+      res.write(`event: ${event.type}\n`);
+      res.write(`data: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+    };
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+    this.on('event', listener);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.off('event', listener);
+    });
+  }
+}
+
+// Create singleton instance
+const eventStream = new EventStream();
+
+module.exports = eventStream;
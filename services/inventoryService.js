@@ -0,0 +1,83 @@
+// services/inventoryService.js
+const MenuItem = require('../models/MenuItem');
+const { OutOfStockError } = require('../utils/errors');
+
+class InventoryService {
+  // Sum quantities per menu item (the same dish can appear on several lines)
+  groupLines(lines) {
+    const grouped = new Map();
+    lines.forEach(line => {
+      const id = line.menuItemId.toString();
+      const existing = grouped.get(id);
+      if (existing) {
+        existing.quantity += line.quantity;
+      } else {
+        grouped.set(id, { menuItemId: id, name: line.name, quantity: line.quantity });
+      }
+    });
+    return [...grouped.values()];
+  }
+
+  // Take stock for every line, all or nothing.
+  // Each decrement is a single conditional update so two guests can't both
+  // get the last portion. Throws OutOfStockError listing every failing item.
+  async reserve(lines) {
+    const reserved = [];
+    const unavailable = [];
+
+    for (const line of this.groupLines(lines)) {
+      const tracked = await MenuItem.findOneAndUpdate(
+        { _id: line.menuItemId, available: true, stock: { $gte: line.quantity } },
+        { $inc: { stock: -line.quantity } },
+        { new: true }
+      );
+
+      if (tracked) {
+        reserved.push(line);
+        continue;
+      }
+
+      // Items without a stock count only need to be available
+      const item = await MenuItem.findById(line.menuItemId);
+      if (item && item.available && (item.stock === null || item.stock === undefined)) {
+        continue;
+      }
+
+      unavailable.push({
+        menuItemId: line.menuItemId,
+        name: item ? item.name : line.name,
+        requested: line.quantity,
+        remaining: item && item.available ? item.stock || 0 : 0
+      });
+    }
+
+    if (unavailable.length > 0) {
+      await this.release(reserved);
+      throw new OutOfStockError(unavailable);
+    }
+  }
+
+  // Put stock back, e.g. when an order is cancelled or fails to save
+  async release(lines) {
+    for (const line of this.groupLines(lines)) {
+      await MenuItem.updateOne(
+        { _id: line.menuItemId, stock: { $ne: null } },
+        { $inc: { stock: line.quantity } }
+      );
+    }
+  }
+
+  // Lines in the shape reserve/release expect, from a saved order
+  linesForOrder(order) {
+    return order.items.map(item => ({
+      menuItemId: item.menuItem._id || item.menuItem,
+      name: item.name,
+      quantity: item.quantity
+    }));
+  }
+}
+
+// Create singleton instance
+const inventoryService = new InventoryService();
+
+module.exports = inventoryService;
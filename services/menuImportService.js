@@ -0,0 +1,404 @@
+// services/menuImportService.js
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const Station = require('../models/Station');
+const Menu = require('../models/Menu');
+const Restaurant = require('../models/Restaurant');
+const photoService = require('./photoService');
+const { AppError } = require('../utils/errors');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { parseModifierGroups, formatModifierGroups } = require('../utils/modifiers');
+
+// Column order for CSV export; imports accept them in any order
+const COLUMNS = ['sku', 'name', 'category', 'price', 'photo', 'available', 'stock', 'station', 'taxCategory', 'menus', 'modifiers'];
+
+// Fields an import compares to decide whether an item changed
+const COMPARED = ['name', 'category', 'price', 'photo', 'available', 'stock', 'station', 'taxCategory', 'menus', 'modifiers'];
+
+// Fields the floor changes during service. The file's values are most likely
+// out of date by the time it comes back, so updates keep the live ones
+// unless the import asks to overwrite them.
+const LIVE_FIELDS = ['stock', 'available'];
+
+const MAX_ROWS = 2000;
+
+class MenuImportService {
+  constructor() {
+    this.transactions = undefined; // known after the first import
+  }
+
+  // The branch's menu as plain rows. Stations are exported by code, timed
+  // menus by name and modifiers in the admin textarea format, so the file is
+  // editable by hand.
+  async exportRows(restaurantId) {
+    const items = await MenuItem.find({ restaurant: restaurantId }).sort({ category: 1, name: 1 });
+    const stations = await Station.find({ restaurant: restaurantId });
+    const codes = new Map(stations.map(station => [String(station._id), station.code]));
+    const menus = await Menu.find({ restaurant: restaurantId });
+    const menuNames = new Map(menus.map(menu => [String(menu._id), menu.name]));
+
+    return items.map(item => ({
+      sku: item.sku || '',
+      name: item.name,
+      category: item.category,
+      price: item.price,
+      photo: item.photo,
+      available: item.available,
+      stock: item.stock === null || item.stock === undefined ? null : item.stock,
+      station: item.station ? codes.get(String(item.station)) || '' : '',
+      taxCategory: item.taxCategory || '',
+      menus: (item.menus || []).map(id => menuNames.get(String(id))).filter(Boolean),
+      modifiers: formatModifierGroups(item.modifierGroups)
+    }));
+  }
+
+  toCsv(rows) {
+    return toCsv([
+      COLUMNS,
+      ...rows.map(row => COLUMNS.map(column => {
+        if (column === 'available') return row.available ? 'yes' : 'no';
+        if (column === 'menus') return row.menus.join(' | ');
+        if (column === 'modifiers') return row.modifiers.split('\n').join(' | ');
+        return row[column];
+      }))
+    ]);
+  }
+
+  toJson(rows) {
+    return JSON.stringify({ items: rows }, null, 2);
+  }
+
+  // Uploaded text to [{ line, values }], values keyed by column name
+  parse(format, text) {
+    if (!text || !text.trim()) {
+      throw new AppError('The file is empty');
+    }
+
+    let rows;
+    if (format === 'json') {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw new AppError(`Not valid JSON: ${error.message}`);
+      }
+      const items = Array.isArray(data) ? data : data && data.items;
+      if (!Array.isArray(items)) {
+        throw new AppError('JSON should be a list of items, or { "items": [...] }');
+      }
+      rows = items.map((values, index) => ({ line: index + 1, values: values || {} }));
+    } else {
+      const [header, ...body] = parseCsv(text);
+      // Column names match whatever their case, e.g. taxCategory or taxcategory
+      const names = new Map(COLUMNS.map(column => [column.toLowerCase(), column]));
+      const columns = header.cells.map(cell => names.get(cell.trim().toLowerCase()) || cell.trim().toLowerCase());
+      if (!columns.includes('name')) {
+        throw new AppError(`The first row should name the columns: ${COLUMNS.join(', ')}`);
+      }
+      rows = body.map(({ line, cells }) => ({
+        line,
+        values: Object.fromEntries(columns.map((column, i) => [column, cells[i] === undefined ? '' : cells[i]]))
+      }));
+    }
+
+    if (rows.length > MAX_ROWS) {
+      throw new AppError(`Imports are limited to ${MAX_ROWS} items`);
+    }
+    return rows;
+  }
+
+  // One row's values as menu item fields. `existing` fills in what a row
+  // leaves blank on an update (the photo), and the tax category and menus
+  // when the file has no such column (files exported before they existed).
+  // `branch` holds the branch's stations by code, menus by lower-case name
+  // and tax category names. Throws AppError on bad values.
+  rowToItem(values, branch, existing) {
+    const text = value => (value === null || value === undefined ? '' : String(value).trim());
+
+    const name = text(values.name);
+    if (!name) throw new AppError('Name is required');
+
+    const priceText = text(values.price);
+    const price = Number(priceText);
+    if (priceText === '' || !Number.isFinite(price) || price < 0) {
+      throw new AppError(`Price "${priceText}" should be a number, 0 or more`);
+    }
+
+    const photo = text(values.photo) || (existing ? existing.photo : '');
+    if (!photo) throw new AppError('Photo URL is required for new items');
+
+    const availableText = text(values.available).toLowerCase();
+    if (!['', 'yes', 'no', 'true', 'false', '1', '0'].includes(availableText)) {
+      throw new AppError(`Available "${values.available}" should be yes or no`);
+    }
+
+    const stockText = text(values.stock);
+    const stock = stockText === '' ? null : Number(stockText);
+    if (stock !== null && (!Number.isInteger(stock) || stock < 0)) {
+      throw new AppError(`Stock "${stockText}" should be a whole number, or empty to not track`);
+    }
+
+    const stationCode = text(values.station).toUpperCase();
+    const station = stationCode ? branch.stationsByCode.get(stationCode) : null;
+    if (stationCode && !station) {
+      throw new AppError(`Unknown station "${stationCode}"`);
+    }
+
+    let taxCategory = existing ? existing.taxCategory || '' : '';
+    if (values.taxCategory !== undefined) {
+      taxCategory = text(values.taxCategory);
+      if (taxCategory && !branch.taxCategories.includes(taxCategory)) {
+        throw new AppError(`Unknown tax category "${taxCategory}"`);
+      }
+    }
+
+    let menus = existing ? (existing.menus || []).map(String) : [];
+    if (values.menus !== undefined) {
+      // JSON may carry a list of names, CSV separates them with |
+      const names = (Array.isArray(values.menus) ? values.menus : text(values.menus).split('|'))
+        .map(text)
+        .filter(Boolean);
+      menus = names.map(name => {
+        const menu = branch.menusByName.get(name.toLowerCase());
+        if (!menu) throw new AppError(`Unknown menu "${name}"`);
+        return String(menu._id);
+      });
+    }
+
+    // JSON may carry the structured groups, CSV carries the text format
+    const modifierGroups = Array.isArray(values.modifierGroups)
+      ? values.modifierGroups
+      : parseModifierGroups(text(values.modifiers).split(/\s*\|\s*/).join('\n'));
+
+    return {
+      sku: text(values.sku) || undefined,
+      name,
+      category: text(values.category) || 'General',
+      price,
+      photo,
+      available: !['no', 'false', '0'].includes(availableText),
+      stock,
+      station: station ? station._id : null,
+      taxCategory,
+      menus: [...new Set(menus)],
+      modifierGroups
+    };
+  }
+
+  // Comparable form of an item, for spotting what an update changes
+  comparable(item, branch) {
+    return {
+      name: item.name,
+      category: item.category,
+      price: item.price,
+      photo: item.photo,
+      available: item.available,
+      stock: item.stock === undefined ? null : item.stock,
+      station: item.station ? String(item.station) : null,
+      taxCategory: item.taxCategory || '',
+      // By name, so the preview can show them
+      menus: (item.menus || []).map(id => branch.menuNames.get(String(id)) || String(id)).sort().join(', '),
+      modifiers: formatModifierGroups(item.modifierGroups)
+    };
+  }
+
+  // Work out what an import would do, without changing anything.
+  // Rows match existing items by SKU, then by name (case-insensitive).
+  // With `deleteMissing`, items that no row matched are deleted. Without
+  // `updateStock`, existing items keep their stock and availability.
+  async plan(restaurantId, rows, { deleteMissing = false, updateStock = false } = {}) {
+    const items = await MenuItem.find({ restaurant: restaurantId });
+    const stations = await Station.find({ restaurant: restaurantId });
+    const menus = await Menu.find({ restaurant: restaurantId });
+    const restaurant = await Restaurant.findById(restaurantId);
+    const branch = {
+      stationsByCode: new Map(stations.map(station => [station.code, station])),
+      menusByName: new Map(menus.map(menu => [menu.name.trim().toLowerCase(), menu])),
+      menuNames: new Map(menus.map(menu => [String(menu._id), menu.name])),
+      taxCategories: restaurant ? restaurant.taxCategories.map(category => category.name) : []
+    };
+
+    const bySku = new Map(items.filter(item => item.sku).map(item => [item.sku, item]));
+    const byName = new Map(items.map(item => [item.name.trim().toLowerCase(), item]));
+
+    const result = { creates: [], updates: [], unchanged: [], deletes: [], errors: [] };
+    const matched = new Set();
+    const seenSkus = new Map();
+    const seenNames = new Map();
+
+    rows.forEach(({ line, values }) => {
+      try {
+        const sku = String(values.sku || '').trim();
+        const nameKey = String(values.name || '').trim().toLowerCase();
+
+        if (sku && seenSkus.has(sku)) throw new AppError(`SKU "${sku}" is also on line ${seenSkus.get(sku)}`);
+        if (nameKey && seenNames.has(nameKey)) throw new AppError(`"${values.name}" is also on line ${seenNames.get(nameKey)}`);
+        if (sku) seenSkus.set(sku, line);
+        if (nameKey) seenNames.set(nameKey, line);
+
+        // An item with a different SKU isn't the same item, even by name
+        let existing = sku ? bySku.get(sku) : null;
+        if (!existing) {
+          const named = byName.get(nameKey);
+          if (named && (!sku || !named.sku)) existing = named;
+        }
+        if (existing && matched.has(String(existing._id))) {
+          throw new AppError(`Matches "${existing.name}", which another line already updates`);
+        }
+
+        const data = this.rowToItem(values, branch, existing);
+        const doc = new MenuItem({ ...data, restaurant: restaurantId });
+        const validationError = doc.validateSync();
+        if (validationError) {
+          throw new AppError(Object.values(validationError.errors).map(e => e.message).join('; '));
+        }
+        data.modifierGroups = doc.toObject().modifierGroups; // as the schema cast them
+
+        if (!existing) {
+          result.creates.push({ line, data });
+          return;
+        }
+        if (!updateStock) {
+          LIVE_FIELDS.forEach(field => { data[field] = existing[field] === undefined ? null : existing[field]; });
+        }
+
+        matched.add(String(existing._id));
+        const before = this.comparable(existing, branch);
+        const after = this.comparable(data, branch);
+        const changes = COMPARED.filter(field => before[field] !== after[field]);
+        if (data.sku && data.sku !== existing.sku) changes.unshift('sku');
+
+        if (changes.length === 0) {
+          result.unchanged.push({ line, item: existing });
+        } else {
+          result.updates.push({ line, item: existing, data, changes, before, after });
+        }
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        result.errors.push({ line, message: error.message });
+      }
+    });
+
+    if (deleteMissing) {
+      result.deletes = items.filter(item => !matched.has(String(item._id)));
+    }
+
+    return result;
+  }
+
+  // The item fields an update writes: only the ones that changed
+  changedFields(update) {
+    return update.changes.map(change => (change === 'modifiers' ? 'modifierGroups' : change));
+  }
+
+  // Whether the database can run the import as one transaction. A replica
+  // set or a sharded cluster can; a standalone server can't.
+  async supportsTransactions() {
+    if (this.transactions === undefined) {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      this.transactions = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    }
+    return this.transactions;
+  }
+
+  // Apply a plan, all or nothing. Where the database has transactions the
+  // import is one; otherwise a failed write has what was already written
+  // undone field by field, and a crash part way through can leave the import
+  // half done (importing the same file again finishes it, since rows match
+  // the items by SKU or name).
+  async apply(restaurantId, plan) {
+    if (plan.errors.length > 0) {
+      throw new AppError('Fix the errors before importing');
+    }
+
+    // IDs are picked up front so a half-finished insert can be found again
+    const creates = plan.creates.map(create => ({ ...create.data, _id: new mongoose.Types.ObjectId(), restaurant: restaurantId }));
+
+    try {
+      if (await this.supportsTransactions()) {
+        const session = await mongoose.startSession();
+        try {
+          await session.withTransaction(() => this.write(restaurantId, plan, creates, { session }));
+        } finally {
+          await session.endSession();
+        }
+      } else {
+        const updated = [];
+        try {
+          await this.write(restaurantId, plan, creates, { updated });
+        } catch (error) {
+          console.error('❌ Menu import failed, rolling back:', error.message);
+          await this.rollback(restaurantId, creates.map(item => item._id), updated, plan.deletes);
+          throw error;
+        }
+      }
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('Another item already uses one of these SKUs. Nothing was imported.');
+      }
+      throw error;
+    }
+
+    // Uploaded photos the import replaced or deleted
+    for (const item of [...plan.updates.map(update => update.item), ...plan.deletes]) {
+      await photoService.remove(item.photo);
+    }
+
+    console.log(`📥 Menu import: ${plan.creates.length} created, ${plan.updates.length} updated, ${plan.deletes.length} deleted`);
+    return {
+      created: plan.creates.length,
+      updated: plan.updates.length,
+      deleted: plan.deletes.length
+    };
+  }
+
+  // Make a plan's changes, within `session` if there is one. Applied
+  // updates are added to `updated` for a rollback.
+  async write(restaurantId, plan, creates, { session = null, updated = [] } = {}) {
+    for (const update of plan.updates) {
+      const fields = this.changedFields(update);
+      await MenuItem.updateOne(
+        { _id: update.item._id, restaurant: restaurantId },
+        { $set: Object.fromEntries(fields.map(field => [field, update.data[field]])) },
+        { runValidators: true, session }
+      );
+      updated.push(update);
+    }
+    if (creates.length > 0) {
+      await MenuItem.insertMany(creates, { ordered: true, session });
+    }
+    if (plan.deletes.length > 0) {
+      await MenuItem.deleteMany({ _id: { $in: plan.deletes.map(item => item._id) }, restaurant: restaurantId }, { session });
+    }
+  }
+
+  // Undo a partly applied import: remove what it created, put back the
+  // fields it updated and bring back deleted items that are gone
+  async rollback(restaurantId, created, updated, deleted) {
+    await MenuItem.deleteMany({ _id: { $in: created }, restaurant: restaurantId });
+
+    for (const update of updated) {
+      const $set = {};
+      const $unset = {};
+      this.changedFields(update).forEach(field => {
+        const value = update.item.get(field);
+        if (value === undefined) $unset[field] = 1;
+        else $set[field] = value;
+      });
+      await MenuItem.updateOne(
+        { _id: update.item._id, restaurant: restaurantId },
+        Object.keys($unset).length > 0 ? { $set, $unset } : { $set }
+      );
+    }
+
+    for (const item of deleted) {
+      const { _id, ...fields } = item.toObject();
+      await MenuItem.updateOne({ _id }, { $setOnInsert: fields }, { upsert: true });
+    }
+  }
+}
+
+// Create singleton instance
+const menuImportService = new MenuImportService();
+
+module.exports = menuImportService;
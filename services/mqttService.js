@@ -1,19 +1,64 @@
 // services/mqttService.js
+const EventEmitter = require('events');
 const mqtt = require('mqtt');
-const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const orderService = require('./orderService');
+const { AppError } = require('../utils/errors');
+const { compactModifiers } = require('../utils/modifiers');
 
-class MQTTService {
+// Emits 'connected' on every (re)connect, 'ack' when a device confirms it
+// received a ticket, and 'heartbeat' / 'device-status' for the device registry
+class MQTTService extends EventEmitter {
   constructor() {
+    super();
     this.client = null;
     this.isConnected = false;
+
+    // Active branches and the topic prefixes we're subscribed to
+    this.restaurants = [];
+    this.subscribedPrefixes = new Set();
     
-    // MQTT Topics
+    // MQTT Topics, relative to each branch's prefix (KY/RESTO/ORDER/NEW).
+    // Stations append their code, e.g. KY/RESTO/ORDER/NEW/BAR; the bare
+    // topics serve the default kitchen.
     this.topics = {
-      NEW_ORDER: 'KY/RESTO/ORDER/NEW',
-      ORDER_DONE: 'KY/RESTO/ORDER/DONE'
+      NEW_ORDER: 'ORDER/NEW',
+      ORDER_DONE: 'ORDER/DONE',
+      ORDER_ACK: 'ORDER/ACK',
+      // Devices append their ID, e.g. KY/RESTO/DEVICE/STATUS/ESP-1A2B3C
+      DEVICE_HEARTBEAT: 'DEVICE/HEARTBEAT',
+      DEVICE_STATUS: 'DEVICE/STATUS'
     };
   }
 
+  // Topic for a station, or the bare topic for the default kitchen
+  stationTopic(baseTopic, stationCode) {
+    return stationCode ? `${baseTopic}/${stationCode}` : baseTopic;
+  }
+
+  // Full topic for a branch, e.g. topicFor(branch, 'ORDER/NEW', 'BAR')
+  topicFor(restaurant, topic, stationCode = null) {
+    return this.stationTopic(`${restaurant.topicPrefix}/${topic}`, stationCode);
+  }
+
+  // Every topic for a branch, for the admin pages
+  topicsFor(restaurant) {
+    const topics = {};
+    Object.entries(this.topics).forEach(([key, topic]) => {
+      topics[key] = this.topicFor(restaurant, topic);
+    });
+    return topics;
+  }
+
+  // The branch a topic belongs to, and the rest of the topic after its prefix
+  matchTopic(topic) {
+    const restaurant = this.restaurants
+      .filter(r => topic.startsWith(`${r.topicPrefix}/`))
+      .sort((a, b) => b.topicPrefix.length - a.topicPrefix.length)[0];
+
+    return restaurant ? { restaurant, path: topic.slice(restaurant.topicPrefix.length + 1) } : null;
+  }
+
   // Initialize MQTT connection
   async connect() {
     try {
@@ -35,7 +80,11 @@ class MQTTService {
       this.client.on('connect', () => {
         console.log('✅ MQTT Connected successfully');
         this.isConnected = true;
-        this.subscribeToTopics();
+        // Clean sessions start with no subscriptions
+        this.subscribedPrefixes.clear();
+        this.refreshSubscriptions()
+          .catch(error => console.error('❌ Failed to load restaurants for MQTT:', error))
+          .then(() => this.emit('connected'));
       });
 
       this.client.on('error', (error) => {
@@ -61,132 +110,270 @@ class MQTTService {
     }
   }
 
-  // Subscribe to necessary topics
-  subscribeToTopics() {
-    if (!this.client || !this.isConnected) {
-      console.error('❌ MQTT client not connected');
-      return;
-    }
+  // Reload the active branches and match our subscriptions to their
+  // prefixes. Called on connect and whenever a branch is added or changed.
+  async refreshSubscriptions() {
+    this.restaurants = await Restaurant.find({ active: true });
+    if (!this.client || !this.isConnected) return;
 
-    // Subscribe to order completion topic
-    this.client.subscribe(this.topics.ORDER_DONE, (error) => {
+    const prefixes = new Set(this.restaurants.map(r => r.topicPrefix));
+    this.subscribedPrefixes.forEach(prefix => {
+      if (!prefixes.has(prefix)) this.unsubscribeFromPrefix(prefix);
+    });
+    prefixes.forEach(prefix => {
+      if (!this.subscribedPrefixes.has(prefix)) this.subscribeToPrefix(prefix);
+    });
+  }
+
+  // Topics we listen on under one prefix: order completion and receipt
+  // (default kitchen and every station), device heartbeats and status
+  prefixSubscriptions(prefix) {
+    return [
+      ...[this.topics.ORDER_DONE, this.topics.ORDER_ACK].flatMap(base => [`${prefix}/${base}`, `${prefix}/${base}/+`]),
+      `${prefix}/${this.topics.DEVICE_HEARTBEAT}/+`,
+      `${prefix}/${this.topics.DEVICE_STATUS}/+`
+    ];
+  }
+
+  subscribeToPrefix(prefix) {
+    this.subscribedPrefixes.add(prefix);
+    this.prefixSubscriptions(prefix).forEach(topic => {
+      this.client.subscribe(topic, (error) => {
+        if (error) {
+          console.error(`❌ Failed to subscribe to ${topic}:`, error);
+        } else {
+          console.log(`✅ Subscribed to topic: ${topic}`);
+        }
+      });
+    });
+  }
+
+  unsubscribeFromPrefix(prefix) {
+    this.subscribedPrefixes.delete(prefix);
+    this.client.unsubscribe(this.prefixSubscriptions(prefix), (error) => {
       if (error) {
-        console.error('❌ Failed to subscribe to ORDER_DONE topic:', error);
+        console.error(`❌ Failed to unsubscribe from ${prefix}:`, error);
       } else {
-        console.log(`✅ Subscribed to topic: ${this.topics.ORDER_DONE}`);
+        console.log(`🔕 Unsubscribed from ${prefix}`);
       }
     });
   }
 
-  // Handle incoming MQTT messages
+  // Handle incoming MQTT messages: find the branch from the topic prefix,
+  // then dispatch on the rest of the topic
   async handleIncomingMessage(topic, message) {
     try {
       console.log(`📨 Received MQTT message on topic: ${topic}`);
+
+      const match = this.matchTopic(topic);
+      if (!match) {
+        console.error(`❌ No restaurant uses the topic ${topic}; ignoring`);
+        return;
+      }
+      const { restaurant, path } = match;
       
-      if (topic === this.topics.ORDER_DONE) {
-        await this.handleOrderDone(message);
+      if (path === this.topics.ORDER_DONE) {
+        await this.handleOrderDone(message, null, restaurant);
+      } else if (path.startsWith(`${this.topics.ORDER_DONE}/`)) {
+        await this.handleOrderDone(message, path.slice(this.topics.ORDER_DONE.length + 1), restaurant);
+      } else if (path === this.topics.ORDER_ACK) {
+        this.handleOrderAck(message, null, restaurant);
+      } else if (path.startsWith(`${this.topics.ORDER_ACK}/`)) {
+        this.handleOrderAck(message, path.slice(this.topics.ORDER_ACK.length + 1), restaurant);
+      } else if (path.startsWith(`${this.topics.DEVICE_HEARTBEAT}/`)) {
+        this.handleHeartbeat(message, path.slice(this.topics.DEVICE_HEARTBEAT.length + 1), restaurant);
+      } else if (path.startsWith(`${this.topics.DEVICE_STATUS}/`)) {
+        this.handleDeviceStatus(message, path.slice(this.topics.DEVICE_STATUS.length + 1), restaurant);
       }
     } catch (error) {
       console.error('❌ Error handling MQTT message:', error);
     }
   }
 
-  // Handle order completion from IoT device
-  async handleOrderDone(message) {
+  // Parse the order ID (and the sending device, if given) from a device message
+  parseDeviceMessage(messageStr) {
+    try {
+      const parsed = JSON.parse(messageStr);
+      return { orderId: parsed.orderId || parsed.id || parsed._id, deviceId: parsed.deviceId };
+    } catch (parseError) {
+      // If not JSON, treat the entire message as order ID
+      return { orderId: messageStr.trim(), deviceId: undefined };
+    }
+  }
+
+  // A device confirmed it received a ticket; the delivery service records it
+  handleOrderAck(message, stationCode, restaurant) {
+    const { orderId, deviceId } = this.parseDeviceMessage(message.toString());
+    if (!orderId) {
+      console.error('❌ No order ID found in ack message');
+      return;
+    }
+
+    console.log(`📬 Ack for order ${orderId} from ${deviceId || 'unknown device'}`);
+    this.emit('ack', { restaurant, orderId, stationCode, deviceId });
+  }
+
+  // Periodic device heartbeat:
+  // {"station":"BAR","firmware":"1.4.0","freeHeap":21000,"queue":2,"rssi":-61}
+  handleHeartbeat(message, deviceId, restaurant) {
+    let parsed;
+    try {
+      parsed = JSON.parse(message.toString());
+    } catch (parseError) {
+      console.error(`❌ Invalid heartbeat from ${deviceId}`);
+      return;
+    }
+
+    this.emit('heartbeat', {
+      restaurant,
+      deviceId,
+      stationCode: parsed.station || null,
+      firmwareVersion: parsed.firmware,
+      freeHeap: parsed.freeHeap,
+      queueLength: parsed.queue,
+      rssi: parsed.rssi
+    });
+  }
+
+  // "online" when a device connects, "offline" from its last will
+  handleDeviceStatus(message, deviceId, restaurant) {
+    const status = message.toString().trim();
+    if (status !== 'online' && status !== 'offline') {
+      console.error(`❌ Unknown status "${status}" from ${deviceId}`);
+      return;
+    }
+
+    this.emit('device-status', { restaurant, deviceId, online: status === 'online' });
+  }
+
+  // Handle order completion from IoT device. `stationCode` comes from the
+  // topic; null is the default kitchen. Only the branch's own orders match.
+  async handleOrderDone(message, stationCode, restaurant) {
     try {
       const messageStr = message.toString();
       console.log(`🍳 Order completion message: ${messageStr}`);
       
-      // Parse the order ID from the message
-      let orderId;
-      try {
-        const parsed = JSON.parse(messageStr);
-        orderId = parsed.orderId || parsed.id || parsed._id;
-      } catch (parseError) {
-        // If not JSON, treat the entire message as order ID
-        orderId = messageStr.trim();
-      }
+      const { orderId, deviceId } = this.parseDeviceMessage(messageStr);
 
       if (!orderId) {
         console.error('❌ No order ID found in completion message');
         return;
       }
 
-      // Update order status to 'served'
-      const updatedOrder = await Order.findByIdAndUpdate(
-        orderId,
-        { status: 'served' },
-        { new: true }
-      ).populate('items.menuItem');
+      // Complete this station's ticket; the order is served once all are done
+      const updatedOrder = await orderService.completeTicket(orderId, stationCode, {
+        actorType: 'device',
+        actor: deviceId || 'unknown-device',
+        source: 'mqtt'
+      }, restaurant._id);
 
-      if (updatedOrder) {
+      if (updatedOrder.status === 'served') {
         console.log(`✅ Order ${orderId} marked as served`);
         console.log(`📋 Table ${updatedOrder.tableNumber} - Order completed`);
-      } else {
-        console.error(`❌ Order ${orderId} not found`);
       }
 
     } catch (error) {
+      if (error instanceof AppError) {
+        // Unknown order, or a repeated/late DONE message for a finished order
+        console.error(`❌ Order completion ignored: ${error.message}`);
+        return;
+      }
       console.error('❌ Error processing order completion:', error);
     }
   }
 
-  // Publish new order to IoT devices
-  async publishNewOrder(order) {
+  // Publish new order to IoT devices: one ticket per station, each on its
+  // own topic
+  async publishNewOrder(order, restaurant) {
     if (!this.client || !this.isConnected) {
       console.error('❌ MQTT client not connected - cannot publish order');
       return false;
     }
 
     try {
-      // Minimal order data - ONLY what Arduino reads (optimized for ESP8266 memory)
-      const orderData = {
-        orderId: order._id.toString(),
-        tableNumber: order.tableNumber,
-        items: order.items.map(item => ({
-          name: item.menuItem.name.length > 15 ? 
-                item.menuItem.name.substring(0, 15) : 
-                item.menuItem.name, // Truncate to fit LCD display (20 chars max)
+      const results = await Promise.all(this.ticketsFor(order).map(ticket => this.publishTicket(order, ticket, restaurant)));
+      return results.every(Boolean);
+    } catch (error) {
+      console.error('❌ Error publishing new order:', error);
+      return false;
+    }
+  }
+
+  // An order's station tickets. Orders without tickets go to the default
+  // kitchen whole.
+  ticketsFor(order) {
+    return order.tickets && order.tickets.length > 0
+      ? order.tickets
+      : [{ stationCode: null, items: order.items.map((item, index) => index) }];
+  }
+
+  // Minimal order data - ONLY what Arduino reads (optimized for ESP8266 memory)
+  buildTicketMessage(order, ticket) {
+    return {
+      orderId: order._id.toString(),
+      tableNumber: order.tableNumber,
+      items: ticket.items.map(index => {
+        const item = order.items[index];
+        const lcdItem = {
+          name: item.name.length > 15 ? 
+                item.name.substring(0, 15) : 
+                item.name, // Truncate to fit LCD display (20 chars max)
           quantity: item.quantity
-          // Removed: notes, not used by Arduino
           // Removed: price, not displayed by Arduino
-        }))
-        // Removed: timestamp, not used by Arduino
-        // Removed: total, not displayed by Arduino
-        // Removed: status, not used by Arduino
-      };
+        };
 
-      // Use compact JSON (no pretty printing) to minimize message size
-      const message = JSON.stringify(orderData);
-      
-      // Debug: Log message size and content
-      console.log(`📊 MQTT Message size: ${message.length} bytes (optimized for Arduino)`);
-      console.log(`📄 MQTT Message content:`, message);
-      
-      // Warn if message is still large (much lower threshold for ESP8266)
-      if (message.length > 1500) {
-        console.log(`⚠️  Large message detected (${message.length} bytes) - may cause ESP8266 memory issues`);
-      } else {
-        console.log(`✅ Message size optimal for ESP8266 (${message.length} bytes)`);
-      }
-      
-      // Publish to the new order topic
-      this.client.publish(this.topics.NEW_ORDER, message, { qos: 1 }, (error) => {
+        // Options and notes as one short LCD line, only when there are any
+        const mods = compactModifiers(item.modifiers, item.notes);
+        if (mods) {
+          lcdItem.mods = mods;
+        }
+
+        return lcdItem;
+      })
+      // Removed: timestamp, not used by Arduino
+      // Removed: total, not displayed by Arduino
+      // Removed: status, not used by Arduino
+    };
+  }
+
+  // Publish one station's ticket directly (the outbox in deliveryService
+  // is the reliable path; this is used by the IoT test tools)
+  publishTicket(order, ticket, restaurant) {
+    const orderData = this.buildTicketMessage(order, ticket);
+    const topic = this.topicFor(restaurant, this.topics.NEW_ORDER, ticket.stationCode);
+
+    // Use compact JSON (no pretty printing) to minimize message size
+    return this.publish(topic, JSON.stringify(orderData));
+  }
+
+  // Publish with QoS 1. Resolves true once the broker has the message,
+  // false if it couldn't be sent.
+  publish(topic, message) {
+    if (!this.client || !this.isConnected) {
+      console.error(`❌ MQTT client not connected - cannot publish to ${topic}`);
+      return Promise.resolve(false);
+    }
+
+    // Debug: Log message size and content
+    console.log(`📊 MQTT Message size: ${message.length} bytes (optimized for Arduino)`);
+    console.log(`📄 MQTT Message content:`, message);
+    
+    // Warn if message is still large (much lower threshold for ESP8266)
+    if (message.length > 1500) {
+      console.log(`⚠️  Large message detected (${message.length} bytes) - may cause ESP8266 memory issues`);
+    }
+    
+    return new Promise(resolve => {
+      this.client.publish(topic, message, { qos: 1 }, (error) => {
         if (error) {
-          console.error('❌ Failed to publish new order:', error);
-          console.error('❌ Error details:', error);
+          console.error(`❌ Failed to publish to ${topic}:`, error);
+          resolve(false);
         } else {
-          console.log(`📤 Published optimized order to ${this.topics.NEW_ORDER}`);
-          console.log(`🍽️  Order ID: ${orderData.orderId} | Table: ${orderData.tableNumber} | Items: ${orderData.items.length}`);
-          console.log(`📏 Optimized message: ${message.length} bytes (Arduino-friendly)`);
+          console.log(`📤 Published to ${topic} (${message.length} bytes)`);
+          resolve(true);
         }
       });
-
-      return true;
-    } catch (error) {
-      console.error('❌ Error publishing new order:', error);
-      return false;
-    }
+    });
   }
 
   // Disconnect from MQTT broker
@@ -0,0 +1,155 @@
+// services/orderExportService.js
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { toCsv } = require('../utils/csv');
+const { localDateTime } = require('../utils/schedule');
+
+// Orders are read from the database and written out this many at a time,
+// so a year of orders never sits in memory at once
+const CHUNK_SIZE = 200;
+
+const LINE_COLUMNS = [
+  'Order ID', 'Created', 'Served', 'Paid', 'Table', 'Status',
+  'Item', 'Options', 'Quantity', 'Unit price', 'Line total'
+];
+
+const SUMMARY_COLUMNS = [
+  'Order ID', 'Created', 'Served', 'Paid', 'Table', 'Status',
+  'Items', 'Subtotal', 'Discount', 'Service charge', 'Tax', 'Tax included', 'Total', 'Amount paid', 'Tips', 'Balance', 'Payment methods',
+  'Promotions'
+];
+
+// 2024-05-01 18:30:00 in the branch's time, which spreadsheets read as a date
+function formatDate(date, timezone) {
+  if (!date) return '';
+  const { day, time } = localDateTime(date, timezone);
+  return `${day} ${time}`;
+}
+
+// When the order last reached `status`, from its history
+function reachedAt(order, status) {
+  const change = [...(order.statusHistory || [])].reverse().find(entry => entry.to === status);
+  return change ? change.at : null;
+}
+
+class OrderExportService {
+  lineRows(order, timezone) {
+    const common = [
+      String(order._id),
+      formatDate(order.createdAt, timezone),
+      formatDate(reachedAt(order, 'served'), timezone),
+      formatDate(reachedAt(order, 'paid'), timezone),
+      order.tableNumber,
+      order.status
+    ];
+
+    return order.items.map(item => [
+      ...common,
+      item.name,
+      [
+        ...(item.modifiers || []).map(m => m.option),
+        ...(item.notes ? [`"${item.notes}"`] : [])
+      ].join(', '),
+      item.quantity,
+      item.unitPrice,
+      item.unitPrice * item.quantity
+    ]);
+  }
+
+  summaryRow(order, payments, timezone) {
+    const methods = new Map();
+    payments.forEach(payment => methods.set(payment.method, (methods.get(payment.method) || 0) + payment.amount));
+    const amountPaid = order.amountPaid || 0;
+
+    return [
+      String(order._id),
+      formatDate(order.createdAt, timezone),
+      formatDate(reachedAt(order, 'served'), timezone),
+      formatDate(reachedAt(order, 'paid'), timezone),
+      order.tableNumber,
+      order.status,
+      order.items.reduce((sum, item) => sum + item.quantity, 0),
+      order.subtotal,
+      order.discountTotal || 0,
+      order.serviceCharge || 0,
+      order.taxTotal || 0,
+      order.pricesIncludeTax === false ? 'no' : 'yes',
+      order.total,
+      amountPaid,
+      payments.reduce((sum, payment) => sum + payment.tip, 0),
+      Math.max(0, order.total - amountPaid),
+      [...methods].map(([method, amount]) => `${method} ${amount}`).join('; '),
+      (order.discounts || []).map(discount => `${discount.code || discount.name} ${discount.amount}`).join('; ')
+    ];
+  }
+
+  // Write one chunk of orders as CSV, with payments looked up per chunk
+  async writeChunk(orders, mode, timezone, write) {
+    let rows;
+    if (mode === 'summary') {
+      const payments = await Payment.find({ order: { $in: orders.map(order => order._id) } }).lean();
+      rows = orders.map(order =>
+        this.summaryRow(order, payments.filter(payment => payment.order.equals(order._id)), timezone)
+      );
+    } else {
+      rows = orders.flatMap(order => this.lineRows(order, timezone));
+    }
+    if (rows.length > 0) await write(toCsv(rows));
+  }
+
+  // Stream orders placed in [from, to) as CSV to `out` (e.g. the response).
+  // `mode` is "lines" (one row per item) or "summary" (one row per order);
+  // times are written in the branch's `timezone`.
+  // Stops early if `out` is closed, e.g. the download is cancelled.
+  async writeCsv(restaurantId, { from, to, mode = 'lines', timezone }, out) {
+    const write = chunk => new Promise((resolve, reject) => {
+      if (out.destroyed) return reject(new Error('Export cancelled'));
+      if (out.write(chunk)) return resolve();
+
+      // Wait for the client to catch up, unless it goes away
+      const onDrain = () => {
+        out.off('close', onClose);
+        resolve();
+      };
+      const onClose = () => {
+        out.off('drain', onDrain);
+        reject(new Error('Export cancelled'));
+      };
+      out.once('drain', onDrain);
+      out.once('close', onClose);
+    });
+
+    // The BOM makes Excel read the file as UTF-8
+    await write('\uFEFF' + toCsv([mode === 'summary' ? SUMMARY_COLUMNS : LINE_COLUMNS]));
+
+    const cursor = Order.find({
+      restaurant: new mongoose.Types.ObjectId(restaurantId),
+      createdAt: { $gte: from, $lt: to }
+    }).sort({ createdAt: 1 }).lean().cursor({ batchSize: CHUNK_SIZE });
+
+    let chunk = [];
+    let count = 0;
+    try {
+      for await (const order of cursor) {
+        chunk.push(order);
+        count++;
+        if (chunk.length === CHUNK_SIZE) {
+          await this.writeChunk(chunk, mode, timezone, write);
+          chunk = [];
+        }
+      }
+      await this.writeChunk(chunk, mode, timezone, write);
+    } finally {
+      await cursor.close();
+    }
+
+    out.end();
+    return count;
+  }
+}
+
+// Create singleton instance
+const orderExportService = new OrderExportService();
+
+module.exports = orderExportService;
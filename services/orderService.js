@@ -0,0 +1,172 @@
+// services/orderService.js
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Table = require('../models/Table');
+const eventStream = require('./eventStream');
+const inventoryService = require('./inventoryService');
+const promotionService = require('./promotionService');
+const restaurantService = require('./restaurantService');
+const { AppError, NotFoundError, InvalidTransitionError } = require('../utils/errors');
+const { SORTS } = require('../utils/orderFilters');
+const { zonedDate, addDays } = require('../utils/schedule');
+
+// Literal text for use inside a RegExp
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class OrderService {
+  // One page of a branch's orders. `filters` comes from parseOrderFilters
+  // (utils/orderFilters.js); its dates are whole days in the branch's
+  // `timezone`. Returns { orders, total, page, pages }.
+  async listOrders(restaurantId, filters, timezone) {
+    const query = { restaurant: restaurantId };
+
+    if (filters.status === 'active') {
+      query.status = { $in: Order.ACTIVE_STATUSES };
+    } else if (Order.STATUSES.includes(filters.status)) {
+      query.status = filters.status;
+    }
+
+    // A zone is the tables in it; a table filter narrows that further
+    if (filters.zone) {
+      const tables = await Table.find({ restaurant: restaurantId, zone: filters.zone }).select('number');
+      const numbers = tables.map(table => table.number);
+      query.tableNumber = { $in: filters.table ? numbers.filter(n => n === filters.table) : numbers };
+    } else if (filters.table) {
+      query.tableNumber = filters.table;
+    }
+
+    if (filters.item) query['items.menuItem'] = filters.item;
+
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = zonedDate(filters.from, '00:00', timezone);
+      if (filters.to) query.createdAt.$lt = zonedDate(addDays(filters.to, 1), '00:00', timezone);
+    }
+
+    // Item names and notes, or an order ID (or its last few characters,
+    // as printed on receipts and tickets)
+    if (filters.q) {
+      const pattern = new RegExp(escapeRegExp(filters.q), 'i');
+      const search = [{ 'items.name': pattern }, { 'items.notes': pattern }];
+      if (mongoose.isValidObjectId(filters.q) && /^[a-f0-9]{24}$/i.test(filters.q)) {
+        search.push({ _id: filters.q });
+      } else if (/^[a-f0-9]{4,23}$/i.test(filters.q)) {
+        search.push({ $expr: { $regexMatch: { input: { $toString: '$_id' }, regex: `${filters.q.toLowerCase()}$` } } });
+      }
+      query.$or = search;
+    }
+
+    const total = await Order.countDocuments(query);
+    const pages = Math.max(1, Math.ceil(total / filters.perPage));
+    const page = Math.min(filters.page, pages);
+
+    const orders = await Order.find(query)
+      .sort(SORTS[filters.sort].sort)
+      .skip((page - 1) * filters.perPage)
+      .limit(filters.perPage);
+
+    return { orders, total, page, pages };
+  }
+
+  // Find an order or throw NotFoundError. With `restaurantId`, orders from
+  // other branches count as not found.
+  async findOrder(orderId, restaurantId = null) {
+    const order = mongoose.isValidObjectId(orderId) ? await Order.findById(orderId) : null;
+    if (!order || (restaurantId && !order.restaurant.equals(restaurantId))) {
+      throw new NotFoundError('Order not found');
+    }
+    return order;
+  }
+
+  // Move an order through its lifecycle and notify live views.
+  // `actor` is { actorType, actor, user, source } (see Order.statusHistory).
+  async changeStatus(orderId, status, actor, restaurantId = null) {
+    const order = await this.findOrder(orderId, restaurantId);
+    const previousStatus = order.status;
+
+    // Paid means the payments cover the bill (see paymentService)
+    if (status === 'paid' && !order.isFullyPaid()) {
+      const currency = await restaurantService.currencyFor(order.restaurant);
+      throw new AppError(`Record payments for the remaining ${order.balance().toLocaleString()} ${currency} before marking this order paid`, 409, 'payment_incomplete');
+    }
+    // There's no refund yet, so money taken would stay on the shift report
+    // for an order that no longer counts
+    if (status === 'cancelled' && order.amountPaid > 0) {
+      const currency = await restaurantService.currencyFor(order.restaurant);
+      throw new AppError(`${order.amountPaid.toLocaleString()} ${currency} has already been paid on this order, so it can't be cancelled`, 409, 'order_has_payments');
+    }
+
+    order.transitionTo(status, actor);
+    await order.save();
+
+    // Cancelled orders give their portions and promotion uses back
+    if (status === 'cancelled') {
+      await inventoryService.release(inventoryService.linesForOrder(order));
+      await promotionService.release(order.discounts || []);
+    }
+
+    console.log(`📋 Order ${order._id} ${previousStatus} → ${status} (${actor.source}: ${actor.actor || actor.actorType})`);
+
+    eventStream.publishOrder(status === 'served' ? 'order-served' : 'status-changed', order, {
+      previousStatus,
+      source: actor.source
+    });
+
+    // Bills settled up front close as soon as the food is out
+    if (status === 'served' && order.isFullyPaid()) {
+      return this.changeStatus(order._id, 'paid', { actorType: 'system', source: 'payment' }, restaurantId);
+    }
+
+    return order;
+  }
+
+  // A station finished its part of an order. The order is served once every
+  // ticket is done; orders without tickets (placed before stations existed)
+  // are served straight away. A null stationCode is the default kitchen.
+  async completeTicket(orderId, stationCode, actor, restaurantId = null) {
+    const order = await this.findOrder(orderId, restaurantId);
+    const code = stationCode || null;
+
+    if (!Order.canTransition(order.status, 'served')) {
+      throw new InvalidTransitionError(order.status, 'served');
+    }
+    if (order.tickets.length === 0) {
+      return this.changeStatus(orderId, 'served', actor);
+    }
+
+    // Atomic so two stations finishing together can't overwrite each other
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, tickets: { $elemMatch: { stationCode: code, status: 'pending' } } },
+      { $set: {
+        'tickets.$.status': 'done',
+        'tickets.$.completedAt': new Date(),
+        'tickets.$.completedBy': actor.actor
+      } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new AppError(`No open ${code || 'kitchen'} ticket on order ${orderId}`, 409, 'ticket_not_open');
+    }
+
+    const ticket = updated.tickets.find(t => t.stationCode === code);
+    console.log(`🍳 ${ticket.stationName} finished its part of order ${orderId}`);
+    eventStream.publishOrder('ticket-completed', updated, {
+      stationCode: code,
+      stationName: ticket.stationName,
+      source: actor.source
+    });
+
+    if (updated.tickets.every(t => t.status === 'done')) {
+      return this.changeStatus(orderId, 'served', actor);
+    }
+    return updated;
+  }
+}
+
+// Create singleton instance
+const orderService = new OrderService();
+
+module.exports = orderService;
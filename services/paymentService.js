@@ -0,0 +1,200 @@
+// services/paymentService.js
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const eventStream = require('./eventStream');
+const orderService = require('./orderService');
+const restaurantService = require('./restaurantService');
+const { AppError } = require('../utils/errors');
+
+// Amounts are whole units of the branch's currency
+function toAmount(value) {
+  const amount = Math.round(Number(value));
+  return Number.isFinite(amount) ? amount : NaN;
+}
+
+class PaymentService {
+  // Split `amount` into `ways` shares that add up exactly; the first shares
+  // take any remainder
+  evenShares(amount, ways) {
+    const count = Math.max(1, Math.min(50, parseInt(ways) || 1));
+    const base = Math.floor(amount / count);
+    const remainder = amount - base * count;
+    return Array.from({ length: count }, (_, i) => base + (i < remainder ? 1 : 0));
+  }
+
+  // Quantity of each order line not yet paid for by item
+  unpaidQuantities(order) {
+    return order.items.map(item => item.quantity - (item.paidQuantity || 0));
+  }
+
+  // `lines` is [{ line, quantity }]; returns the cleaned lines and their value,
+  // with the order's discounts, service charge and added taxes shared out in proportion
+  priceLines(order, lines) {
+    const unpaid = this.unpaidQuantities(order);
+    const cleaned = [];
+    let amount = 0;
+
+    for (const { line, quantity } of lines) {
+      const index = parseInt(line);
+      const count = parseInt(quantity) || 0;
+      if (count <= 0) continue;
+
+      const item = order.items[index];
+      if (!item) {
+        throw new AppError('That item is not on this order', 400, 'invalid_line');
+      }
+      if (count > unpaid[index]) {
+        throw new AppError(`Only ${unpaid[index]} × ${item.name} left to pay for`, 409, 'line_already_paid');
+      }
+      cleaned.push({ line: index, quantity: count });
+      amount += item.unitPrice * count;
+    }
+
+    if (cleaned.length === 0) {
+      throw new AppError('Choose at least one item to pay for', 400, 'no_items');
+    }
+    if (order.subtotal > 0 && order.total !== order.subtotal) {
+      amount = Math.round(amount * order.total / order.subtotal);
+      // The last items pay whatever is left, so rounding can't strand a franc
+      const chosen = cleaned.reduce((sum, entry) => sum + entry.quantity, 0);
+      if (chosen === unpaid.reduce((sum, count) => sum + count, 0)) {
+        amount = order.balance();
+      }
+    }
+    return { lines: cleaned, amount };
+  }
+
+  // Take a payment towards an order. Pass `amount`, or `items` to pay for
+  // specific lines. The order moves to paid once it's covered and served.
+  // `tab` is set when the payment is part of closing a tab.
+  async recordPayment(orderId, { amount, tip, method, reference, items, tab = null }, cashier, restaurantId) {
+    const order = await orderService.findOrder(orderId, restaurantId);
+    const currency = await restaurantService.currencyFor(order.restaurant);
+
+    if (order.status === 'paid' || order.status === 'cancelled') {
+      throw new AppError(`This order is already ${order.status}`, 409, 'order_closed');
+    }
+    if (!Payment.METHODS.includes(method)) {
+      throw new AppError('Choose how the guest paid', 400, 'invalid_method');
+    }
+
+    const balance = order.balance();
+    let lines = [];
+    if (items && items.length > 0) {
+      const priced = this.priceLines(order, items);
+      lines = priced.lines;
+      // Earlier payments by amount may already cover part of these items
+      amount = Math.min(priced.amount, balance);
+    } else {
+      amount = toAmount(amount);
+    }
+
+    tip = tip === undefined || tip === '' ? 0 : toAmount(tip);
+    if (!(amount > 0)) {
+      throw new AppError('Enter an amount greater than zero', 400, 'invalid_amount');
+    }
+    if (amount > balance) {
+      throw new AppError(`Only ${balance.toLocaleString()} ${currency} is left to pay. Put anything extra down as a tip.`, 409, 'overpayment');
+    }
+    if (!(tip >= 0)) {
+      throw new AppError('The tip must be zero or more', 400, 'invalid_tip');
+    }
+
+    const payment = await Payment.create({
+      restaurant: order.restaurant,
+      order: order._id,
+      tab,
+      amount,
+      tip,
+      method,
+      reference: reference || '',
+      items: lines,
+      cashier: cashier._id,
+      cashierName: cashier.username
+    });
+
+    // The order is versioned, so two tills paying the same bill at once
+    // can't both take the last of the balance
+    order.amountPaid += amount;
+    lines.forEach(({ line, quantity }) => {
+      order.items[line].paidQuantity = (order.items[line].paidQuantity || 0) + quantity;
+    });
+    try {
+      await order.save();
+    } catch (error) {
+      await Payment.deleteOne({ _id: payment._id });
+      if (error instanceof mongoose.Error.VersionError) {
+        throw new AppError('Someone else just updated this bill. Check the balance and try again.', 409, 'order_changed');
+      }
+      throw error;
+    }
+
+    console.log(`💳 ${cashier.username} took ${amount.toLocaleString()} ${currency} (${method}) for order ${order._id}, ${order.balance().toLocaleString()} ${currency} left`);
+    eventStream.publishOrder('payment-recorded', order, {
+      amount,
+      tip,
+      method,
+      balance: order.balance()
+    });
+
+    let updated = order;
+    if (order.isFullyPaid() && order.status === 'served') {
+      updated = await orderService.changeStatus(order._id, 'paid', {
+        actorType: 'user',
+        actor: cashier.username,
+        user: cashier._id,
+        source: 'payment'
+      }, restaurantId);
+    }
+
+    return { payment, order: updated };
+  }
+
+  listForOrder(orderId) {
+    return Payment.find({ order: orderId }).sort({ createdAt: 1 });
+  }
+
+  // Totals for a reconciliation report. `cashier` narrows it to one person.
+  async report(restaurantId, { from, to, cashier = null }) {
+    const match = {
+      restaurant: new mongoose.Types.ObjectId(restaurantId),
+      createdAt: { $gte: from, $lt: to }
+    };
+    if (cashier) match.cashier = new mongoose.Types.ObjectId(cashier);
+
+    const totals = { count: 0, amount: 0, tip: 0 };
+    const byMethod = await Payment.aggregate([
+      { $match: match },
+      { $group: { _id: '$method', count: { $sum: 1 }, amount: { $sum: '$amount' }, tip: { $sum: '$tip' } } },
+      { $sort: { _id: 1 } }
+    ]);
+    const byCashier = await Payment.aggregate([
+      { $match: match },
+      { $group: { _id: '$cashier', cashierName: { $last: '$cashierName' }, count: { $sum: 1 }, amount: { $sum: '$amount' }, tip: { $sum: '$tip' } } },
+      { $sort: { cashierName: 1 } }
+    ]);
+    byMethod.forEach(row => {
+      totals.count += row.count;
+      totals.amount += row.amount;
+      totals.tip += row.tip;
+    });
+
+    const payments = await Payment.find(match).sort({ createdAt: 1 }).populate('order', 'tableNumber total');
+    const cash = byMethod.find(row => row._id === 'cash') || { amount: 0, tip: 0 };
+
+    return {
+      from,
+      to,
+      totals,
+      byMethod,
+      byCashier,
+      payments,
+      expectedCash: cash.amount + cash.tip
+    };
+  }
+}
+
+// Create singleton instance
+const paymentService = new PaymentService();
+
+module.exports = paymentService;
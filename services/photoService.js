@@ -0,0 +1,75 @@
+// services/photoService.js
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const sharp = require('sharp');
+const MenuItem = require('../models/MenuItem');
+const { AppError } = require('../utils/errors');
+const {
+  UPLOAD_DIR, FULL_SIZE, THUMB_SIZE, uploadName, photoUrl, photoFiles
+} = require('../utils/menuPhotos');
+
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+class PhotoService {
+  // Store an uploaded image as a full-size photo and a thumbnail and return
+  // the photo URL. The file's contents are checked, not just its name.
+  async save(buffer) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      metadata = null;
+    }
+    if (!metadata || !ACCEPTED_FORMATS.includes(metadata.format)) {
+      throw new AppError("That file isn't a JPEG, PNG, WebP or GIF image");
+    }
+
+    const name = crypto.randomBytes(16).toString('hex');
+    const files = photoFiles(name);
+    await fs.mkdir(UPLOAD_DIR, { recursive: true });
+
+    // rotate() turns phone photos the right way up; WebP output drops
+    // the camera metadata (location included)
+    const resize = size => sharp(buffer)
+      .rotate()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 });
+
+    try {
+      await resize(FULL_SIZE).toFile(files.full);
+      await resize(THUMB_SIZE).toFile(files.thumb);
+    } catch (error) {
+      await this.deleteFiles(name);
+      console.error('❌ Could not process menu photo:', error.message);
+      throw new AppError('That photo could not be read. Try saving it as a JPEG first.');
+    }
+
+    console.log(`🖼️  Menu photo ${name} saved (${metadata.width}×${metadata.height} ${metadata.format})`);
+    return photoUrl(name);
+  }
+
+  async deleteFiles(name) {
+    const files = photoFiles(name);
+    await Promise.all([files.full, files.thumb].map(file =>
+      fs.unlink(file).catch(error => {
+        if (error.code !== 'ENOENT') console.error(`❌ Could not delete ${file}:`, error.message);
+      })
+    ));
+  }
+
+  // Delete an uploaded photo's files once no menu item uses it. Photos
+  // hosted elsewhere are left alone.
+  async remove(photo) {
+    const name = uploadName(photo);
+    if (!name || await MenuItem.exists({ photo })) return false;
+
+    await this.deleteFiles(name);
+    console.log(`🗑️  Menu photo ${name} deleted`);
+    return true;
+  }
+}
+
+// Create singleton instance
+const photoService = new PhotoService();
+
+module.exports = photoService;
@@ -0,0 +1,49 @@
+// services/printerService.js
+const net = require('net');
+
+// Network thermal printers listen for raw ESC/POS on this port
+const DEFAULT_PORT = 9100;
+const TIMEOUT_MS = parseInt(process.env.PRINTER_TIMEOUT_MS, 10) || 5000;
+
+class PrinterService {
+  constructor() {
+    this.defaultPort = DEFAULT_PORT;
+  }
+
+  // Send raw bytes to a printer. Resolves once they're written and the
+  // connection is closed; rejects if the printer can't be reached.
+  print(host, port, data) {
+    return new Promise((resolve, reject) => {
+      if (!host) {
+        reject(new Error('No printer address configured'));
+        return;
+      }
+
+      const socket = net.createConnection({ host, port: port || DEFAULT_PORT });
+      let failed = null;
+
+      socket.setTimeout(TIMEOUT_MS);
+      socket.on('connect', () => socket.end(data));
+      socket.on('timeout', () => {
+        failed = new Error(`Printer ${host}:${port || DEFAULT_PORT} timed out`);
+        socket.destroy();
+      });
+      socket.on('error', (error) => {
+        failed = error;
+      });
+      socket.on('close', () => {
+        if (failed) {
+          reject(failed);
+        } else {
+          console.log(`🖨️  Sent ${data.length} bytes to printer ${host}:${port || DEFAULT_PORT}`);
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+// Create singleton instance
+const printerService = new PrinterService();
+
+module.exports = printerService;
@@ -0,0 +1,299 @@
+// services/promotionService.js
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const MenuItem = require('../models/MenuItem');
+const restaurantService = require('./restaurantService');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+// Deals on particular items go first, each portion getting at most one of
+// them; discounts on the whole order then come off what's left
+const APPLY_ORDER = ['combo', 'buy_x_get_y', 'category', 'percent', 'amount'];
+
+class PromotionService {
+  // ---------- PRICING ----------
+
+  // The code's promotion, if a guest can use it at `at`
+  async findByCode(restaurantId, code, at = new Date()) {
+    const normalized = String(code || '').trim().toUpperCase();
+    const promotion = normalized
+      ? await Promotion.findOne({ restaurant: restaurantId, code: normalized, active: true })
+      : null;
+
+    if (!promotion) {
+      throw new AppError(`"${normalized}" isn't a valid promo code`, 422, 'invalid_promo_code');
+    }
+    if (promotion.startsAt && promotion.startsAt > at) {
+      throw new AppError(`${normalized} can't be used yet`, 422, 'invalid_promo_code');
+    }
+    if (promotion.endsAt && promotion.endsAt <= at) {
+      throw new AppError(`${normalized} has expired`, 422, 'invalid_promo_code');
+    }
+    if (!promotion.isAvailable(at)) {
+      throw new AppError(`${normalized} has been used up`, 422, 'invalid_promo_code');
+    }
+    return promotion;
+  }
+
+  // Portions grouped by item and price, priciest first, so deals give the
+  // most they can. Deals count down `left` as they use portions.
+  groupUnits(lines) {
+    const groups = [];
+    lines.forEach(line => {
+      const menuItemId = String(line.menuItemId);
+      const existing = groups.find(group => group.menuItemId === menuItemId && group.price === line.unitPrice);
+      if (existing) {
+        existing.left += line.quantity;
+      } else {
+        groups.push({ menuItemId, category: (line.category || '').toLowerCase(), price: line.unitPrice, left: line.quantity });
+      }
+    });
+    return groups.sort((a, b) => b.price - a.price);
+  }
+
+  // Discount from an item deal, using up the portions it covers
+  itemDiscount(promotion, groups) {
+    const available = match => groups.filter(group => group.left > 0 && match(group));
+
+    if (promotion.type === 'category') {
+      const matching = available(group => group.category === promotion.category.toLowerCase());
+      const amount = matching.reduce((sum, group) => sum + group.price * group.left, 0);
+      matching.forEach(group => { group.left = 0; });
+      return Math.round(amount * promotion.value / 100);
+    }
+
+    if (promotion.type === 'buy_x_get_y') {
+      // Portions in groups of X + Y, priciest first; the last Y of each group are free
+      const matching = available(group => group.menuItemId === String(promotion.menuItem));
+      const size = promotion.buyQuantity + promotion.getQuantity;
+      const portions = matching.reduce((sum, group) => sum + group.left, 0);
+      const covered = Math.floor(portions / size) * size;
+      const freeBefore = n => Math.floor(n / size) * promotion.getQuantity + Math.max(0, n % size - promotion.buyQuantity);
+
+      let position = 0;
+      let discount = 0;
+      matching.forEach(group => {
+        const take = Math.min(group.left, covered - position);
+        if (take <= 0) return;
+        discount += group.price * (freeBefore(position + take) - freeBefore(position));
+        group.left -= take;
+        position += take;
+      });
+      return discount;
+    }
+
+    if (promotion.type === 'combo') {
+      const needed = new Map();
+      promotion.comboItems.forEach(id => needed.set(String(id), (needed.get(String(id)) || 0) + 1));
+
+      // Make sets from the priciest portions left, for as long as the combo saves money
+      let discount = 0;
+      while (needed.size > 0) {
+        const picks = [];
+        let repeat = Infinity;
+        for (const [menuItemId, count] of needed) {
+          const taken = [];
+          let want = count;
+          for (const group of available(g => g.menuItemId === menuItemId)) {
+            const take = Math.min(group.left, want);
+            taken.push({ group, take });
+            want -= take;
+            if (want === 0) break;
+          }
+          if (want > 0) return discount;
+          picks.push(...taken);
+          // Identical sets can be taken together while each item comes from one price
+          repeat = Math.min(repeat, taken.length === 1 ? Math.floor(taken[0].group.left / count) : 1);
+        }
+
+        const saving = picks.reduce((sum, pick) => sum + pick.group.price * pick.take, 0) - promotion.value;
+        if (saving <= 0) return discount;
+        picks.forEach(pick => { pick.group.left -= pick.take * repeat; });
+        discount += saving * repeat;
+      }
+      return discount;
+    }
+
+    return 0;
+  }
+
+  // Discounts for priced lines ({ menuItemId, category, unitPrice, quantity }):
+  // every promotion that applies by itself, plus the one for `code`.
+  // Throws AppError (invalid_promo_code) if the code can't be used on this order.
+  // Returns { subtotal, discounts, discountTotal, total }.
+  async evaluate(restaurantId, lines, { code = null, at = new Date() } = {}) {
+    const subtotal = lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+
+    const automatic = await Promotion.find({ restaurant: restaurantId, active: true, code: null });
+    const promotions = automatic.filter(promotion => promotion.isAvailable(at) && subtotal >= promotion.minSpend);
+
+    if (code) {
+      const promotion = await this.findByCode(restaurantId, code, at);
+      if (subtotal < promotion.minSpend) {
+        const currency = await restaurantService.currencyFor(restaurantId);
+        throw new AppError(`Spend at least ${promotion.minSpend.toLocaleString()} ${currency} to use ${promotion.code}`, 422, 'invalid_promo_code');
+      }
+      promotions.push(promotion);
+    }
+
+    // Category deals need each line's category
+    if (promotions.some(promotion => promotion.type === 'category') && lines.some(line => line.category === undefined)) {
+      const items = await MenuItem.find({ _id: { $in: lines.map(line => line.menuItemId) } }).select('category');
+      const categories = new Map(items.map(item => [String(item._id), item.category]));
+      lines = lines.map(line => ({ ...line, category: categories.get(String(line.menuItemId)) || '' }));
+    }
+
+    const groups = this.groupUnits(lines);
+    const discounts = [];
+    let remaining = subtotal;
+
+    promotions
+      .sort((a, b) => APPLY_ORDER.indexOf(a.type) - APPLY_ORDER.indexOf(b.type))
+      .forEach(promotion => {
+        let amount;
+        if (promotion.type === 'percent') {
+          amount = Math.round(remaining * promotion.value / 100);
+        } else if (promotion.type === 'amount') {
+          amount = promotion.value;
+        } else {
+          amount = this.itemDiscount(promotion, groups);
+        }
+
+        amount = Math.min(amount, remaining);
+        if (amount <= 0) return;
+        remaining -= amount;
+        discounts.push({
+          promotion: promotion._id,
+          name: promotion.name,
+          code: promotion.code || '',
+          type: promotion.type,
+          amount
+        });
+      });
+
+    return { subtotal, discounts, discountTotal: subtotal - remaining, total: remaining };
+  }
+
+  // Count a use of each applied promotion, all or nothing. Each increment is
+  // a single conditional update so two guests can't both take the last use.
+  async redeem(discounts) {
+    const redeemed = [];
+    for (const discount of discounts) {
+      const result = await Promotion.updateOne(
+        {
+          _id: discount.promotion,
+          active: true,
+          $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }]
+        },
+        { $inc: { uses: 1 } }
+      );
+
+      if (result.modifiedCount === 0) {
+        await this.release(redeemed);
+        throw new AppError(
+          `Sorry, "${discount.name}" has just run out. Please review your order and place it again.`,
+          409,
+          'promotion_unavailable'
+        );
+      }
+      redeemed.push(discount);
+    }
+  }
+
+  // Give uses back, e.g. when an order is cancelled or fails to save
+  async release(discounts) {
+    for (const discount of discounts) {
+      await Promotion.updateOne({ _id: discount.promotion, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+    }
+  }
+
+  // ---------- ADMIN ----------
+
+  list(restaurantId) {
+    return Promotion.find({ restaurant: restaurantId }).sort({ active: -1, name: 1 });
+  }
+
+  async findPromotion(promotionId, restaurantId) {
+    const promotion = mongoose.isValidObjectId(promotionId)
+      ? await Promotion.findOne({ _id: promotionId, restaurant: restaurantId })
+      : null;
+    if (!promotion) {
+      throw new NotFoundError('Promotion not found');
+    }
+    return promotion;
+  }
+
+  // The settings each type needs, with items checked against the branch
+  async checkRules(restaurantId, values) {
+    if (!Promotion.TYPES.includes(values.type)) {
+      throw new AppError('Choose what the promotion takes off');
+    }
+    if ((values.type === 'percent' || values.type === 'category') && !(values.value > 0 && values.value <= 100)) {
+      throw new AppError('The percentage must be between 1 and 100');
+    }
+    if (values.type === 'amount' && !(values.value > 0)) {
+      throw new AppError('Enter the amount to take off');
+    }
+    if (values.type === 'combo' && !(values.value > 0)) {
+      throw new AppError('Enter the combo price');
+    }
+    if (values.type === 'category' && !values.category) {
+      throw new AppError('Choose the category the discount is for');
+    }
+    if (values.startsAt && values.endsAt && values.startsAt >= values.endsAt) {
+      throw new AppError('The promotion must end after it starts');
+    }
+
+    const itemIds = values.type === 'buy_x_get_y' ? [values.menuItem]
+      : values.type === 'combo' ? values.comboItems
+        : [];
+    if (values.type === 'buy_x_get_y' && !values.menuItem) {
+      throw new AppError('Choose the item to buy');
+    }
+    if (values.type === 'combo' && itemIds.length < 2) {
+      throw new AppError('A combo needs at least two items');
+    }
+    if (itemIds.length > 0) {
+      const unique = [...new Set(itemIds.map(String))];
+      const found = unique.every(id => mongoose.isValidObjectId(id)) &&
+        await MenuItem.countDocuments({ _id: { $in: unique }, restaurant: restaurantId }) === unique.length;
+      if (!found) {
+        throw new AppError('Some of the chosen items are no longer on the menu');
+      }
+    }
+  }
+
+  async save(promotion) {
+    try {
+      return await promotion.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError(`Another promotion already uses the code ${promotion.code}`, 409, 'duplicate_code');
+      }
+      throw error;
+    }
+  }
+
+  async create(restaurantId, values) {
+    await this.checkRules(restaurantId, values);
+    return this.save(new Promotion({ ...values, restaurant: restaurantId }));
+  }
+
+  async update(promotionId, restaurantId, values) {
+    const promotion = await this.findPromotion(promotionId, restaurantId);
+    await this.checkRules(restaurantId, values);
+    promotion.set(values);
+    return this.save(promotion);
+  }
+
+  // Orders keep their snapshot of the discount
+  async delete(promotionId, restaurantId) {
+    const promotion = await this.findPromotion(promotionId, restaurantId);
+    await Promotion.deleteOne({ _id: promotion._id });
+    return promotion;
+  }
+}
+
+// Create singleton instance
+const promotionService = new PromotionService();
+
+module.exports = promotionService;
@@ -0,0 +1,183 @@
+// services/receiptService.js
+const PDFDocument = require('pdfkit');
+const Payment = require('../models/Payment');
+const tabService = require('./tabService');
+const taxService = require('./taxService');
+
+const METHOD_LABELS = { cash: 'Cash', card: 'Card', mobile_money: 'Mobile money' };
+
+// Receipts are built once as plain data, then rendered as HTML (the
+// admin/receipt view), PDF (writePdf) or ESC/POS (utils/escpos.js)
+class ReceiptService {
+  // Order lines as receipt lines
+  linesFor(orders) {
+    return orders.flatMap(order => order.items.map(item => ({
+      name: item.name,
+      options: [
+        ...(item.modifiers || []).map(m => m.option),
+        ...(item.notes ? [`"${item.notes}"`] : [])
+      ].join(', '),
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      amount: item.unitPrice * item.quantity
+    })));
+  }
+
+  // Promotions across the orders, one line per promotion
+  discountsFor(orders) {
+    const discounts = [];
+    orders.forEach(order => (order.discounts || []).forEach(discount => {
+      const label = discount.code ? `${discount.name} (${discount.code})` : discount.name;
+      const existing = discounts.find(d => d.label === label);
+      if (existing) {
+        existing.amount += discount.amount;
+      } else {
+        discounts.push({ label, amount: discount.amount });
+      }
+    }));
+    return discounts;
+  }
+
+  build({ restaurant, title, number, date, orders, payments }) {
+    const total = orders.reduce((sum, order) => sum + order.total, 0);
+    const subtotal = orders.reduce((sum, order) => sum + order.subtotal, 0);
+    const paid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+
+    return {
+      restaurantName: restaurant.name,
+      title,
+      number,
+      date,
+      currency: restaurant.currency,
+      lines: this.linesFor(orders),
+      subtotal,
+      discounts: this.discountsFor(orders), // [{ label, amount }], taken off the subtotal
+      serviceCharge: orders.reduce((sum, order) => sum + (order.serviceCharge || 0), 0),
+      // [{ label, amount }]; taxes the prices included are listed but not added
+      taxes: taxService.combine(orders).map(tax => ({
+        label: `${tax.included ? 'Incl. ' : ''}${tax.name} ${tax.rate}%`,
+        amount: tax.amount
+      })),
+      total,
+      payments: payments.map(payment => ({
+        method: payment.method,
+        methodLabel: METHOD_LABELS[payment.method] || payment.method,
+        amount: payment.amount,
+        tip: payment.tip,
+        reference: payment.reference,
+        at: payment.createdAt
+      })),
+      paid,
+      tips: payments.reduce((sum, payment) => sum + payment.tip, 0),
+      balance: Math.max(0, total - paid),
+      footer: 'Thank you!'
+    };
+  }
+
+  async forOrder(order, restaurant) {
+    const payments = await Payment.find({ order: order._id }).sort({ createdAt: 1 });
+    return this.build({
+      restaurant,
+      title: `Table ${order.tableNumber}`,
+      number: order._id.toString().slice(-8).toUpperCase(),
+      date: order.createdAt,
+      orders: order.status === 'cancelled' ? [] : [order],
+      payments
+    });
+  }
+
+  async forTab(tab, restaurant) {
+    const { orders } = await tabService.getBill(tab);
+    const billable = orders.filter(order => order.status !== 'cancelled');
+    const payments = await Payment.find({ order: { $in: billable.map(order => order._id) } }).sort({ createdAt: 1 });
+
+    return this.build({
+      restaurant,
+      title: `Table ${tab.tableNumber} (tab)`,
+      number: tab._id.toString().slice(-8).toUpperCase(),
+      date: tab.closedAt || tab.createdAt,
+      orders: billable,
+      payments
+    });
+  }
+
+  // One station's ticket, for a kitchen printer
+  kitchenTicket(order, ticket) {
+    const indexes = ticket.items && ticket.items.length > 0 ? ticket.items : order.items.map((_, i) => i);
+    return {
+      orderId: order._id.toString(),
+      tableNumber: order.tableNumber,
+      stationName: ticket.stationName || 'Kitchen',
+      createdAt: order.createdAt || new Date(),
+      items: indexes.map(index => {
+        const item = order.items[index];
+        return {
+          name: item.name,
+          quantity: item.quantity,
+          options: (item.modifiers || []).map(m => m.option).join(', '),
+          notes: item.notes || ''
+        };
+      })
+    };
+  }
+
+  // Write a receipt PDF (80mm wide, as long as it needs to be) to a stream
+  writePdf(receipt, stream) {
+    const width = 226; // 80mm in points
+    const rows = receipt.lines.length * 2 + receipt.payments.length * 2 + receipt.discounts.length + receipt.taxes.length + 17;
+    const doc = new PDFDocument({ size: [width, 60 + rows * 14], margin: 14 });
+    const money = amount => Number(amount || 0).toLocaleString('en-US');
+    const contentWidth = width - 28;
+
+    // Label on the left, amount on the right, on the same line
+    const row = (label, amount, options = {}) => {
+      const y = doc.y;
+      doc.text(label, 14, y, { width: contentWidth - 60, ...options });
+      const after = doc.y;
+      doc.text(money(amount), 14, y, { width: contentWidth, align: 'right' });
+      doc.y = Math.max(after, doc.y);
+    };
+    const rule = () => {
+      doc.moveDown(0.3).moveTo(14, doc.y).lineTo(width - 14, doc.y).dash(2, { space: 2 }).stroke().undash().moveDown(0.3);
+    };
+
+    doc.pipe(stream);
+    doc.font('Helvetica-Bold').fontSize(13).text(receipt.restaurantName, { align: 'center' });
+    doc.font('Helvetica').fontSize(8)
+      .text(receipt.title, { align: 'center' })
+      .text(new Date(receipt.date).toLocaleString(), { align: 'center' })
+      .text(`No. ${receipt.number}`, { align: 'center' });
+    rule();
+
+    receipt.lines.forEach(line => {
+      row(`${line.quantity} × ${line.name}`, line.amount);
+      if (line.options) doc.fillColor('#555').text(`   ${line.options}`).fillColor('black');
+    });
+    rule();
+
+    row('Subtotal', receipt.subtotal);
+    receipt.discounts.forEach(discount => row(discount.label, -discount.amount));
+    if (receipt.serviceCharge > 0) row('Service charge', receipt.serviceCharge);
+    receipt.taxes.forEach(tax => row(tax.label, tax.amount));
+    doc.font('Helvetica-Bold');
+    row(`Total ${receipt.currency}`, receipt.total);
+    doc.font('Helvetica');
+
+    if (receipt.payments.length > 0) {
+      rule();
+      receipt.payments.forEach(payment => {
+        row(payment.methodLabel, payment.amount);
+        if (payment.tip > 0) row('   Tip', payment.tip);
+      });
+      row('Balance', receipt.balance);
+    }
+
+    doc.moveDown().text(receipt.footer, 14, doc.y, { width: contentWidth, align: 'center' });
+    doc.end();
+  }
+}
+
+// Create singleton instance
+const receiptService = new ReceiptService();
+
+module.exports = receiptService;
@@ -0,0 +1,121 @@
+// services/restaurantService.js
+const Restaurant = require('../models/Restaurant');
+const MenuItem = require('../models/MenuItem');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Table = require('../models/Table');
+const Station = require('../models/Station');
+const Device = require('../models/Device');
+const OutboxMessage = require('../models/OutboxMessage');
+const staffService = require('./staffService');
+const { AppError } = require('../utils/errors');
+const { isValidTimezone } = require('../utils/schedule');
+
+// Everything that belongs to a branch
+const SCOPED_MODELS = [MenuItem, Order, User, Table, Station, Device, OutboxMessage];
+
+class RestaurantService {
+  // Data created before branches existed belongs to the first branch.
+  // Returns the number of documents moved.
+  async assignLegacyData() {
+    const restaurant = await Restaurant.ensureDefault();
+    let moved = 0;
+
+    for (const Model of SCOPED_MODELS) {
+      const result = await Model.updateMany(
+        { restaurant: { $exists: false } },
+        { $set: { restaurant: restaurant._id } }
+      );
+      moved += result.modifiedCount;
+    }
+
+    // Table numbers and station codes used to be unique across the whole
+    // app; swap those indexes for per-branch ones
+    await Table.syncIndexes();
+    await Station.syncIndexes();
+
+    return moved;
+  }
+
+  // Topic prefixes can't overlap, or one branch's wildcard subscriptions
+  // would pick up another branch's messages
+  async assertPrefixAvailable(topicPrefix, exceptId = null) {
+    const others = await Restaurant.find(exceptId ? { _id: { $ne: exceptId } } : {});
+    const clash = others.find(other =>
+      other.topicPrefix === topicPrefix ||
+      other.topicPrefix.startsWith(`${topicPrefix}/`) ||
+      topicPrefix.startsWith(`${other.topicPrefix}/`)
+    );
+
+    if (clash) {
+      throw new AppError(`Topic prefix overlaps with ${clash.name} (${clash.topicPrefix})`, 409, 'topic_prefix_taken');
+    }
+  }
+
+  // Creates the branch and its first owner; the branch is removed again if
+  // the owner account can't be created
+  async create({ name, slug, topicPrefix }, owner) {
+    await this.assertPrefixAvailable(topicPrefix);
+    const restaurant = await Restaurant.create({ name, slug, topicPrefix });
+
+    try {
+      await staffService.create(restaurant._id, { ...owner, role: 'owner' });
+    } catch (error) {
+      await Restaurant.deleteOne({ _id: restaurant._id });
+      throw error;
+    }
+
+    return restaurant;
+  }
+
+  async update(restaurantId, { name, topicPrefix, timezone, receiptPrinterHost, receiptPrinterPort }) {
+    await this.assertPrefixAvailable(topicPrefix, restaurantId);
+    if (!isValidTimezone(timezone)) {
+      throw new AppError(`"${timezone}" isn't a time zone; use a name like Africa/Kigali`);
+    }
+    return Restaurant.findByIdAndUpdate(
+      restaurantId,
+      { name, topicPrefix, timezone, receiptPrinterHost, receiptPrinterPort },
+      { new: true, runValidators: true }
+    );
+  }
+
+  // The currency a branch's amounts are shown in, for messages written
+  // outside a request that has the branch loaded
+  async currencyFor(restaurantId) {
+    const restaurant = await Restaurant.findById(restaurantId).select('currency');
+    return restaurant ? restaurant.currency : Restaurant.schema.path('currency').defaultValue;
+  }
+
+  // Currency, taxes and service charge. `taxCategories` is [{ name, rate }],
+  // the default first.
+  async updateCharges(restaurantId, { currency, taxCategories, pricesIncludeTax, serviceChargeRate }) {
+    if (!/^[A-Za-z]{3}$/.test(currency || '')) {
+      throw new AppError('The currency should be a three-letter code, e.g. RWF');
+    }
+    const names = new Set();
+    taxCategories.forEach(({ name, rate }) => {
+      if (names.has(name)) {
+        throw new AppError(`There are two tax categories called "${name}"`);
+      }
+      if (!(rate >= 0 && rate <= 100)) {
+        throw new AppError(`The ${name} rate must be between 0 and 100%`);
+      }
+      names.add(name);
+    });
+    if (!(serviceChargeRate >= 0 && serviceChargeRate <= 100)) {
+      throw new AppError('The service charge must be between 0 and 100%');
+    }
+
+    return Restaurant.findByIdAndUpdate(
+      restaurantId,
+      { currency, taxCategories, pricesIncludeTax, serviceChargeRate },
+      { new: true, runValidators: true }
+    );
+  }
+}
+
+// Create singleton instance
+const restaurantService = new RestaurantService();
+
+module.exports = restaurantService;
@@ -0,0 +1,149 @@
+// services/scheduleService.js
+const mongoose = require('mongoose');
+const Menu = require('../models/Menu');
+const MenuItem = require('../models/MenuItem');
+const PriceSchedule = require('../models/PriceSchedule');
+const Restaurant = require('../models/Restaurant');
+const { NotFoundError } = require('../utils/errors');
+const { localTime, isOpen } = require('../utils/schedule');
+
+class ScheduleService {
+  // What a branch is serving at `at`, in the branch's timezone:
+  //   menus:     IDs of the menus being served
+  //   schedules: IDs of the price schedules in effect
+  //   prices:    menu item ID -> { price, schedule } for scheduled prices
+  // Pass the result to isOrderable and priceFor.
+  async current(restaurant, at = new Date()) {
+    const branch = restaurant.timezone ? restaurant : await Restaurant.findById(restaurant).select('timezone');
+    const restaurantId = branch._id;
+    const local = localTime(at, branch.timezone);
+
+    const menus = await Menu.find({ restaurant: restaurantId, active: true });
+    const schedules = await PriceSchedule.find({ restaurant: restaurantId, active: true });
+
+    const pricing = schedules.filter(schedule => isOpen(schedule.windows, local));
+    const prices = new Map();
+    pricing.forEach(schedule => {
+      schedule.overrides.forEach(override => {
+        const key = String(override.menuItem);
+        const existing = prices.get(key);
+        if (!existing || override.price < existing.price) {
+          prices.set(key, { price: override.price, schedule: schedule.name });
+        }
+      });
+    });
+
+    const serving = menus.filter(menu => isOpen(menu.windows, local));
+    return {
+      local,
+      menus: new Set(serving.map(menu => String(menu._id))),
+      menuNames: serving.map(menu => menu.name),
+      schedules: new Set(pricing.map(schedule => String(schedule._id))),
+      prices
+    };
+  }
+
+  // Whether the item is on a menu being served (items on no menu always are)
+  isOrderable(item, now) {
+    const menus = item.menus || [];
+    return menus.length === 0 || menus.some(menuId => now.menus.has(String(menuId)));
+  }
+
+  // The item's base price right now
+  priceFor(item, now) {
+    const override = now.prices.get(String(item._id));
+    return override ? override.price : item.price;
+  }
+
+  // ---------- MENUS ----------
+
+  listMenus(restaurantId) {
+    return Menu.find({ restaurant: restaurantId }).sort({ name: 1 });
+  }
+
+  async findMenu(menuId, restaurantId) {
+    const menu = mongoose.isValidObjectId(menuId)
+      ? await Menu.findOne({ _id: menuId, restaurant: restaurantId })
+      : null;
+    if (!menu) {
+      throw new NotFoundError('Menu not found');
+    }
+    return menu;
+  }
+
+  createMenu(restaurantId, { name, windows }) {
+    return Menu.create({ restaurant: restaurantId, name, windows });
+  }
+
+  async updateMenu(menuId, restaurantId, { name, windows, active }) {
+    const menu = await this.findMenu(menuId, restaurantId);
+    menu.set({ name, windows, active });
+    return menu.save();
+  }
+
+  // Items left on no menu go back to being served all day
+  async deleteMenu(menuId, restaurantId) {
+    const menu = await this.findMenu(menuId, restaurantId);
+    await MenuItem.updateMany({ restaurant: restaurantId, menus: menu._id }, { $pull: { menus: menu._id } });
+    await Menu.deleteOne({ _id: menu._id });
+    return menu;
+  }
+
+  // Keep only IDs of this branch's menus (e.g. from a form)
+  async validMenuIds(restaurantId, ids) {
+    const wanted = (Array.isArray(ids) ? ids : [ids]).filter(id => mongoose.isValidObjectId(id));
+    if (wanted.length === 0) return [];
+    const menus = await Menu.find({ _id: { $in: wanted }, restaurant: restaurantId }).select('_id');
+    return menus.map(menu => menu._id);
+  }
+
+  // ---------- PRICE SCHEDULES ----------
+
+  listSchedules(restaurantId) {
+    return PriceSchedule.find({ restaurant: restaurantId }).sort({ name: 1 });
+  }
+
+  async findSchedule(scheduleId, restaurantId) {
+    const schedule = mongoose.isValidObjectId(scheduleId)
+      ? await PriceSchedule.findOne({ _id: scheduleId, restaurant: restaurantId })
+      : null;
+    if (!schedule) {
+      throw new NotFoundError('Price schedule not found');
+    }
+    return schedule;
+  }
+
+  // Overrides for items of other branches are dropped
+  async validOverrides(restaurantId, overrides) {
+    const ids = overrides.map(override => override.menuItem).filter(id => mongoose.isValidObjectId(id));
+    const items = await MenuItem.find({ _id: { $in: ids }, restaurant: restaurantId }).select('_id');
+    const known = new Set(items.map(item => String(item._id)));
+    return overrides.filter(override => known.has(String(override.menuItem)));
+  }
+
+  async createSchedule(restaurantId, { name, windows, overrides }) {
+    return PriceSchedule.create({
+      restaurant: restaurantId,
+      name,
+      windows,
+      overrides: await this.validOverrides(restaurantId, overrides)
+    });
+  }
+
+  async updateSchedule(scheduleId, restaurantId, { name, windows, overrides, active }) {
+    const schedule = await this.findSchedule(scheduleId, restaurantId);
+    schedule.set({ name, windows, active, overrides: await this.validOverrides(restaurantId, overrides) });
+    return schedule.save();
+  }
+
+  async deleteSchedule(scheduleId, restaurantId) {
+    const schedule = await this.findSchedule(scheduleId, restaurantId);
+    await PriceSchedule.deleteOne({ _id: schedule._id });
+    return schedule;
+  }
+}
+
+// Create singleton instance
+const scheduleService = new ScheduleService();
+
+module.exports = scheduleService;
@@ -0,0 +1,178 @@
+// services/staffService.js
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Invite = require('../models/Invite');
+const authService = require('./authService');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+const MIN_PASSWORD_LENGTH = 8;
+const INVITE_DAYS = 7;
+
+class StaffService {
+  async hashPassword(password) {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw new AppError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`, 400, 'weak_password');
+    }
+    return bcrypt.hash(password, 10);
+  }
+
+  assertRole(role) {
+    if (!User.ROLES.includes(role)) {
+      throw new AppError(`Unknown role "${role}"`, 400, 'invalid_role');
+    }
+  }
+
+  async listStaff(restaurantId) {
+    return User.find({ restaurant: restaurantId }).sort({ active: -1, role: 1, username: 1 });
+  }
+
+  async create(restaurantId, { username, password, role }) {
+    username = (username || '').trim();
+    if (!username) {
+      throw new AppError('Username is required', 400, 'invalid_username');
+    }
+    this.assertRole(role);
+
+    if (await User.exists({ username })) {
+      throw new AppError(`The username "${username}" is already taken`, 409, 'username_taken');
+    }
+
+    return User.create({
+      restaurant: restaurantId,
+      username,
+      password: await this.hashPassword(password),
+      role
+    });
+  }
+
+  async findStaff(restaurantId, userId) {
+    const user = mongoose.isValidObjectId(userId)
+      ? await User.findOne({ _id: userId, restaurant: restaurantId })
+      : null;
+    if (!user) {
+      throw new NotFoundError('Staff member not found');
+    }
+    return user;
+  }
+
+  // Owners can't demote or deactivate themselves, so a branch always keeps
+  // someone who can manage its staff
+  assertNotSelf(user, actor, message) {
+    if (user._id.equals(actor._id)) {
+      throw new AppError(message, 400, 'cannot_change_self');
+    }
+  }
+
+  async changeRole(restaurantId, userId, role, actor) {
+    this.assertRole(role);
+    const user = await this.findStaff(restaurantId, userId);
+    if (user.role !== role) {
+      this.assertNotSelf(user, actor, "You can't change your own role");
+    }
+    user.role = role;
+    return user.save();
+  }
+
+  async setActive(restaurantId, userId, active, actor) {
+    const user = await this.findStaff(restaurantId, userId);
+    if (!active) {
+      this.assertNotSelf(user, actor, "You can't deactivate your own account");
+    }
+    user.active = active;
+    await user.save();
+    if (!active) {
+      await authService.revokeUserSessions(user._id);
+    }
+    return user;
+  }
+
+  // Also unlocks the account and signs it out everywhere
+  async resetPassword(restaurantId, userId, password) {
+    const user = await this.findStaff(restaurantId, userId);
+    user.password = await this.hashPassword(password);
+    user.failedLogins = 0;
+    user.lockedUntil = null;
+    await user.save();
+    await authService.revokeUserSessions(user._id);
+    return user;
+  }
+
+  // For staff who lost their phone; they can set it up again afterwards
+  async resetTotp(restaurantId, userId) {
+    const user = await this.findStaff(restaurantId, userId);
+    user.totpEnabled = false;
+    user.totpSecret = null;
+    user.totpLastStep = 0;
+    return user.save();
+  }
+
+  // ---------- Invites ----------
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Returns the invite and its raw token, which is only available now
+  async createInvite(restaurantId, role, createdBy) {
+    this.assertRole(role);
+    const token = crypto.randomBytes(24).toString('base64url');
+    const invite = await Invite.create({
+      restaurant: restaurantId,
+      tokenHash: this.hashToken(token),
+      role,
+      createdBy: createdBy._id,
+      expiresAt: new Date(Date.now() + INVITE_DAYS * 24 * 60 * 60 * 1000)
+    });
+    return { invite, token };
+  }
+
+  // The unused, unexpired invite for a token, or null
+  findInvite(token) {
+    if (!token) return null;
+    return Invite.findOne({
+      tokenHash: this.hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).populate('restaurant');
+  }
+
+  listInvites(restaurantId) {
+    return Invite.find({ restaurant: restaurantId, usedAt: null, expiresAt: { $gt: new Date() } }).sort({ createdAt: -1 });
+  }
+
+  async revokeInvite(restaurantId, inviteId) {
+    if (!mongoose.isValidObjectId(inviteId)) {
+      throw new NotFoundError('Invite not found');
+    }
+    await Invite.deleteOne({ _id: inviteId, restaurant: restaurantId, usedAt: null });
+  }
+
+  // Create the account an invite is for. The invite is claimed first so two
+  // people can't use the same link at once.
+  async acceptInvite(token, { username, password }) {
+    const invite = await Invite.findOneAndUpdate(
+      { tokenHash: this.hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+    if (!invite) {
+      throw new AppError('This invite link is invalid, used or expired. Ask the owner for a new one.', 410, 'invite_invalid');
+    }
+
+    try {
+      const user = await this.create(invite.restaurant, { username, password, role: invite.role });
+      await Invite.updateOne({ _id: invite._id }, { $set: { usedBy: user._id } });
+      return user;
+    } catch (error) {
+      await Invite.updateOne({ _id: invite._id }, { $set: { usedAt: null } });
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const staffService = new StaffService();
+
+module.exports = staffService;
@@ -0,0 +1,54 @@
+// services/stationService.js
+const MenuItem = require('../models/MenuItem');
+const Station = require('../models/Station');
+
+class StationService {
+  // A branch's active stations, for routing
+  getActiveStations(restaurantId) {
+    return Station.find({ restaurant: restaurantId, active: true }).sort({ name: 1 });
+  }
+
+  // Pick the station for a menu item: its own override first, then the
+  // station that handles its category. null means the default kitchen.
+  stationForItem(menuItem, stations) {
+    if (menuItem.station) {
+      const override = stations.find(s => s._id.equals(menuItem.station));
+      if (override) return override;
+    }
+
+    const category = (menuItem.category || '').toLowerCase();
+    return stations.find(s => s.categories.some(c => c.toLowerCase() === category)) || null;
+  }
+
+  // Split an order's lines into one ticket per station
+  async buildTickets(order) {
+    const stations = await this.getActiveStations(order.restaurant);
+    const menuItems = await MenuItem.find({ _id: { $in: order.items.map(item => item.menuItem) } });
+    const byId = new Map(menuItems.map(item => [item._id.toString(), item]));
+
+    const tickets = new Map();
+    order.items.forEach((line, index) => {
+      const menuItem = byId.get(line.menuItem.toString());
+      const station = menuItem ? this.stationForItem(menuItem, stations) : null;
+      const key = station ? station.code : '';
+
+      if (!tickets.has(key)) {
+        tickets.set(key, {
+          station: station ? station._id : null,
+          stationCode: station ? station.code : null,
+          stationName: station ? station.name : 'Kitchen',
+          items: [],
+          status: 'pending'
+        });
+      }
+      tickets.get(key).items.push(index);
+    });
+
+    return [...tickets.values()];
+  }
+}
+
+// Create singleton instance
+const stationService = new StationService();
+
+module.exports = stationService;
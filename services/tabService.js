@@ -0,0 +1,211 @@
+// services/tabService.js
+const mongoose = require('mongoose');
+const Tab = require('../models/Tab');
+const Order = require('../models/Order');
+const Table = require('../models/Table');
+const Payment = require('../models/Payment');
+const eventStream = require('./eventStream');
+const paymentService = require('./paymentService');
+const taxService = require('./taxService');
+const restaurantService = require('./restaurantService');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+class TabService {
+  // The table's open tab, opening one if there isn't one yet
+  async openTabFor(restaurantId, tableNumber) {
+    const filter = { restaurant: restaurantId, tableNumber, status: 'open' };
+    try {
+      return await Tab.findOneAndUpdate(filter, { $setOnInsert: filter }, { upsert: true, new: true });
+    } catch (error) {
+      // Two orders from the same table at once: the other one opened it
+      if (error.code === 11000) return Tab.findOne(filter);
+      throw error;
+    }
+  }
+
+  async findTab(tabId, restaurantId) {
+    const tab = mongoose.isValidObjectId(tabId)
+      ? await Tab.findOne({ _id: tabId, restaurant: restaurantId })
+      : null;
+    if (!tab) {
+      throw new NotFoundError('Tab not found');
+    }
+    return tab;
+  }
+
+  async findOpenTab(tabId, restaurantId) {
+    const tab = await this.findTab(tabId, restaurantId);
+    if (tab.status !== 'open') {
+      throw new AppError(`This tab is already ${tab.status}`, 409, 'tab_not_open');
+    }
+    return tab;
+  }
+
+  // Open tabs with their running totals, by table
+  async listOpen(restaurantId) {
+    const tabs = await Tab.find({ restaurant: restaurantId, status: 'open' }).sort({ tableNumber: 1 });
+    const totals = await Order.aggregate([
+      { $match: { tab: { $in: tabs.map(tab => tab._id) }, status: { $ne: 'cancelled' } } },
+      { $group: { _id: '$tab', orders: { $sum: 1 }, total: { $sum: '$total' }, paid: { $sum: '$amountPaid' } } }
+    ]);
+
+    return tabs.map(tab => {
+      const row = totals.find(t => t._id.equals(tab._id)) || { orders: 0, total: 0, paid: 0 };
+      return { tab, orders: row.orders, total: row.total, balance: row.total - row.paid };
+    });
+  }
+
+  // Everything on a tab as one bill. Identical lines from different rounds
+  // are added together.
+  async getBill(tab) {
+    const orders = await Order.find({ tab: tab._id }).sort({ createdAt: 1 });
+    const billable = orders.filter(order => order.status !== 'cancelled');
+
+    const lines = [];
+    billable.forEach(order => {
+      order.items.forEach(item => {
+        const options = (item.modifiers || []).map(m => m.option).join(', ');
+        const existing = lines.find(line =>
+          line.name === item.name && line.unitPrice === item.unitPrice && line.options === options
+        );
+        if (existing) {
+          existing.quantity += item.quantity;
+        } else {
+          lines.push({ name: item.name, unitPrice: item.unitPrice, options, quantity: item.quantity });
+        }
+      });
+    });
+
+    const total = billable.reduce((sum, order) => sum + order.total, 0);
+    const discountTotal = billable.reduce((sum, order) => sum + (order.discountTotal || 0), 0);
+    const serviceCharge = billable.reduce((sum, order) => sum + (order.serviceCharge || 0), 0);
+    const paid = billable.reduce((sum, order) => sum + (order.amountPaid || 0), 0);
+
+    return {
+      orders,
+      lines,
+      discountTotal, // already taken off `total`
+      serviceCharge, // already in `total`, like the taxes
+      taxes: taxService.combine(billable),
+      total,
+      paid,
+      balance: total - paid,
+      activeOrders: billable.filter(order => Order.ACTIVE_STATUSES.includes(order.status))
+    };
+  }
+
+  // The guests moved. Orders keep the table they were placed from; new
+  // orders from the new table join this tab.
+  async moveTab(tabId, tableNumber, restaurantId) {
+    const tab = await this.findOpenTab(tabId, restaurantId);
+    const number = parseInt(tableNumber);
+
+    if (!(await Table.exists({ restaurant: restaurantId, number, active: true }))) {
+      throw new AppError(`There is no table ${tableNumber}`, 400, 'invalid_table');
+    }
+    if (number === tab.tableNumber) {
+      return tab;
+    }
+
+    const alreadyOpen = `Table ${number} already has an open tab. Merge the two tabs instead.`;
+    if (await Tab.exists({ restaurant: restaurantId, tableNumber: number, status: 'open' })) {
+      throw new AppError(alreadyOpen, 409, 'table_has_tab');
+    }
+
+    const from = tab.tableNumber;
+    tab.tableNumber = number;
+    try {
+      await tab.save();
+    } catch (error) {
+      if (error.code === 11000) throw new AppError(alreadyOpen, 409, 'table_has_tab');
+      throw error;
+    }
+
+    console.log(`🔀 Tab moved from table ${from} to table ${number}`);
+    eventStream.publish('tab-updated', { restaurantId: restaurantId.toString(), tabId: tab._id.toString() });
+    return tab;
+  }
+
+  // Put everything on `sourceId` onto `targetId`, e.g. when two tables'
+  // guests want one bill
+  async mergeTabs(sourceId, targetId, restaurantId) {
+    const source = await this.findOpenTab(sourceId, restaurantId);
+    const target = await this.findOpenTab(targetId, restaurantId);
+    if (source._id.equals(target._id)) {
+      throw new AppError("A tab can't be merged into itself", 400, 'same_tab');
+    }
+
+    await Order.updateMany({ tab: source._id }, { $set: { tab: target._id } });
+    await Payment.updateMany({ tab: source._id }, { $set: { tab: target._id } });
+
+    source.status = 'merged';
+    source.mergedInto = target._id;
+    source.closedAt = new Date();
+    await source.save();
+
+    console.log(`🔀 Tab for table ${source.tableNumber} merged into table ${target.tableNumber}`);
+    eventStream.publish('tab-updated', { restaurantId: restaurantId.toString(), tabId: target._id.toString() });
+    return target;
+  }
+
+  // Settle the whole tab in one go: pay whatever each order still owes,
+  // then close it. The tip goes on the last payment, so it's only taken once
+  // everything else is paid. Each payment is its own write: if one fails the
+  // tab stays open, the error says what was already paid, and closing it
+  // again pays the rest.
+  async closeTab(tabId, { method, tip, reference }, cashier, restaurantId) {
+    const tab = await this.findOpenTab(tabId, restaurantId);
+    const bill = await this.getBill(tab);
+    const currency = await restaurantService.currencyFor(restaurantId);
+
+    if (bill.activeOrders.length > 0) {
+      throw new AppError(`${bill.activeOrders.length} order(s) on this tab are still in the kitchen. Serve or cancel them first.`, 409, 'tab_has_active_orders');
+    }
+
+    const unpaid = bill.orders.filter(order => order.status !== 'cancelled' && !order.isFullyPaid());
+    if (unpaid.length === 0 && Number(tip) > 0) {
+      throw new AppError('Everything on this tab is already paid, so there is no payment to put the tip on', 409, 'tab_already_paid');
+    }
+
+    const paid = [];
+    for (const order of unpaid) {
+      const amount = order.balance();
+      const last = paid.length === unpaid.length - 1;
+      try {
+        await paymentService.recordPayment(order._id, {
+          amount,
+          tip: last ? tip : 0,
+          method,
+          reference,
+          tab: tab._id
+        }, cashier, restaurantId);
+      } catch (error) {
+        if (paid.length === 0) throw error;
+
+        const paidTotal = paid.reduce((sum, payment) => sum + payment.amount, 0);
+        console.error(`❌ Closing the tab for table ${tab.tableNumber} stopped after ${paid.length} payment(s):`, error);
+        throw new AppError(
+          `Paid ${paid.length} of ${unpaid.length} orders (${paidTotal.toLocaleString()} ${currency}) before the next payment failed: ${error instanceof AppError ? error.message : 'something went wrong'}. The tab is still open; close it again to pay the rest${Number(tip) > 0 ? ' and the tip' : ''}.`,
+          error instanceof AppError ? error.status : 500,
+          'tab_partly_paid',
+          { paid }
+        );
+      }
+      paid.push({ order: order._id, amount });
+    }
+
+    tab.status = 'closed';
+    tab.closedAt = new Date();
+    tab.closedBy = cashier.username;
+    await tab.save();
+
+    console.log(`🧾 ${cashier.username} closed the tab for table ${tab.tableNumber} (${bill.total.toLocaleString()} ${currency})`);
+    eventStream.publish('tab-updated', { restaurantId: restaurantId.toString(), tabId: tab._id.toString() });
+    return tab;
+  }
+}
+
+// Create singleton instance
+const tabService = new TabService();
+
+module.exports = tabService;
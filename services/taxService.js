@@ -0,0 +1,79 @@
+// services/taxService.js
+const MenuItem = require('../models/MenuItem');
+
+class TaxService {
+  // Fill in each line's tax category from the menu where it isn't known,
+  // e.g. for lines priced from the session cart
+  async withTaxCategories(restaurant, lines) {
+    if (restaurant.taxCategories.length < 2 || lines.every(line => line.taxCategory !== undefined)) {
+      return lines;
+    }
+    const items = await MenuItem.find({ _id: { $in: lines.map(line => line.menuItemId) } }).select('taxCategory');
+    const categories = new Map(items.map(item => [String(item._id), item.taxCategory]));
+    return lines.map(line => ({ ...line, taxCategory: categories.get(String(line.menuItemId)) || '' }));
+  }
+
+  // The branch's service charge and taxes on priced lines
+  // ({ menuItemId, taxCategory, unitPrice, quantity }) once `pricing` (from
+  // promotionService.evaluate) has taken the discounts off.
+  // Returns `pricing` with the charges added and `total` the grand total.
+  async addCharges(restaurant, lines, pricing) {
+    lines = await this.withTaxCategories(restaurant, lines);
+    const net = pricing.subtotal - pricing.discountTotal;
+    const serviceChargeRate = restaurant.serviceChargeRate || 0;
+    // The service charge isn't taxed
+    const serviceCharge = Math.round(net * serviceChargeRate / 100);
+
+    // Line totals per rate, with the discounts shared out in proportion
+    const byCategory = new Map();
+    lines.forEach(line => {
+      const category = restaurant.taxCategoryFor(line.taxCategory);
+      if (!category || !(category.rate > 0)) return;
+      const entry = byCategory.get(category.name) || { name: category.name, rate: category.rate, lineTotal: 0 };
+      entry.lineTotal += line.unitPrice * line.quantity;
+      byCategory.set(category.name, entry);
+    });
+
+    const share = pricing.subtotal > 0 ? net / pricing.subtotal : 0;
+    const taxes = [...byCategory.values()]
+      .map(({ name, rate, lineTotal }) => {
+        const base = Math.round(lineTotal * share);
+        // Prices that include tax hold rate / (100 + rate) of it
+        const amount = Math.round(restaurant.pricesIncludeTax ? base * rate / (100 + rate) : base * rate / 100);
+        return { name, rate, base, amount };
+      })
+      .filter(tax => tax.amount > 0);
+    const taxTotal = taxes.reduce((sum, tax) => sum + tax.amount, 0);
+
+    return {
+      ...pricing,
+      serviceChargeRate,
+      serviceCharge,
+      taxes,
+      taxTotal,
+      pricesIncludeTax: restaurant.pricesIncludeTax,
+      total: net + serviceCharge + (restaurant.pricesIncludeTax ? 0 : taxTotal)
+    };
+  }
+
+  // The taxes on several orders (e.g. a tab), one entry per rate.
+  // `included` entries are part of the total rather than added to it.
+  combine(orders) {
+    const taxes = [];
+    orders.forEach(order => (order.taxes || []).forEach(tax => {
+      const included = order.pricesIncludeTax !== false;
+      const existing = taxes.find(t => t.name === tax.name && t.rate === tax.rate && t.included === included);
+      if (existing) {
+        existing.amount += tax.amount;
+      } else {
+        taxes.push({ name: tax.name, rate: tax.rate, included, amount: tax.amount });
+      }
+    }));
+    return taxes;
+  }
+}
+
+// Create singleton instance
+const taxService = new TaxService();
+
+module.exports = taxService;
@@ -0,0 +1,62 @@
+// test-export.js - Check the order CSV export against a sample order
+//
+//   node test-export.js
+const assert = require('assert');
+const orderExportService = require('./services/orderExportService');
+const { parseCsv, csvCell, toCsv } = require('./utils/csv');
+
+const order = {
+  _id: '675c1a2b3d4e5f6789abcdef',
+  createdAt: new Date(),
+  tableNumber: 4,
+  status: 'received',
+  statusHistory: [],
+  items: [
+    { name: 'Brochette', unitPrice: 3000, quantity: 2, modifiers: [{ option: 'Extra spicy' }], notes: 'no onions, "well done"' },
+    // Guest notes and names go out as written; none of these may run as a formula
+    { name: '=HYPERLINK("http://example.com","Click")', unitPrice: 1000, quantity: 1, modifiers: [], notes: '' },
+    { name: 'Fanta', unitPrice: 1000, quantity: 1, modifiers: [], notes: '+cmd|\' /C calc\'!A0' },
+    { name: '-2+3', unitPrice: 500, quantity: 1, modifiers: [], notes: '@SUM(A1)' },
+    { name: '\tTabbed', unitPrice: 500, quantity: 1, modifiers: [], notes: '' }
+  ],
+  subtotal: 6000,
+  discounts: [{ name: '=Promo', code: '', amount: 500 }],
+  // A refund-style adjustment: negative amounts must stay numbers
+  serviceCharge: -500,
+  discountTotal: 500,
+  total: 5500,
+  amountPaid: 0
+};
+
+console.log('🧪 Checking the order export...');
+
+const exported = [
+  ...orderExportService.lineRows(order, 'Africa/Kigali'),
+  orderExportService.summaryRow(order, [], 'Africa/Kigali')
+];
+
+// Every cell a spreadsheet could read as a formula starts with '
+exported.flat().forEach(value => {
+  const cell = csvCell(value).replace(/^"/, '');
+  if (typeof value === 'number') return;
+  assert(!/^[=+\-@\t\r]/.test(cell), `Unguarded cell: ${cell}`);
+});
+console.log('✅ No cell starts a formula');
+
+// Negative numbers stay numbers, so spreadsheets can still add them up
+const summary = exported[exported.length - 1];
+assert(summary.includes(-500));
+assert.strictEqual(csvCell(-500), '-500');
+assert.strictEqual(csvCell('-12.5'), '-12.5');
+console.log('✅ Negative amounts export as numbers');
+
+// Reading the file back gives the values as written
+const rows = parseCsv(toCsv(exported));
+assert.strictEqual(rows.length, order.items.length + 1);
+assert.strictEqual(rows[0].cells[7], 'Extra spicy, "no onions, "well done""');
+assert.strictEqual(rows[1].cells[6], order.items[1].name);
+assert.strictEqual(rows[2].cells[7], `"${order.items[2].notes}"`);
+assert.strictEqual(rows[3].cells[6], '-2+3');
+assert.strictEqual(rows[4].cells[6], '\tTabbed');
+assert.strictEqual(rows[5].cells.at(-1), '=Promo 500');
+console.log('✅ Values read back unchanged');
@@ -0,0 +1,48 @@
+// test-import.js - Check a menu import against a sample menu, without a database
+//
+//   node test-import.js
+const assert = require('assert');
+const mongoose = require('mongoose');
+const MenuItem = require('./models/MenuItem');
+const Station = require('./models/Station');
+const Menu = require('./models/Menu');
+const Restaurant = require('./models/Restaurant');
+const menuImportService = require('./services/menuImportService');
+
+const restaurantId = new mongoose.Types.ObjectId();
+
+// The menu as it is now: stock has dropped and the soup was 86'd since the export
+const items = [
+  new MenuItem({ restaurant: restaurantId, name: 'Brochette', price: 3000, photo: 'http://example.com/b.jpg', stock: 12 }),
+  new MenuItem({ restaurant: restaurantId, name: 'Soup', price: 2000, photo: 'http://example.com/s.jpg', available: false })
+];
+MenuItem.find = async () => items;
+Station.find = async () => [];
+Menu.find = async () => [];
+Restaurant.findById = async () => null;
+
+// The file as exported earlier, with a new price for the brochette
+const exported = [
+  'name,price,photo,available,stock',
+  'Brochette,3500,http://example.com/b.jpg,yes,20',
+  'Soup,2000,http://example.com/s.jpg,yes,'
+].join('\n');
+
+(async () => {
+  console.log('🧪 Checking the menu import...');
+  const rows = menuImportService.parse('csv', exported);
+
+  const plan = await menuImportService.plan(restaurantId, rows);
+  assert.deepStrictEqual(plan.errors, []);
+  assert.strictEqual(plan.updates.length, 1);
+  assert.deepStrictEqual(plan.updates[0].changes, ['price']);
+  assert.strictEqual(plan.unchanged.length, 1);
+  console.log('✅ Stock and availability changed since the export are kept');
+
+  const overwrite = await menuImportService.plan(restaurantId, rows, { updateStock: true });
+  assert.deepStrictEqual(overwrite.updates.map(update => update.changes), [['price', 'stock'], ['available']]);
+  console.log('✅ They are overwritten when asked');
+})().catch(error => {
+  console.error('❌', error);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+// test-printer.js - Print a sample receipt and kitchen ticket
+//
+//   node test-printer.js              starts a stub printer on port 9100 and
+//                                     dumps what it receives
+//   node test-printer.js 192.168.1.50 sends to a real printer instead
+const net = require('net');
+const printerService = require('./services/printerService');
+const { encodeReceipt, encodeKitchenTicket } = require('./utils/escpos');
+
+const realPrinter = process.argv[2];
+const port = parseInt(process.argv[3]) || 9100;
+
+const receipt = {
+  restaurantName: 'Test Restaurant',
+  title: 'Table 4',
+  number: 'AB12CD34',
+  date: new Date(),
+  currency: 'RWF',
+  lines: [
+    { name: 'Brochette', options: 'Extra spicy', quantity: 2, unitPrice: 3000, amount: 6000 },
+    { name: 'Fanta Citron', options: '', quantity: 1, unitPrice: 1000, amount: 1000 }
+  ],
+  subtotal: 7000,
+  taxes: [{ label: 'Incl. VAT 18%', amount: 1068 }],
+  total: 7000,
+  payments: [{ method: 'cash', methodLabel: 'Cash', amount: 7000, tip: 500, reference: '' }],
+  paid: 7000,
+  tips: 500,
+  balance: 0,
+  footer: 'Thank you!'
+};
+
+const ticket = {
+  orderId: 'test-order-123456',
+  tableNumber: 4,
+  stationName: 'Grill',
+  createdAt: new Date(),
+  items: [{ name: 'Brochette', quantity: 2, options: 'Extra spicy', notes: 'No onions' }]
+};
+
+// Show control bytes as <1b 40> so the text in between stays readable
+function dump(data) {
+  return data.toString('latin1').replace(/[^\x20-\x7e\n]+/g, bytes =>
+    `<${Buffer.from(bytes, 'latin1').toString('hex').match(/../g).join(' ')}>`
+  );
+}
+
+async function send(host) {
+  console.log('🧪 Printing receipt...');
+  await printerService.print(host, port, encodeReceipt(receipt));
+  console.log('🧪 Printing kitchen ticket...');
+  await printerService.print(host, port, encodeKitchenTicket(ticket));
+}
+
+if (realPrinter) {
+  send(realPrinter)
+    .then(() => console.log('✅ Done'))
+    .catch(error => console.error('❌ Print failed:', error.message));
+} else {
+  // Stub printer: collect each connection's bytes
+  const server = net.createServer(socket => {
+    const chunks = [];
+    socket.on('data', chunk => chunks.push(chunk));
+    socket.on('end', () => {
+      const data = Buffer.concat(chunks);
+      console.log(`📥 Stub printer got ${data.length} bytes:\n${dump(data)}\n`);
+    });
+  });
+
+  server.listen(port, '127.0.0.1', async () => {
+    console.log(`✅ Stub printer listening on 127.0.0.1:${port}`);
+    try {
+      await send('127.0.0.1');
+      console.log('✅ Done');
+    } catch (error) {
+      console.error('❌ Print failed:', error.message);
+    }
+    server.close();
+  });
+}
@@ -0,0 +1,99 @@
+// utils/apiSchemas.js
+// Request bodies the JSON API accepts, in the format of utils/validation.js.
+// routes/api.js validates with them and utils/openapi.js documents them.
+const Order = require('../models/Order');
+
+const tokenRequest = {
+  username: { type: 'string', required: true, maxLength: 100 },
+  password: { type: 'string', required: true, maxLength: 200 },
+  code: { type: 'string', maxLength: 10, description: 'Authenticator code, for accounts with two-factor sign-in' }
+};
+
+const modifierGroup = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', required: true, maxLength: 60 },
+    required: { type: 'boolean' },
+    selection: { type: 'string', enum: ['single', 'multi'] },
+    options: {
+      type: 'array',
+      required: true,
+      min: 1,
+      max: 50,
+      items: {
+        type: 'object',
+        fields: {
+          name: { type: 'string', required: true, maxLength: 60 },
+          priceDelta: { type: 'number' }
+        }
+      }
+    }
+  }
+};
+
+const menuItem = {
+  sku: { type: 'string', maxLength: 40, nullable: true, description: 'Unique within the branch' },
+  name: { type: 'string', required: true, maxLength: 100 },
+  price: { type: 'number', required: true, min: 0 },
+  photo: { type: 'string', required: true, maxLength: 500, description: 'Photo URL' },
+  category: { type: 'string', maxLength: 60 },
+  available: { type: 'boolean', description: 'False when the item is 86\'d' },
+  stock: { type: 'integer', min: 0, nullable: true, description: 'Portions left; null when not tracked' },
+  taxCategory: { type: 'string', maxLength: 40, description: 'One of the branch\'s tax categories; empty for its default' },
+  station: { type: 'objectId', nullable: true, description: 'Station ID, overriding the one picked by category' },
+  menus: { type: 'array', max: 20, items: { type: 'objectId' }, description: 'IDs of the timed menus it is on; none means served all day' },
+  modifierGroups: { type: 'array', max: 20, items: modifierGroup }
+};
+
+const cart = {
+  tableNumber: { type: 'integer', min: 1, nullable: true }
+};
+
+const cartItem = {
+  menuItem: { type: 'objectId', required: true, description: 'Menu item ID' },
+  quantity: { type: 'integer', min: 1, max: 99 },
+  modifiers: {
+    type: 'array',
+    max: 50,
+    items: {
+      type: 'object',
+      fields: {
+        group: { type: 'string', required: true },
+        option: { type: 'string', required: true }
+      }
+    }
+  },
+  notes: { type: 'string', maxLength: 140 }
+};
+
+const cartLine = {
+  quantity: { type: 'integer', required: true, min: 1, max: 99 }
+};
+
+const promoCode = { type: 'string', maxLength: 20, nullable: true, description: 'Promo code; promotions without a code apply by themselves' };
+
+const checkout = {
+  tableNumber: { type: 'integer', min: 1, description: 'Defaults to the cart\'s table' },
+  promoCode
+};
+
+const order = {
+  tableNumber: { type: 'integer', required: true, min: 1 },
+  items: { type: 'array', required: true, min: 1, max: 100, items: { type: 'object', fields: cartItem } },
+  promoCode
+};
+
+const statusChange = {
+  status: { type: 'string', required: true, enum: Order.STATUSES }
+};
+
+module.exports = {
+  tokenRequest,
+  menuItem,
+  cart,
+  cartItem,
+  cartLine,
+  checkout,
+  order,
+  statusChange
+};
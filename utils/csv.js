@@ -0,0 +1,85 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV: quoted fields may hold commas, quotes ("") and
+// line breaks. Good enough for spreadsheets exporting and importing menus.
+
+// Spreadsheets run cells starting with one of these as formulas. Plain
+// numbers (e.g. a negative adjustment) aren't formulas and stay numbers.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+function looksLikeFormula(text) {
+  return FORMULA_START.test(text) && !NUMBER.test(text);
+}
+
+// Parse CSV text into [{ line, cells }], where line is the row's first line
+// in the file (for error messages). Blank lines are skipped.
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, ''); // Excel's BOM
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    // Undo csvCell's formula guard, so exported files import unchanged
+    row.push(field.startsWith("'") && looksLikeFormula(field.slice(1)) ? field.slice(1) : field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push({ line: rowLine, cells: row });
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+// Text a spreadsheet would read as a formula (e.g. a guest note of
+// "=HYPERLINK(...)") gets a leading ' so it shows as written
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value !== 'number' && looksLikeFormula(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of values to CSV text, with CRLF line ends for spreadsheets
+function toCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  csvCell,
+  toCsv
+};
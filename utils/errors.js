@@ -0,0 +1,48 @@
+// utils/errors.js
+
+// Base class for errors that are safe to show to the user.
+// `status` is the HTTP status code routes should respond with.
+class AppError extends Error {
+  constructor(message, status = 400, code = 'bad_request', details = undefined) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found') {
+    super(message, 404, 'not_found');
+  }
+}
+
+class InvalidTransitionError extends AppError {
+  constructor(from, to) {
+    super(`Cannot change order status from "${from}" to "${to}"`, 409, 'invalid_transition', { from, to });
+  }
+}
+
+// `items` lists each unavailable item: { menuItemId, name, requested, remaining }
+class OutOfStockError extends AppError {
+  constructor(items) {
+    const names = items.map(item => item.name).join(', ');
+    super(`Sorry, some items are no longer available: ${names}`, 409, 'out_of_stock', items);
+  }
+}
+
+// `changes` lists each cart line whose price moved: { lineId, name, oldPrice, newPrice }
+class PriceChangedError extends AppError {
+  constructor(changes) {
+    super('Some prices have changed since you added them to your cart', 409, 'price_changed', changes);
+  }
+}
+
+module.exports = {
+  AppError,
+  NotFoundError,
+  InvalidTransitionError,
+  OutOfStockError,
+  PriceChangedError
+};
@@ -0,0 +1,148 @@
+// utils/escpos.js
+// Builds raw ESC/POS byte streams for 80mm thermal printers (Epson and
+// the many compatibles). Receipts and kitchen tickets share the builder.
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+// Printers start in code page 437, so stick to plain ASCII
+function toPrintable(text) {
+  return String(text)
+    .replace(/×/g, 'x')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '?');
+}
+
+class EscPosBuilder {
+  constructor({ width = 42 } = {}) {
+    this.width = width; // characters per line in the normal font
+    this.chunks = [];
+    this.raw(ESC, 0x40); // reset
+  }
+
+  raw(...bytes) {
+    this.chunks.push(Buffer.from(bytes));
+    return this;
+  }
+
+  text(value) {
+    this.chunks.push(Buffer.from(toPrintable(value), 'ascii'));
+    return this;
+  }
+
+  line(value = '') {
+    return this.text(value).raw(LF);
+  }
+
+  align(position) {
+    return this.raw(ESC, 0x61, ALIGN[position] || 0);
+  }
+
+  bold(on) {
+    return this.raw(ESC, 0x45, on ? 1 : 0);
+  }
+
+  // 1 or 2 times normal width and height
+  size(width, height = width) {
+    return this.raw(GS, 0x21, ((width - 1) << 4) | (height - 1));
+  }
+
+  rule(char = '-') {
+    return this.line(char.repeat(this.width));
+  }
+
+  // Text on the left, amount on the right, wrapping long left text
+  row(left, right = '') {
+    const rightText = toPrintable(right);
+    const room = Math.max(1, this.width - rightText.length - 1);
+    let remaining = toPrintable(left);
+
+    while (remaining.length > room) {
+      this.line(remaining.slice(0, room));
+      remaining = remaining.slice(room);
+    }
+    return this.line(remaining.padEnd(this.width - rightText.length) + rightText);
+  }
+
+  feed(lines = 1) {
+    return this.raw(ESC, 0x64, lines);
+  }
+
+  // Feed past the cutter and partially cut
+  cut() {
+    return this.raw(GS, 0x56, 66, 0);
+  }
+
+  build() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+const money = amount => `${Number(amount || 0).toLocaleString('en-US')}`;
+
+// `receipt` comes from receiptService
+function encodeReceipt(receipt, options = {}) {
+  const p = new EscPosBuilder(options);
+
+  p.align('center').bold(true).size(2).line(receipt.restaurantName).size(1).bold(false);
+  p.line(receipt.title);
+  p.line(new Date(receipt.date).toLocaleString());
+  p.line(`No. ${receipt.number}`);
+  p.align('left').rule();
+
+  receipt.lines.forEach(line => {
+    p.row(`${line.quantity} x ${line.name}`, money(line.amount));
+    if (line.options) p.line(`   ${line.options}`);
+  });
+
+  p.rule();
+  p.row('Subtotal', money(receipt.subtotal));
+  (receipt.discounts || []).forEach(discount => p.row(discount.label, money(-discount.amount)));
+  if (receipt.serviceCharge > 0) p.row('Service charge', money(receipt.serviceCharge));
+  (receipt.taxes || []).forEach(tax => p.row(tax.label, money(tax.amount)));
+  p.bold(true).row(`TOTAL ${receipt.currency}`, money(receipt.total)).bold(false);
+
+  if (receipt.payments.length > 0) {
+    p.rule();
+    receipt.payments.forEach(payment => {
+      p.row(payment.methodLabel, money(payment.amount));
+      if (payment.tip > 0) p.row('  Tip', money(payment.tip));
+    });
+    p.row('Balance', money(receipt.balance));
+  }
+
+  p.feed(1).align('center').line(receipt.footer).feed(3).cut();
+  return p.build();
+}
+
+// A station's share of an order, for a kitchen printer instead of an LCD
+function encodeKitchenTicket(ticket, options = {}) {
+  const p = new EscPosBuilder(options);
+
+  p.align('center').bold(true).size(2).line(ticket.stationName).line(`TABLE ${ticket.tableNumber}`).size(1).bold(false);
+  p.line(new Date(ticket.createdAt).toLocaleTimeString());
+  p.line(`#${ticket.orderId.slice(-6)}`);
+  p.align('left').rule('=');
+
+  ticket.items.forEach(item => {
+    p.bold(true).size(1, 2).line(`${item.quantity} x ${item.name}`).size(1).bold(false);
+    if (item.options) p.line(`   ${item.options}`);
+    if (item.notes) p.line(`   "${item.notes}"`);
+  });
+
+  p.rule('=').feed(3).cut();
+  return p.build();
+}
+
+module.exports = {
+  EscPosBuilder,
+  encodeReceipt,
+  encodeKitchenTicket,
+  toPrintable
+};
@@ -0,0 +1,52 @@
+// utils/menuPhotos.js
+// Where uploaded menu photos live. Each upload is stored as a full-size
+// image and a thumbnail beside it:
+//   /uploads/menu/<name>.webp        (at most FULL_SIZE px)
+//   /uploads/menu/<name>-thumb.webp  (at most THUMB_SIZE px)
+// Photos given as URLs elsewhere have no thumbnail.
+const path = require('path');
+
+const UPLOAD_URL = '/uploads/menu';
+const UPLOAD_DIR = path.join(__dirname, '..', 'public', 'uploads', 'menu');
+const UPLOADED_PATTERN = /^\/uploads\/menu\/([a-f0-9]{32})\.webp$/;
+
+const FULL_SIZE = 1200;
+const THUMB_SIZE = 480;
+
+// Largest file accepted for upload
+const MAX_UPLOAD_MB = parseInt(process.env.MENU_PHOTO_MAX_MB) || 5;
+
+// The upload's name, or null for photos hosted elsewhere
+function uploadName(photo) {
+  const match = typeof photo === 'string' && photo.match(UPLOADED_PATTERN);
+  return match ? match[1] : null;
+}
+
+function photoUrl(name) {
+  return `${UPLOAD_URL}/${name}.webp`;
+}
+
+// Small version for menu cards and carts; other photos are used as they are
+function thumbnailUrl(photo) {
+  const name = uploadName(photo);
+  return name ? `${UPLOAD_URL}/${name}-thumb.webp` : photo;
+}
+
+// Files on disk for an uploaded photo: { full, thumb }
+function photoFiles(name) {
+  return {
+    full: path.join(UPLOAD_DIR, `${name}.webp`),
+    thumb: path.join(UPLOAD_DIR, `${name}-thumb.webp`)
+  };
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  FULL_SIZE,
+  THUMB_SIZE,
+  MAX_UPLOAD_MB,
+  uploadName,
+  photoUrl,
+  thumbnailUrl,
+  photoFiles
+};
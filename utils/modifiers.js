@@ -0,0 +1,129 @@
+// utils/modifiers.js
+const crypto = require('crypto');
+const { AppError } = require('./errors');
+
+// Room left on a 20-char kitchen LCD line after a two-space indent
+const LCD_MODIFIER_WIDTH = 18;
+
+// Parse the admin textarea format, one group per line:
+//   Size (required): Small, Large +500
+//   Extras (multi): Cheese +300, Bacon +500
+function parseModifierGroups(text) {
+  if (!text || !text.trim()) return [];
+
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      const match = line.match(/^([^(:]+?)\s*(?:\(([^)]*)\))?\s*:\s*(.+)$/);
+      if (!match) {
+        throw new AppError(`Modifier line ${index + 1} should look like "Size (required): Small, Large +500"`);
+      }
+
+      const [, name, flagText = '', optionText] = match;
+      const flags = flagText.split(',').map(flag => flag.trim().toLowerCase());
+
+      const options = optionText.split(',')
+        .map(option => option.trim())
+        .filter(Boolean)
+        .map(option => {
+          const optionMatch = option.match(/^(.+?)\s*([+-]\s*\d+(?:\.\d+)?)?$/);
+          return {
+            name: optionMatch[1].trim(),
+            priceDelta: optionMatch[2] ? parseFloat(optionMatch[2].replace(/\s/g, '')) : 0
+          };
+        });
+
+      if (options.length === 0) {
+        throw new AppError(`Modifier group "${name}" needs at least one option`);
+      }
+
+      return {
+        name: name.trim(),
+        required: flags.includes('required'),
+        selection: flags.includes('multi') ? 'multi' : 'single',
+        options
+      };
+    });
+}
+
+// Inverse of parseModifierGroups, for editing
+function formatModifierGroups(groups) {
+  return (groups || []).map(group => {
+    const flags = [];
+    if (group.required) flags.push('required');
+    if (group.selection === 'multi') flags.push('multi');
+
+    const options = group.options.map(option => {
+      if (!option.priceDelta) return option.name;
+      return `${option.name} ${option.priceDelta > 0 ? '+' : '-'}${Math.abs(option.priceDelta)}`;
+    });
+
+    return `${group.name}${flags.length ? ` (${flags.join(', ')})` : ''}: ${options.join(', ')}`;
+  }).join('\n');
+}
+
+// Check a guest's selections ([{ group, option }]) against the menu item and
+// return the chosen modifiers with their price deltas, in menu order.
+function resolveModifiers(menuItem, selections = []) {
+  const groups = menuItem.modifierGroups || [];
+  const resolved = [];
+
+  selections.forEach(selection => {
+    const group = groups.find(g => g.name === selection.group);
+    if (!group || !group.options.some(o => o.name === selection.option)) {
+      throw new AppError(`"${selection.option}" is not an option for ${menuItem.name}`);
+    }
+  });
+
+  groups.forEach(group => {
+    const chosen = group.options.filter(option =>
+      selections.some(s => s.group === group.name && s.option === option.name)
+    );
+
+    if (group.required && chosen.length === 0) {
+      throw new AppError(`Please choose a ${group.name.toLowerCase()} for ${menuItem.name}`);
+    }
+    if (group.selection === 'single' && chosen.length > 1) {
+      throw new AppError(`Please choose only one ${group.name.toLowerCase()} for ${menuItem.name}`);
+    }
+
+    chosen.forEach(option => {
+      resolved.push({ group: group.name, option: option.name, priceDelta: option.priceDelta || 0 });
+    });
+  });
+
+  return resolved;
+}
+
+function modifiersTotal(modifiers = []) {
+  return modifiers.reduce((sum, modifier) => sum + (modifier.priceDelta || 0), 0);
+}
+
+// Cart lines are unique per dish + options + note
+function buildLineKey(menuItemId, modifiers = [], notes = '') {
+  const signature = [
+    menuItemId.toString(),
+    modifiers.map(m => `${m.group}:${m.option}`).join(';'),
+    notes.trim().toLowerCase()
+  ].join('|');
+
+  return crypto.createHash('sha1').update(signature).digest('hex').slice(0, 12);
+}
+
+// One LCD line describing the options, e.g. "Large,Cheese/no onion"
+function compactModifiers(modifiers = [], notes = '') {
+  const parts = [modifiers.map(m => m.option).join(',')];
+  if (notes && notes.trim()) parts.push(notes.trim());
+
+  return parts.filter(Boolean).join('/').substring(0, LCD_MODIFIER_WIDTH);
+}
+
+module.exports = {
+  parseModifierGroups,
+  formatModifierGroups,
+  resolveModifiers,
+  modifiersTotal,
+  buildLineKey,
+  compactModifiers
+};
@@ -2,38 +2,37 @@
 const mqttService = require('../services/mqttService');
 
 class MQTTTester {
-  // Test publishing a new order (simulate order creation)
-  static async testNewOrder() {
+  // Test publishing a new order (simulate order creation) on a branch's topics
+  static async testNewOrder(restaurant) {
     const mockOrder = {
       _id: '507f1f77bcf86cd799439011',
+      restaurant: restaurant._id,
       tableNumber: 5,
       items: [
         {
-          menuItem: {
-            name: 'Burger Deluxe',
-            _id: '507f1f77bcf86cd799439012'
-          },
+          menuItem: '507f1f77bcf86cd799439012',
+          name: 'Burger Deluxe',
+          unitPrice: 6000,
           quantity: 2
         },
         {
-          menuItem: {
-            name: 'French Fries',
-            _id: '507f1f77bcf86cd799439013'
-          },
+          menuItem: '507f1f77bcf86cd799439013',
+          name: 'French Fries',
+          unitPrice: 3000,
           quantity: 1
         }
       ],
       total: 15000,
-      status: 'pending'
+      status: 'received'
     };
 
     console.log('🧪 Testing MQTT new order publication...');
-    const result = await mqttService.publishNewOrder(mockOrder);
+    const result = await mqttService.publishNewOrder(mockOrder, restaurant);
     return result;
   }
 
   // Test order completion (simulate IoT device completing order)
-  static testOrderCompletion(orderId = '507f1f77bcf86cd799439011') {
+  static testOrderCompletion(restaurant, orderId = '507f1f77bcf86cd799439011', stationCode = null) {
     console.log('🧪 Testing MQTT order completion...');
     
     if (!mqttService.isClientConnected()) {
@@ -43,12 +42,12 @@ class MQTTTester {
 
     // Simulate an IoT device sending order completion
     const completionMessage = JSON.stringify({ orderId });
-    mqttService.publishTestMessage('KY/RESTO/ORDER/DONE', completionMessage);
+    mqttService.publishTestMessage(mqttService.topicFor(restaurant, mqttService.topics.ORDER_DONE, stationCode), completionMessage);
     return true;
   }
 
   // Test with just order ID as string (simpler format)
-  static testOrderCompletionSimple(orderId = '507f1f77bcf86cd799439011') {
+  static testOrderCompletionSimple(restaurant, orderId = '507f1f77bcf86cd799439011', stationCode = null) {
     console.log('🧪 Testing MQTT order completion (simple format)...');
     
     if (!mqttService.isClientConnected()) {
@@ -57,17 +56,21 @@ class MQTTTester {
     }
 
     // Simulate an IoT device sending just the order ID
-    mqttService.publishTestMessage('KY/RESTO/ORDER/DONE', orderId);
+    mqttService.publishTestMessage(mqttService.topicFor(restaurant, mqttService.topics.ORDER_DONE, stationCode), orderId);
     return true;
   }
 
-  // Check MQTT connection status
-  static getStatus() {
+  // Check MQTT connection status and a branch's topics
+  static getStatus(restaurant) {
+    const topics = mqttService.topicsFor(restaurant);
     return {
       connected: mqttService.isClientConnected(),
       topics: {
-        newOrder: 'KY/RESTO/ORDER/NEW',
-        orderDone: 'KY/RESTO/ORDER/DONE'
+        newOrder: topics.NEW_ORDER,
+        orderDone: topics.ORDER_DONE,
+        orderAck: topics.ORDER_ACK,
+        deviceHeartbeat: `${topics.DEVICE_HEARTBEAT}/+`,
+        deviceStatus: `${topics.DEVICE_STATUS}/+`
       }
     };
   }
@@ -0,0 +1,404 @@
+// utils/openapi.js
+// OpenAPI 3 description of /api/v1 (routes/api.js), served at
+// /api/v1/openapi.json. Request bodies come from utils/apiSchemas.js, the
+// same definitions the routes validate with.
+const Order = require('../models/Order');
+const Promotion = require('../models/Promotion');
+const schemas = require('./apiSchemas');
+const { toJsonSchema } = require('./validation');
+const { SORTS } = require('./orderFilters');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const id = { type: 'string', pattern: '^[a-f0-9]{24}$' };
+const date = { type: 'string', format: 'date-time' };
+
+const modifier = {
+  type: 'object',
+  properties: { group: { type: 'string' }, option: { type: 'string' }, priceDelta: { type: 'number' } }
+};
+
+const components = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', example: 'validation_failed' },
+          message: { type: 'string' },
+          details: {
+            description: 'For validation_failed, a list of { field, message }; for price_changed, the lines whose price moved',
+            oneOf: [
+              { type: 'array', items: { type: 'object' } },
+              { type: 'object' }
+            ]
+          }
+        }
+      }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer' },
+      perPage: { type: 'integer' },
+      total: { type: 'integer' },
+      pages: { type: 'integer' }
+    }
+  },
+  Token: {
+    type: 'object',
+    properties: {
+      token: { type: 'string' },
+      tokenType: { type: 'string', enum: ['Bearer'] },
+      expiresAt: date
+    }
+  },
+  Me: {
+    type: 'object',
+    properties: {
+      id,
+      username: { type: 'string' },
+      role: { type: 'string' },
+      restaurant: { type: 'object', properties: { id, name: { type: 'string' }, slug: { type: 'string' } } }
+    }
+  },
+  Category: {
+    type: 'object',
+    properties: { name: { type: 'string' }, items: { type: 'integer' } }
+  },
+  MenuItem: {
+    type: 'object',
+    properties: {
+      id,
+      sku: { type: 'string', nullable: true },
+      name: { type: 'string' },
+      price: { type: 'number' },
+      photo: { type: 'string' },
+      thumbnail: { type: 'string', description: 'Smaller version for lists; the photo itself when it isn\'t an upload' },
+      category: { type: 'string' },
+      available: { type: 'boolean' },
+      soldOut: { type: 'boolean' },
+      stock: { type: 'integer', nullable: true },
+      station: { ...id, nullable: true },
+      menus: { type: 'array', items: id, description: 'Timed menus it is on; empty means served all day' },
+      taxCategory: { type: 'string', description: 'Tax category name; empty for the branch default' },
+      modifierGroups: toJsonSchema({ groups: schemas.menuItem.modifierGroups }).properties.groups,
+      createdAt: date,
+      updatedAt: date
+    }
+  },
+  MenuItemInput: toJsonSchema(schemas.menuItem),
+  Cart: {
+    type: 'object',
+    properties: {
+      id,
+      tableNumber: { type: 'integer', nullable: true },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            lineId: { type: 'string' },
+            menuItem: id,
+            name: { type: 'string' },
+            unitPrice: { type: 'number' },
+            quantity: { type: 'integer' },
+            modifiers: { type: 'array', items: modifier },
+            notes: { type: 'string' },
+            lineTotal: { type: 'number' }
+          }
+        }
+      },
+      total: { type: 'number' },
+      expiresAt: date
+    }
+  },
+  Order: {
+    type: 'object',
+    properties: {
+      id,
+      tableNumber: { type: 'integer' },
+      status: { type: 'string', enum: Order.STATUSES },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id,
+            menuItem: id,
+            name: { type: 'string' },
+            unitPrice: { type: 'number' },
+            quantity: { type: 'integer' },
+            modifiers: { type: 'array', items: modifier },
+            notes: { type: 'string' },
+            lineTotal: { type: 'number' }
+          }
+        }
+      },
+      subtotal: { type: 'number', description: 'Line totals before discounts' },
+      discounts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            code: { type: 'string', nullable: true },
+            type: { type: 'string', enum: Promotion.TYPES },
+            amount: { type: 'number' }
+          }
+        }
+      },
+      discountTotal: { type: 'number' },
+      serviceChargeRate: { type: 'number', description: 'Percent of the discounted subtotal' },
+      serviceCharge: { type: 'number' },
+      taxes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            rate: { type: 'number', description: 'Percent' },
+            base: { type: 'number', description: 'Amount the rate applied to, after discounts' },
+            amount: { type: 'number' }
+          }
+        }
+      },
+      taxTotal: { type: 'number' },
+      pricesIncludeTax: { type: 'boolean', description: 'True when the taxes are part of the line prices rather than added to the total' },
+      total: { type: 'number', description: 'Subtotal less discounts, plus the service charge and any added taxes' },
+      amountPaid: { type: 'number' },
+      balance: { type: 'number' },
+      tab: { ...id, nullable: true },
+      tickets: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            stationCode: { type: 'string', nullable: true },
+            stationName: { type: 'string' },
+            status: { type: 'string', enum: ['pending', 'done'] },
+            deliveredAt: { ...date, nullable: true },
+            completedAt: { ...date, nullable: true }
+          }
+        }
+      },
+      statusHistory: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', nullable: true },
+            to: { type: 'string' },
+            at: date,
+            actorType: { type: 'string', enum: ['user', 'guest', 'device', 'system'] },
+            actor: { type: 'string' },
+            source: { type: 'string' }
+          }
+        }
+      },
+      createdAt: date,
+      updatedAt: date
+    }
+  }
+};
+
+// ---------- BUILDING BLOCKS ----------
+
+const json = schema => ({ 'application/json': { schema } });
+
+const body = fields => ({ required: true, content: json(toJsonSchema(fields)) });
+
+const one = (name, description = 'OK') => ({ description, content: json({ type: 'object', properties: { data: ref(name) } }) });
+
+const list = (name, { paginated = true } = {}) => ({
+  description: 'OK',
+  content: json({
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: ref(name) },
+      ...(paginated ? { pagination: ref('Pagination') } : {})
+    }
+  })
+});
+
+const error = description => ({ description, content: json(ref('Error')) });
+
+const errors = {
+  400: error('Malformed request'),
+  401: error('Missing, expired or revoked key or token'),
+  403: error('The role doesn\'t allow this'),
+  404: error('Not found in this branch'),
+  409: error('Conflicts with the current state (stock, prices, promotions, status, duplicate SKU)'),
+  422: error('Validation failed; details lists each field (invalid_promo_code for a code that can\'t be used)')
+};
+
+// Standard responses plus the listed error statuses
+const responses = (success, ...statuses) => ({
+  ...success,
+  ...Object.fromEntries([400, 401, 403, ...statuses].map(status => [status, errors[status]]))
+});
+
+const pathId = (name, description) => ({ name, in: 'path', required: true, schema: { type: 'string' }, description });
+
+const query = (name, schema, description) => ({ name, in: 'query', schema, description });
+
+const pageParams = [
+  query('page', { type: 'integer', minimum: 1, default: 1 }),
+  query('perPage', { type: 'integer', minimum: 1, maximum: 100, default: 25 })
+];
+
+function buildOpenApi() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Restaurant Order API',
+      version: '1.0.0',
+      description: 'Menu and order access for staff apps. Authenticate with an API key (created on the account page) ' +
+        'or a token from POST /auth/token, sent as "Authorization: Bearer <secret>" or "X-API-Key: <secret>". ' +
+        'Requests act as the key\'s user, with that user\'s role and branch.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ bearer: [] }, { apiKey: [] }],
+    components: {
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: components
+    },
+    paths: {
+      '/openapi.json': {
+        get: { summary: 'This document', security: [], responses: { 200: { description: 'OK' } } }
+      },
+      '/auth/token': {
+        post: {
+          summary: 'Sign in for a short-lived token',
+          security: [],
+          requestBody: body(schemas.tokenRequest),
+          responses: {
+            201: one('Token', 'Created'),
+            400: errors[400],
+            401: error('Wrong username, password or code (totp_required when a code is needed)'),
+            422: errors[422],
+            423: error('Account locked after too many failed attempts'),
+            429: error('Too many attempts from this address')
+          }
+        },
+        delete: {
+          summary: 'Revoke the key or token used for this request',
+          responses: { 204: { description: 'Revoked' }, 401: errors[401] }
+        }
+      },
+      '/me': {
+        get: { summary: 'The user and branch the key acts as', responses: { 200: one('Me'), 401: errors[401] } }
+      },
+      '/categories': {
+        get: { summary: 'Menu categories with their item counts', responses: responses({ 200: list('Category', { paginated: false }) }) }
+      },
+      '/menu-items': {
+        get: {
+          summary: 'List menu items',
+          parameters: [
+            query('category', { type: 'string' }),
+            query('available', { type: 'boolean' }),
+            query('q', { type: 'string' }, 'Part of the name'),
+            ...pageParams
+          ],
+          responses: responses({ 200: list('MenuItem') }, 422)
+        },
+        post: {
+          summary: 'Add a menu item (menu:edit)',
+          requestBody: { required: true, content: json(ref('MenuItemInput')) },
+          responses: responses({ 201: one('MenuItem', 'Created') }, 409, 422)
+        }
+      },
+      '/menu-items/{id}': {
+        parameters: [pathId('id', 'Menu item ID')],
+        get: { summary: 'Get a menu item', responses: responses({ 200: one('MenuItem') }, 404) },
+        patch: {
+          summary: 'Change some of a menu item\'s fields (menu:edit). A null or empty sku removes it.',
+          requestBody: { required: true, content: json({ ...components.MenuItemInput, required: undefined }) },
+          responses: responses({ 200: one('MenuItem') }, 404, 409, 422)
+        },
+        delete: { summary: 'Delete a menu item (menu:edit)', responses: responses({ 204: { description: 'Deleted' } }, 404) }
+      },
+      '/carts': {
+        post: {
+          summary: 'Start a cart (orders:update). Carts are removed after a day untouched.',
+          requestBody: { required: false, content: json(toJsonSchema(schemas.cart)) },
+          responses: responses({ 201: one('Cart', 'Created') }, 422)
+        }
+      },
+      '/carts/{id}': {
+        parameters: [pathId('id', 'Cart ID')],
+        get: { summary: 'Get a cart', responses: responses({ 200: one('Cart') }, 404) }
+      },
+      '/carts/{id}/items': {
+        parameters: [pathId('id', 'Cart ID')],
+        post: {
+          summary: 'Add a menu item; the same item with the same options and notes goes on the same line',
+          requestBody: body(schemas.cartItem),
+          responses: responses({ 201: one('Cart', 'Added') }, 404, 409, 422)
+        }
+      },
+      '/carts/{id}/items/{lineId}': {
+        parameters: [pathId('id', 'Cart ID'), pathId('lineId', 'Cart line ID')],
+        patch: {
+          summary: 'Change a line\'s quantity',
+          requestBody: body(schemas.cartLine),
+          responses: responses({ 200: one('Cart') }, 404, 422)
+        },
+        delete: { summary: 'Remove a line', responses: responses({ 200: one('Cart') }, 404) }
+      },
+      '/carts/{id}/checkout': {
+        parameters: [pathId('id', 'Cart ID')],
+        post: {
+          summary: 'Place the cart as an order. On 409 price_changed the cart has the new prices; check out again to accept them.',
+          requestBody: { required: false, content: json(toJsonSchema(schemas.checkout)) },
+          responses: responses({ 201: one('Order', 'Created') }, 404, 409, 422)
+        }
+      },
+      '/orders': {
+        get: {
+          summary: 'List orders, newest first by default',
+          parameters: [
+            query('status', { type: 'string', enum: ['active', ...Order.STATUSES] }),
+            query('table', { type: 'integer' }),
+            query('zone', { type: 'string' }),
+            query('item', id, 'Orders containing this menu item'),
+            query('from', { type: 'string', format: 'date' }),
+            query('to', { type: 'string', format: 'date' }),
+            query('q', { type: 'string' }, 'Item names and notes, or the order ID or its last characters'),
+            query('sort', { type: 'string', enum: Object.keys(SORTS), default: 'newest' }),
+            ...pageParams
+          ],
+          responses: responses({ 200: list('Order') }, 422)
+        },
+        post: {
+          summary: 'Place an order in one request (orders:update)',
+          requestBody: body(schemas.order),
+          responses: responses({ 201: one('Order', 'Created') }, 404, 409, 422)
+        }
+      },
+      '/orders/{id}': {
+        parameters: [pathId('id', 'Order ID')],
+        get: { summary: 'Get an order', responses: responses({ 200: one('Order') }, 404) }
+      },
+      '/orders/{id}/status': {
+        parameters: [pathId('id', 'Order ID')],
+        post: {
+          summary: 'Move an order to another status (paid needs orders:pay, others orders:update)',
+          requestBody: body(schemas.statusChange),
+          responses: responses({ 200: one('Order') }, 404, 409, 422)
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApi
+};
@@ -0,0 +1,67 @@
+// utils/orderFilters.js
+// The admin order list's filters, kept in the URL so views can be
+// bookmarked (e.g. /admin/orders?status=active&zone=Terrace)
+const { isDay } = require('./schedule');
+
+const SORTS = {
+  newest: { label: 'Newest first', sort: { createdAt: -1 } },
+  oldest: { label: 'Oldest first', sort: { createdAt: 1 } },
+  total_desc: { label: 'Highest total', sort: { total: -1, createdAt: -1 } },
+  total_asc: { label: 'Lowest total', sort: { total: 1, createdAt: -1 } },
+  table: { label: 'Table number', sort: { tableNumber: 1, createdAt: -1 } }
+};
+
+const PAGE_SIZES = [12, 24, 48, 96];
+const DEFAULT_PAGE_SIZE = 24;
+
+// Normalise query parameters, dropping anything unusable. Statuses are
+// checked by the caller, which knows the valid ones.
+function parseOrderFilters(query) {
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+  const table = parseInt(query.table);
+  const perPage = parseInt(query.perPage);
+
+  return {
+    status: text(query.status),
+    table: table > 0 ? table : null,
+    zone: text(query.zone),
+    item: /^[a-f0-9]{24}$/i.test(text(query.item)) ? text(query.item) : '',
+    from: isDay(text(query.from)) ? text(query.from) : '',
+    to: isDay(text(query.to)) ? text(query.to) : '',
+    q: text(query.q).slice(0, 100),
+    sort: SORTS[query.sort] ? query.sort : 'newest',
+    page: Math.max(1, parseInt(query.page) || 1),
+    perPage: PAGE_SIZES.includes(perPage) ? perPage : DEFAULT_PAGE_SIZE
+  };
+}
+
+// Whether any filter narrows the list (sorting and paging don't count)
+function isFiltered(filters) {
+  return Boolean(filters.status || filters.table || filters.zone || filters.item || filters.from || filters.to || filters.q);
+}
+
+// Query string for `filters` with some values changed, leaving out defaults
+// so URLs stay short. e.g. filterQuery(filters, { page: 2 })
+function filterQuery(filters, changes = {}) {
+  const values = { ...filters, ...changes };
+  const params = new URLSearchParams();
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === '' || value === null || value === undefined) return;
+    if (key === 'sort' && value === 'newest') return;
+    if (key === 'page' && value === 1) return;
+    if (key === 'perPage' && value === DEFAULT_PAGE_SIZE) return;
+    params.set(key, value);
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+module.exports = {
+  SORTS,
+  PAGE_SIZES,
+  parseOrderFilters,
+  isFiltered,
+  filterQuery
+};
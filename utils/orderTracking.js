@@ -0,0 +1,73 @@
+// utils/orderTracking.js
+
+// Average time from order to table, used for the guest-facing estimate
+const ESTIMATED_PREP_MINUTES = parseInt(process.env.ESTIMATED_PREP_MINUTES) || 20;
+
+// Steps shown to the guest, in order
+const TRACKING_STEPS = [
+  { key: 'received', label: 'Order received' },
+  { key: 'preparing', label: 'Being prepared' },
+  { key: 'ready', label: 'Ready' },
+  { key: 'served', label: 'On its way' }
+];
+
+// Map an order status onto the guest-facing step
+const STEP_FOR_STATUS = {
+  received: 'received',
+  accepted: 'received',
+  preparing: 'preparing',
+  ready: 'ready',
+  served: 'served',
+  paid: 'served',
+  cancelled: 'cancelled'
+};
+
+function stepForStatus(status) {
+  return STEP_FOR_STATUS[status] || 'received';
+}
+
+function messageForStep(step, order) {
+  switch (step) {
+    case 'served':
+      return `Your food is on its way to Table ${order.tableNumber}!`;
+    case 'ready':
+      return 'Your order is ready and will be with you shortly.';
+    case 'preparing':
+      return 'The kitchen is preparing your order.';
+    case 'cancelled':
+      return 'This order was cancelled. Please ask a member of staff for help.';
+    default:
+      return 'We have received your order.';
+  }
+}
+
+// Build the JSON status shown on the guest tracking page
+function buildTrackingStatus(order, now = new Date()) {
+  const step = stepForStatus(order.status);
+  const elapsedSeconds = Math.max(0, Math.floor((now - new Date(order.createdAt)) / 1000));
+  const onItsWay = step === 'served';
+
+  let estimatedMinutesRemaining = null;
+  if (!onItsWay && step !== 'cancelled') {
+    estimatedMinutesRemaining = Math.max(0, Math.ceil(ESTIMATED_PREP_MINUTES - elapsedSeconds / 60));
+  }
+
+  return {
+    orderId: order._id.toString(),
+    tableNumber: order.tableNumber,
+    status: order.status,
+    step,
+    steps: TRACKING_STEPS,
+    createdAt: order.createdAt,
+    elapsedSeconds,
+    estimatedMinutesRemaining,
+    onItsWay,
+    message: messageForStep(step, order)
+  };
+}
+
+module.exports = {
+  ESTIMATED_PREP_MINUTES,
+  TRACKING_STEPS,
+  buildTrackingStatus
+};
@@ -0,0 +1,208 @@
+// utils/schedule.js
+// Weekly time windows for menus and price schedules, e.g. breakfast
+// "Mon-Fri 07:00-11:00" or happy hour "Every day 17:00-19:00".
+// A window is { days: [0-6, Sunday first], start: "HH:MM", end: "HH:MM" }.
+// One that ends before it starts runs past midnight; its days are the ones
+// it starts on.
+const { AppError } = require('./errors');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Day of the week and minutes past midnight at `date` in `timezone`
+function localTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = type => parts.find(p => p.type === type).value;
+
+  return {
+    day: DAY_NAMES.indexOf(part('weekday')),
+    minutes: parseInt(part('hour')) * 60 + parseInt(part('minute'))
+  };
+}
+
+// Date and time of day at `date` in `timezone`, as "YYYY-MM-DD" and
+// "HH:MM:SS"
+function localDateTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = type => parts.find(p => p.type === type).value;
+
+  return {
+    day: `${part('year')}-${part('month')}-${part('day')}`,
+    time: `${part('hour')}:${part('minute')}:${part('second')}`
+  };
+}
+
+// The moment the clocks in `timezone` show `day` ("YYYY-MM-DD") at `time`
+// ("HH:MM"), e.g. the start of a day in a branch's own time
+function zonedDate(day, time, timezone) {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wall = Date.UTC(year, month - 1, date, hours, minutes);
+
+  // How far the zone is from UTC around then; checked twice in case the
+  // first guess lands on the other side of a daylight saving change
+  const offset = at => {
+    const local = localDateTime(new Date(at), timezone);
+    return Date.parse(`${local.day}T${local.time}Z`) - Math.floor(at / 1000) * 1000;
+  };
+  const guess = wall - offset(wall);
+  return new Date(wall - offset(guess));
+}
+
+// Whether `value` is a real calendar day written "YYYY-MM-DD", as date
+// inputs send it
+function isDay(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+// "YYYY-MM-DD" `days` after (or before) another
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function inWindow(window, { day, minutes }) {
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+
+  if (start === end) return window.days.includes(day); // all day
+  if (start < end) return window.days.includes(day) && minutes >= start && minutes < end;
+
+  // Past midnight: the evening it starts, or the morning after
+  return (window.days.includes(day) && minutes >= start) ||
+    (window.days.includes((day + 6) % 7) && minutes < end);
+}
+
+function isOpen(windows, local) {
+  return (windows || []).some(window => inWindow(window, local));
+}
+
+// Whether `timezone` is an IANA name Intl understands, e.g. "Africa/Kigali"
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return Boolean(timezone);
+  } catch (error) {
+    return false;
+  }
+}
+
+// "Mon-Fri", "Sat, Sun", "Every day" or "Daily" to day numbers
+function parseDays(text, lineNumber) {
+  const value = text.trim().toLowerCase();
+  if (value === 'every day' || value === 'daily') return [0, 1, 2, 3, 4, 5, 6];
+
+  const dayIndex = name => {
+    const index = DAY_NAMES.findIndex(day => day.toLowerCase() === name.trim().slice(0, 3).toLowerCase());
+    if (index === -1) {
+      throw new AppError(`Line ${lineNumber}: "${name.trim()}" isn't a day (use Mon, Tue, ...)`);
+    }
+    return index;
+  };
+
+  const days = new Set();
+  value.split(',').forEach(part => {
+    const [from, to] = part.split('-');
+    if (to === undefined) {
+      days.add(dayIndex(from));
+      return;
+    }
+    // Ranges may wrap, e.g. Fri-Mon
+    for (let day = dayIndex(from), last = dayIndex(to); ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === last) break;
+    }
+  });
+  return [...days].sort();
+}
+
+// Parse the admin textarea format, one window per line:
+//   Mon-Fri 07:00-11:00
+//   Sat, Sun 08:00-12:00
+//   Every day 17:00-19:00
+function parseWindows(text) {
+  if (!text || !text.trim()) return [];
+
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      const match = line.match(/^(.+?)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+      if (!match) {
+        throw new AppError(`Line ${index + 1} should look like "Mon-Fri 07:00-11:00"`);
+      }
+
+      const [, dayText, startText, endText] = match;
+      const [start, end] = [startText, endText].map(time => time.padStart(5, '0'));
+      if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+        throw new AppError(`Line ${index + 1}: times should be 24-hour, e.g. 07:00 or 17:30`);
+      }
+
+      return { days: parseDays(dayText, index + 1), start, end };
+    });
+}
+
+// "Mon-Fri", "Sat, Sun", "Every day"
+function formatDays(days) {
+  if (days.length === 7) return 'Every day';
+
+  // Runs of consecutive days, Monday first so weekdays read naturally
+  const order = [1, 2, 3, 4, 5, 6, 0].filter(day => days.includes(day));
+  const runs = [];
+  order.forEach(day => {
+    const run = runs[runs.length - 1];
+    if (run && (run[run.length - 1] + 1) % 7 === day) run.push(day);
+    else runs.push([day]);
+  });
+  // A run ending on Sunday carries on into one starting on Monday (Fri-Mon)
+  if (runs.length > 1 && runs[0][0] === 1 && runs[runs.length - 1].includes(0)) {
+    runs[0] = [...runs.pop(), ...runs[0]];
+  }
+
+  return runs.map(run => run.length > 2
+    ? `${DAY_NAMES[run[0]]}-${DAY_NAMES[run[run.length - 1]]}`
+    : run.map(day => DAY_NAMES[day]).join(', ')
+  ).join(', ');
+}
+
+// Inverse of parseWindows, for editing and listing
+function formatWindows(windows) {
+  return (windows || []).map(window => `${formatDays(window.days)} ${window.start}-${window.end}`).join('\n');
+}
+
+module.exports = {
+  TIME_PATTERN,
+  localTime,
+  localDateTime,
+  zonedDate,
+  isDay,
+  addDays,
+  inWindow,
+  isOpen,
+  isValidTimezone,
+  parseWindows,
+  formatWindows
+};
@@ -0,0 +1,38 @@
+// utils/tableLinks.js
+const crypto = require('crypto');
+
+// Separate secret so table QR codes survive a session key rotation
+const TABLE_LINK_SECRET = process.env.TABLE_LINK_SECRET || process.env.SESSION_SECRET || 'supersecretkey';
+
+// Short HMAC of the branch and table number, safe to put in a URL.
+// Links printed before branches existed were signed without a branch.
+function signTable(tableNumber, restaurantSlug = null) {
+  const subject = restaurantSlug ? `table:${restaurantSlug}:${tableNumber}` : `table:${tableNumber}`;
+  return crypto.createHmac('sha256', TABLE_LINK_SECRET)
+    .update(subject)
+    .digest('base64url')
+    .slice(0, 16);
+}
+
+function verifyTableSignature(tableNumber, signature, restaurantSlug = null) {
+  const expected = Buffer.from(signTable(tableNumber, restaurantSlug));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Full link encoded in the table's QR code
+function tableUrl(baseUrl, restaurantSlug, tableNumber) {
+  return `${baseUrl.replace(/\/$/, '')}/t/${restaurantSlug}/${tableNumber}/${signTable(tableNumber, restaurantSlug)}`;
+}
+
+// Public base URL for QR codes; falls back to the host the admin is using
+function publicBaseUrl(req) {
+  return process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+module.exports = {
+  signTable,
+  verifyTableSignature,
+  tableUrl,
+  publicBaseUrl
+};
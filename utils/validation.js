@@ -0,0 +1,125 @@
+// utils/validation.js
+// Small declarative checks for JSON request bodies. The same field
+// descriptions produce the OpenAPI schemas (see utils/openapi.js), so the
+// document can't drift from what the API accepts.
+//
+// A field is { type, required, nullable, min, max, maxLength, enum, items,
+// fields, description } where type is string, number, integer, boolean,
+// objectId, array (of `items`) or object (with `fields`).
+const mongoose = require('mongoose');
+const { AppError } = require('./errors');
+
+function checkValue(value, field, path, problems) {
+  if (value === null && field.nullable) return null;
+
+  switch (field.type) {
+    case 'string':
+      if (typeof value !== 'string') return problems.push({ field: path, message: 'must be a string' });
+      if (field.maxLength && value.length > field.maxLength) {
+        return problems.push({ field: path, message: `must be at most ${field.maxLength} characters` });
+      }
+      if (field.enum && !field.enum.includes(value)) {
+        return problems.push({ field: path, message: `must be one of: ${field.enum.join(', ')}` });
+      }
+      return value.trim();
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return problems.push({ field: path, message: 'must be a number' });
+      if (field.type === 'integer' && !Number.isInteger(value)) return problems.push({ field: path, message: 'must be a whole number' });
+      if (field.min !== undefined && value < field.min) return problems.push({ field: path, message: `must be at least ${field.min}` });
+      if (field.max !== undefined && value > field.max) return problems.push({ field: path, message: `must be at most ${field.max}` });
+      return value;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') return problems.push({ field: path, message: 'must be true or false' });
+      return value;
+
+    case 'objectId':
+      if (typeof value !== 'string' || !mongoose.isValidObjectId(value)) return problems.push({ field: path, message: 'must be an ID' });
+      return value;
+
+    case 'array':
+      if (!Array.isArray(value)) return problems.push({ field: path, message: 'must be a list' });
+      if (field.max !== undefined && value.length > field.max) return problems.push({ field: path, message: `must have at most ${field.max} entries` });
+      if (field.min !== undefined && value.length < field.min) return problems.push({ field: path, message: `must have at least ${field.min} entries` });
+      return value.map((entry, i) => checkValue(entry, field.items, `${path}[${i}]`, problems));
+
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return problems.push({ field: path, message: 'must be an object' });
+      return checkFields(value, field.fields, `${path}.`, problems);
+
+    default:
+      throw new Error(`Unknown field type ${field.type}`);
+  }
+}
+
+function checkFields(body, fields, prefix, problems, { partial = false } = {}) {
+  const result = {};
+
+  Object.entries(fields).forEach(([name, field]) => {
+    const value = body[name];
+    if (value === undefined) {
+      if (field.required && !partial) problems.push({ field: prefix + name, message: 'is required' });
+      return;
+    }
+    result[name] = checkValue(value, field, prefix + name, problems);
+  });
+
+  Object.keys(body).forEach(name => {
+    if (!fields[name]) problems.push({ field: prefix + name, message: 'is not a known field' });
+  });
+
+  return result;
+}
+
+// Check `body` against `fields` and return the known values. With
+// `partial` (for PATCH) required fields may be left out. Throws a 422
+// AppError listing every problem as { field, message }.
+function validate(body, fields, options = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new AppError('The request body must be a JSON object', 400, 'invalid_body');
+  }
+
+  const problems = [];
+  const values = checkFields(body, fields, '', problems, options);
+  if (problems.length > 0) {
+    throw new AppError('Some fields are invalid', 422, 'validation_failed', problems);
+  }
+  return values;
+}
+
+// OpenAPI (JSON Schema) for a set of fields
+function toJsonSchema(fields) {
+  const property = field => {
+    const schema = { description: field.description };
+    switch (field.type) {
+      case 'objectId':
+        Object.assign(schema, { type: 'string', pattern: '^[a-f0-9]{24}$' });
+        break;
+      case 'array':
+        Object.assign(schema, { type: 'array', items: property(field.items), minItems: field.min, maxItems: field.max });
+        break;
+      case 'object':
+        Object.assign(schema, toJsonSchema(field.fields));
+        break;
+      default:
+        Object.assign(schema, { type: field.type, minimum: field.min, maximum: field.max, maxLength: field.maxLength, enum: field.enum });
+    }
+    if (field.nullable) schema.nullable = true;
+    return JSON.parse(JSON.stringify(schema)); // drop undefined keys
+  };
+
+  const required = Object.keys(fields).filter(name => fields[name].required);
+  return {
+    type: 'object',
+    additionalProperties: false,
+    properties: Object.fromEntries(Object.entries(fields).map(([name, field]) => [name, property(field)])),
+    ...(required.length > 0 ? { required } : {})
+  };
+}
+
+module.exports = {
+  validate,
+  toJsonSchema
+};